@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * 关系模型命令行工具
+ * 读取标签和关系两个JSON文件，与页面使用同一个关系模型输出统计、校验结果、租户列表或处理后的节点和边
+ * import 命令把SQL DDL或dbt manifest.json转换为关系定义
+ *
+ * 用法: node bin/relation-cli.mjs <stats|validate|tenants|export> [tags.json] [relations.json] [选项]
+ *       node bin/relation-cli.mjs import <schema.sql|manifest.json>... [选项]
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { RelationModel, DataValidator, ModelExporter, RelationImporter } from '../js/core/index.mjs';
+
+const ROOT = new URL('../', import.meta.url);
+const DEFAULT_TAGS_FILE = fileURLToPath(new URL('data/semantic_all_edge_tag.json', ROOT));
+const DEFAULT_RELATIONS_FILE = fileURLToPath(new URL('data/semantic_dm_table_relation_def.json', ROOT));
+
+const USAGE = `用法: relation-cli <命令> [tags.json] [relations.json] [选项]
+      relation-cli import <schema.sql|manifest.json>... [选项]
+
+命令:
+  stats       输出表、关系、标签和租户的数量
+  validate    校验标签与关系定义，存在错误时退出码为1
+  tenants     列出租户及各租户的表和关系数量
+  export      输出处理后的节点和边，默认为JSON
+  import      把DDL中的外键和dbt的relationships测试转换为关系定义（JSON数组）
+
+选项:
+  --tenant <id>      只处理该租户的数据；import 时为导入关系的租户
+  --json             以JSON格式输出
+  --format <fmt>     export 的格式: json、graphml、dot、mermaid、cypher
+  --out <file>       写入文件而不是标准输出
+  --catalog <name>   import 时补全未写库名的表名（默认 default）
+  --schema <name>    import 时补全未写schema的表名（默认 default）
+  --align <file>     import 时与该关系文件中相同的关系沿用其ID和字段，便于对比
+  --verbose          输出模型处理日志（stderr）
+  -h, --help         显示帮助
+
+未指定文件时使用 data/ 目录下的默认数据`;
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const args = {
+        command: null, files: [], tenant: null, format: 'json', json: false, out: null,
+        catalog: null, schema: null, align: null, verbose: false, help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '--verbose') {
+            args.verbose = true;
+        } else if (['--tenant', '--out', '--format', '--catalog', '--schema', '--align'].includes(arg)) {
+            const value = argv[++i];
+            if (value === undefined) {
+                throw new Error(`${arg} 需要参数`);
+            }
+            args[arg.slice(2)] = value;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`未知选项: ${arg}`);
+        } else if (!args.command) {
+            args.command = arg;
+        } else {
+            args.files.push(arg);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * 读取JSON文件，与页面的数据源一致接受数组或 { data: [...] }
+ */
+async function readRows(file, label) {
+    let payload;
+    try {
+        payload = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${label}读取失败 (${file}): ${error.message}`);
+    }
+
+    const rows = Array.isArray(payload) ? payload : (payload && payload.data);
+    if (!Array.isArray(rows)) {
+        throw new Error(`${label}必须是数组或包含data数组的对象 (${file})`);
+    }
+    return rows;
+}
+
+/**
+ * 加载数据并建立模型，处理日志默认关闭，警告输出到stderr
+ */
+async function loadModel(args) {
+    const [tagsFile = DEFAULT_TAGS_FILE, relationsFile = DEFAULT_RELATIONS_FILE] = args.files;
+    const [tags, relations] = await Promise.all([
+        readRows(tagsFile, '标签数据'),
+        readRows(relationsFile, '关系数据')
+    ]);
+
+    const logger = {
+        log: args.verbose ? (...items) => console.error(...items) : () => {},
+        warn: (...items) => console.error(...items)
+    };
+    const model = new RelationModel({ logger });
+    model.setData(tags, relations);
+
+    if (args.tenant && !model.getAvailableTenants().includes(args.tenant)) {
+        throw new Error(`租户不存在: ${args.tenant}`);
+    }
+    return model;
+}
+
+function formatStats(stats) {
+    return [
+        `租户:           ${stats.tenants.length} (${stats.tenants.join(', ') || '无'})`,
+        `表:             ${stats.tables}`,
+        `关系:           ${stats.relations}`,
+        `  被标签引用:   ${stats.taggedRelations}`,
+        `  未被引用:     ${stats.untaggedRelations}`,
+        `  带动态设置:   ${stats.dynamicRelations}`,
+        `标签:           ${stats.tags}（已删除 ${stats.deletedTags}）`,
+        `枢纽列:         ${stats.hubColumns}`
+    ].join('\n');
+}
+
+function formatIssues(issues) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    const lines = issues.map(issue => {
+        counts[issue.severity]++;
+        const tenant = issue.tenantId ? ` [${issue.tenantId}]` : '';
+        return `${issue.severity.padEnd(7)} ${issue.code}${tenant}: ${issue.message}`;
+    });
+    lines.push(`共 ${issues.length} 个问题：错误 ${counts.error}，警告 ${counts.warning}，提示 ${counts.info}`);
+    return lines.join('\n');
+}
+
+/**
+ * 导入DDL或dbt manifest.json，不建立模型
+ */
+async function importRelations(args) {
+    if (args.files.length === 0) {
+        throw new Error('import 需要至少一个 .sql 或 manifest.json 文件');
+    }
+
+    const options = { catalog: args.catalog, schema: args.schema, tenantId: args.tenant };
+    const relations = [];
+    for (const file of args.files) {
+        const text = await readFile(file, 'utf8');
+        const kind = RelationImporter.detectKind(text);
+        if (!kind) {
+            throw new Error(`无法识别文件 ${file}：需要包含 CREATE TABLE / ALTER TABLE 的SQL或dbt的 manifest.json`);
+        }
+        const result = RelationImporter.import(kind, text, options);
+        result.warnings.forEach(warning => console.error(`${file}: ${warning}`));
+        relations.push(...result.relations);
+    }
+
+    const existing = args.align ? await readRows(args.align, '关系数据') : [];
+    return { output: RelationImporter.align(relations, existing) };
+}
+
+const commands = {
+    stats(model, args) {
+        const stats = model.getStatistics(args.tenant);
+        return { output: args.json ? stats : formatStats(stats) };
+    },
+
+    validate(model, args) {
+        const issues = new DataValidator(model).validate()
+            .filter(issue => !args.tenant || !issue.tenantId || issue.tenantId === args.tenant);
+        const hasErrors = issues.some(issue => issue.severity === 'error');
+        return { output: args.json ? issues : formatIssues(issues), exitCode: hasErrors ? 1 : 0 };
+    },
+
+    tenants(model, args) {
+        const tenants = model.getAvailableTenants()
+            .filter(tenantId => !args.tenant || tenantId === args.tenant)
+            .map(tenantId => {
+                const stats = model.getStatistics(tenantId);
+                return { tenantId, tables: stats.tables, relations: stats.relations, tags: stats.tags };
+            });
+        const text = tenants
+            .map(row => `${row.tenantId}\t表 ${row.tables}\t关系 ${row.relations}\t标签 ${row.tags}`)
+            .join('\n');
+        return { output: args.json ? tenants : text };
+    },
+
+    export(model, args) {
+        const data = RelationModel.serialize(model.getDataByTenant(args.tenant));
+        if (args.format !== 'json') {
+            return { output: ModelExporter.export(args.format, data).trimEnd() };
+        }
+        return {
+            output: {
+                tenant: args.tenant,
+                colorMap: Object.fromEntries(model.colorMap),
+                ...data
+            }
+        };
+    }
+};
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || !args.command) {
+        console.log(USAGE);
+        return args.help ? 0 : 2;
+    }
+
+    let result;
+    if (args.command === 'import') {
+        result = await importRelations(args);
+    } else {
+        const command = commands[args.command];
+        if (!command) {
+            throw new Error(`未知命令: ${args.command}\n\n${USAGE}`);
+        }
+        result = command(await loadModel(args), args);
+    }
+    const { output, exitCode = 0 } = result;
+    const text = typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+
+    if (args.out) {
+        await writeFile(args.out, text + '\n', 'utf8');
+        console.error(`已写入 ${args.out}`);
+    } else {
+        console.log(text);
+    }
+    return exitCode;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(`错误: ${error.message}`);
+        process.exitCode = 2;
+    });
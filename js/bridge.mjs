@@ -0,0 +1,18 @@
+/**
+ * 把ES模块中的类挂到window上，供页面中的普通脚本使用
+ * 模块脚本在DOMContentLoaded之前执行，main.js 创建 App 时这些类已经可用
+ */
+import { RelationModel, DynamicExpression, ModelDiff, ModelTimeline, TagPathTracer, DataValidator, ModelExporter, RelationImporter } from './core/index.mjs';
+import { DataProcessor } from './data-processor.mjs';
+
+Object.assign(window, {
+    RelationModel,
+    DynamicExpression,
+    ModelDiff,
+    ModelTimeline,
+    TagPathTracer,
+    DataValidator,
+    ModelExporter,
+    RelationImporter,
+    DataProcessor
+});
@@ -0,0 +1,880 @@
+/**
+ * Canvas图形渲染模块
+ * 与GraphRenderer接口一致，使用Canvas绘制，适用于数千张表的大型关系模型
+ * 点击和悬停通过命中检测实现，缩放较小时省略标签等细节，力导向模拟稳定后自动停止
+ */
+class CanvasGraphRenderer extends GraphRenderer {
+    constructor(containerId, dataProcessor = null) {
+        super(containerId, dataProcessor);
+        this.canvas = null;
+        this.context = null;
+        this.nodes = [];
+        this.links = [];
+        this.traceHops = [];
+        this.traceTimer = null;
+        this.traceDashOffset = 0;
+        this.hoveredItem = null;
+        this.drawPending = false;
+        this.pixelRatio = window.devicePixelRatio || 1;
+
+        // 各类细节显示所需的最小缩放比例
+        this.detailScales = {
+            lanes: 0.6,      // 低于该比例时每条关系只画一条线
+            arrows: 0.35,
+            nodeLabels: 0.45,
+            columns: 0.7,
+            linkLabels: 0.9
+        };
+
+        this.styles = this.createStyles();
+    }
+
+    /**
+     * 初始化渲染器
+     */
+    init() {
+        const container = d3.select(`#${this.containerId}`);
+        const containerRect = container.node().getBoundingClientRect();
+
+        this.width = containerRect.width;
+        this.height = Math.max(600, containerRect.height);
+
+        // 创建Canvas
+        this.canvas = container
+            .append('canvas')
+            .attr('class', 'graph-canvas')
+            .style('background', '#fafafa');
+        this.context = this.canvas.node().getContext('2d');
+        this.updateCanvasSize();
+
+        // 拖拽需先于缩放绑定：按下位置有节点时由拖拽处理，否则平移画布
+        this.zoom = d3.zoom()
+            .scaleExtent([0.02, 4])
+            .on('zoom', this.handleZoom);
+
+        this.canvas
+            .call(this.dragHandler())
+            .call(this.zoom)
+            .on('dblclick.zoom', null)
+            .on('click', event => this.handleCanvasClick(event))
+            .on('dblclick', event => this.handleCanvasDblclick(event))
+            .on('mousemove', event => this.handleCanvasMousemove(event))
+            .on('mouseleave', () => this.setHoveredItem(null));
+        this.zoomSurface = this.canvas;
+
+        // 创建工具提示（整个页面共用一个）
+        if (!this.tooltip) {
+            this.tooltip = d3.select('body')
+                .append('div')
+                .attr('class', 'tooltip')
+                .style('opacity', 0);
+        }
+
+        this.createSimulation();
+        this.startSimulation();
+    }
+
+    /**
+     * 按容器尺寸设置Canvas的像素尺寸，兼顾高分屏
+     */
+    updateCanvasSize() {
+        this.canvas
+            .attr('width', Math.round(this.width * this.pixelRatio))
+            .attr('height', Math.round(this.height * this.pixelRatio))
+            .style('width', `${this.width}px`)
+            .style('height', `${this.height}px`);
+    }
+
+    /**
+     * 窗口大小变化时调整Canvas尺寸
+     */
+    resize() {
+        if (!this.canvas) return;
+
+        const containerRect = d3.select(`#${this.containerId}`).node().getBoundingClientRect();
+        this.width = containerRect.width;
+        this.height = Math.max(600, containerRect.height);
+        this.updateCanvasSize();
+
+        this.simulation.force('center', d3.forceCenter(this.width / 2, this.height / 2));
+        this.applyGroupingForces();
+        this.simulation.alpha(0.1).restart();
+        this.requestDraw();
+    }
+
+    /**
+     * 创建力导向模拟：不设置alphaTarget，布局稳定后停止计算
+     */
+    createSimulation() {
+        super.createSimulation();
+        this.simulation
+            .alphaTarget(0)
+            .alphaDecay(0.03);
+    }
+
+    updatePositions() {
+        this.requestDraw();
+    }
+
+    /**
+     * 渲染图形
+     */
+    render(data) {
+        if (!data || !data.nodes || !data.links) {
+            console.error('数据无效:', data);
+            return;
+        }
+
+        // 节点为空时（如所有标签都被隐藏）仍继续渲染，移除已有的元素
+        if (data.nodes.length === 0) {
+            console.warn('节点数据为空');
+        }
+
+        // Canvas尚未创建或已被移出页面时重新初始化
+        if (!this.canvas || !this.canvas.node().isConnected) {
+            this.clearGraph();
+            this.init();
+        }
+
+        this.clearTagPaths();
+        this.selectedNodeId = null;
+        this.selectedRelationId = null;
+
+        this.exploreState = data.explore || null;
+        this.seedNodePositions(data.nodes, data.links);
+        data.nodes.forEach(node => this.updateNodeSize(node));
+        this.nodes = data.nodes;
+        this.links = data.links;
+        this.updateSimulation(data);
+        this.applyGroupingForces();
+        this.requestDraw();
+    }
+
+    /**
+     * 清空图形
+     */
+    clearGraph() {
+        if (this.simulation) {
+            this.simulation.stop();
+        }
+        this.stopLayoutTransition();
+        this.stopTraceAnimation();
+
+        d3.select(`#${this.containerId}`).selectAll('*').remove();
+
+        this.transform = d3.zoomIdentity;
+        this.selectedNodeId = null;
+        this.selectedRelationId = null;
+        this.canvas = null;
+        this.context = null;
+        this.zoomSurface = null;
+        this.simulation = null;
+        this.nodes = [];
+        this.links = [];
+    }
+
+    getRenderedNodes() {
+        return this.nodes;
+    }
+
+    getRenderedLinks() {
+        return this.links;
+    }
+
+    /**
+     * 处理缩放
+     */
+    handleZoom(event) {
+        this.transform = event.transform;
+        this.requestDraw();
+        this.notifyViewChange();
+    }
+
+    /**
+     * 创建拖拽处理器：拖拽对象为按下位置的节点
+     */
+    dragHandler() {
+        const renderer = this;
+        return d3.drag()
+            .container(function () { return this; })
+            .subject(event => this.findNodeAt(this.transform.invert([event.x, event.y])))
+            .on('start', (event) => {
+                const node = event.subject;
+                node.fx = node.x;
+                node.fy = node.y;
+                this.simulation.alphaTarget(0.3).restart();
+            })
+            .on('drag', function (event) {
+                const [x, y] = renderer.toGraphPoint(event.sourceEvent, this);
+                event.subject.fx = x;
+                event.subject.fy = y;
+            })
+            .on('end', () => {
+                // 保持节点在拖拽后的位置，其余节点稳定后停止
+                this.simulation.alphaTarget(0);
+                this.notifyViewChange();
+            });
+    }
+
+    /**
+     * 将鼠标事件位置转换为图坐标
+     */
+    toGraphPoint(event, element = this.canvas.node()) {
+        return this.transform.invert(d3.pointer(event, element));
+    }
+
+    /**
+     * 查找包含指定图坐标的节点（后绘制的节点优先）
+     */
+    findNodeAt([x, y]) {
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            const node = this.nodes[i];
+            if (Math.abs(x - node.x) <= node.width / 2 && Math.abs(y - node.y) <= node.height / 2) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 查找距离指定图坐标最近的边，曲线按折线采样计算距离
+     */
+    findLinkAt([x, y]) {
+        const tolerance = 5 / this.transform.k;
+        let closest = null;
+        let closestDistance = tolerance;
+
+        this.links.forEach(link => {
+            const points = this.getCurvePoints(link);
+            const minX = Math.min(points.sx, points.cx, points.tx) - tolerance;
+            const maxX = Math.max(points.sx, points.cx, points.tx) + tolerance;
+            const minY = Math.min(points.sy, points.cy, points.ty) - tolerance;
+            const maxY = Math.max(points.sy, points.cy, points.ty) + tolerance;
+            if (x < minX || x > maxX || y < minY || y > maxY) return;
+
+            const samples = CanvasGraphRenderer.sampleCurve(points, 12);
+            for (let i = 1; i < samples.length; i++) {
+                const distance = CanvasGraphRenderer.distanceToSegment(x, y, samples[i - 1], samples[i]);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closest = link;
+                }
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * 命中检测：先节点后边
+     */
+    hitTest(event) {
+        const point = this.toGraphPoint(event);
+        const node = this.findNodeAt(point);
+        if (node) return { type: 'node', data: node };
+
+        const link = this.findLinkAt(point);
+        return link ? { type: 'link', data: link } : null;
+    }
+
+    handleCanvasClick(event) {
+        const hit = this.hitTest(event);
+        if (!hit) return;
+
+        if (hit.type === 'node') {
+            this.handleNodeClick(event, hit.data);
+        } else {
+            this.handleLinkClick(event, hit.data);
+        }
+    }
+
+    handleCanvasDblclick(event) {
+        const hit = this.hitTest(event);
+        if (hit && hit.type === 'node') {
+            if (this.onNodeDblclick && this.onNodeDblclick(hit.data)) return;
+            this.toggleNodeColumns(hit.data.id);
+        }
+    }
+
+    handleCanvasMousemove(event) {
+        // 拖拽或平移过程中不做命中检测
+        if (event.buttons) return;
+
+        const hit = this.hitTest(event);
+        this.setHoveredItem(hit, event);
+    }
+
+    /**
+     * 更新悬停对象：边显示关系详情，节点显示完整限定表名
+     */
+    setHoveredItem(hit, event) {
+        const previous = this.hoveredItem;
+        this.hoveredItem = hit;
+        if (this.canvas) {
+            this.canvas.style('cursor', !hit ? null : (hit.type === 'node' ? 'grab' : 'pointer'));
+        }
+
+        if (!hit) {
+            if (previous) this.handleLinkMouseout();
+            return;
+        }
+
+        if (previous && previous.data === hit.data) {
+            this.tooltip
+                .style('left', (event.pageX + 10) + 'px')
+                .style('top', (event.pageY - 10) + 'px');
+            return;
+        }
+
+        if (hit.type === 'link') {
+            this.handleLinkMouseover(event, hit.data);
+        } else {
+            this.tooltip.transition()
+                .duration(200)
+                .style('opacity', .9);
+            this.tooltip.text(hit.data.id)
+                .style('left', (event.pageX + 10) + 'px')
+                .style('top', (event.pageY - 10) + 'px');
+        }
+    }
+
+    /**
+     * 高亮样式：未列出的节点和边使用默认透明度，emphasized中的关系以红色加粗显示
+     */
+    createStyles(options = {}) {
+        return {
+            nodeOpacity: options.nodeOpacity !== undefined ? options.nodeOpacity : 1,
+            linkOpacity: options.linkOpacity !== undefined ? options.linkOpacity : 1,
+            activeNodes: new Set(options.nodeIds || []),
+            activeLinks: new Set(options.linkIds || []),
+            emphasized: new Set(options.emphasized || [])
+        };
+    }
+
+    applyStyles(options) {
+        this.styles = this.createStyles(options);
+        this.requestDraw();
+    }
+
+    highlightNode(nodeId) {
+        this.highlightNodes([nodeId]);
+    }
+
+    highlightNodes(nodeIds) {
+        const idSet = new Set(nodeIds);
+        this.applyStyles({
+            nodeOpacity: 0.6,
+            linkOpacity: 0.3,
+            nodeIds,
+            linkIds: this.links
+                .filter(link => idSet.has(link.source.id) || idSet.has(link.target.id))
+                .map(link => link.id)
+        });
+    }
+
+    highlightLink(linkId) {
+        const link = this.links.find(d => d.id === linkId);
+        this.applyStyles({
+            nodeOpacity: 0.6,
+            linkOpacity: 0.3,
+            nodeIds: link ? [link.source.id, link.target.id] : [],
+            linkIds: [linkId]
+        });
+    }
+
+    highlightEdgesByRelationIds(relationIds) {
+        this.applyStyles({ emphasized: relationIds });
+    }
+
+    clearHighlight() {
+        this.applyStyles({});
+    }
+
+    showAllEdges() {
+        this.applyStyles({});
+    }
+
+    resetHighlight() {
+        this.selectedNodeId = null;
+        this.selectedRelationId = null;
+        this.applyStyles({ linkOpacity: 0.6 });
+    }
+
+    updateLinkSelection() {
+        this.requestDraw();
+        if (this.onSelectionChange) {
+            this.onSelectionChange([...this.selectedRelationIds]);
+        }
+    }
+
+    /**
+     * 显示标签路径追踪
+     */
+    showTagPaths(traces) {
+        const hops = this.collectTraceHops(traces);
+        const nodeIds = new Set();
+        hops.forEach(d => {
+            nodeIds.add(d.link.source.id);
+            nodeIds.add(d.link.target.id);
+        });
+
+        this.applyStyles({
+            nodeOpacity: 0.4,
+            linkOpacity: 0.15,
+            nodeIds: [...nodeIds],
+            linkIds: hops.map(d => d.link.id)
+        });
+
+        this.traceHops = hops;
+        this.startTraceAnimation();
+    }
+
+    updateTraceOverlay() {
+        this.requestDraw();
+    }
+
+    clearTagPaths() {
+        this.traceHops = [];
+        this.stopTraceAnimation();
+        this.showAllEdges();
+    }
+
+    /**
+     * 路径追踪的流动动画，与SVG版本的速度一致（0.8秒移动16像素）
+     */
+    startTraceAnimation() {
+        if (this.traceTimer || this.traceHops.length === 0) return;
+
+        this.traceTimer = d3.timer(elapsed => {
+            this.traceDashOffset = -(elapsed / 800 * 16) % 16;
+            this.requestDraw();
+        });
+    }
+
+    stopTraceAnimation() {
+        if (this.traceTimer) {
+            this.traceTimer.stop();
+            this.traceTimer = null;
+        }
+    }
+
+    /**
+     * 按展开状态更新节点尺寸和碰撞半径
+     */
+    applyNodeExpansion() {
+        if (!this.simulation) return;
+
+        this.nodes.forEach(node => this.updateNodeSize(node));
+        this.simulation.force('collision')
+            .radius(d => this.getCollisionRadius(d));
+        this.reheat(0.3);
+        this.requestDraw();
+    }
+
+    updateNodeColumns() {
+        this.requestDraw();
+    }
+
+    setEdgeNotation(notation) {
+        super.setEdgeNotation(notation);
+        this.requestDraw();
+    }
+
+    updateGroupHulls() {
+        this.requestDraw();
+    }
+
+    /**
+     * 合并同一帧内的多次重绘请求
+     */
+    requestDraw() {
+        if (this.drawPending || !this.context) return;
+
+        this.drawPending = true;
+        requestAnimationFrame(() => {
+            this.drawPending = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * 绘制整个画面
+     */
+    draw() {
+        if (!this.context) return;
+
+        const ctx = this.context;
+        const k = this.transform.k;
+
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.translate(this.transform.x, this.transform.y);
+        ctx.scale(k, k);
+
+        // 可见区域（图坐标），用于跳过画面外的元素
+        const margin = 60 / k;
+        const [x0, y0] = this.transform.invert([0, 0]);
+        const [x1, y1] = this.transform.invert([this.width, this.height]);
+        const view = { x0: x0 - margin, y0: y0 - margin, x1: x1 + margin, y1: y1 + margin };
+
+        if (this.groupingEnabled) {
+            this.drawGroupHulls(ctx);
+        }
+        this.drawLinks(ctx, view, k);
+        this.drawTraces(ctx, k);
+        this.drawNodes(ctx, view, k);
+
+        ctx.restore();
+    }
+
+    /**
+     * 按指定的变换和尺寸绘制到另一个画布（导出图片时使用），不影响当前画面
+     * items 为 { nodes, links } 时只绘制这些元素
+     */
+    drawTo(ctx, transform, width, height, pixelRatio = 1, items = null) {
+        const saved = {
+            context: this.context, transform: this.transform, width: this.width, height: this.height,
+            pixelRatio: this.pixelRatio, nodes: this.nodes, links: this.links
+        };
+
+        Object.assign(this, { context: ctx, transform, width, height, pixelRatio });
+        if (items) {
+            this.nodes = items.nodes;
+            this.links = items.links;
+        }
+        try {
+            this.draw();
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    drawGroupHulls(ctx) {
+        this.computeGroupHulls(this.nodes).forEach(group => {
+            const catalog = group.level === 'catalog';
+            ctx.beginPath();
+            group.hull.forEach(([x, y], index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+            ctx.fillStyle = catalog ? 'rgba(102, 126, 234, 0.06)' : 'rgba(76, 175, 80, 0.08)';
+            ctx.fill();
+            ctx.setLineDash(catalog ? [6, 4] : []);
+            ctx.lineWidth = catalog ? 1.5 : 1;
+            ctx.strokeStyle = catalog ? '#667eea' : '#4CAF50';
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.font = '600 11px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fillText(group.label, group.labelX, group.labelY);
+        });
+    }
+
+    drawLinks(ctx, view, k) {
+        const inView = points =>
+            Math.max(points.sx, points.cx, points.tx) >= view.x0 && Math.min(points.sx, points.cx, points.tx) <= view.x1 &&
+            Math.max(points.sy, points.cy, points.ty) >= view.y0 && Math.min(points.sy, points.cy, points.ty) <= view.y1;
+        const showLanes = k >= this.detailScales.lanes;
+        const showArrows = k >= this.detailScales.arrows;
+        const labels = [];
+
+        this.links.forEach(link => {
+            if (!inView(this.getCurvePoints(link))) return;
+
+            const opacity = this.styles.activeLinks.has(link.id) ? 1 : this.styles.linkOpacity;
+            const emphasized = this.styles.emphasized.has(link.relationId);
+            const selected = this.selectedRelationIds.has(link.relationId);
+            const lanes = showLanes
+                ? this.getLinkLanes(link)
+                : [{ link, color: this.getLaneColor(link, link), diffStatus: link.diffStatus, index: 0, count: 1 }];
+
+            lanes.forEach(lane => {
+                const points = this.getCurvePoints(link, this.getLaneOffset(lane));
+                const color = emphasized ? '#ff6b6b' : lane.color;
+
+                ctx.globalAlpha = opacity * (emphasized || selected ? 1 : 0.8);
+                ctx.strokeStyle = color;
+                ctx.lineWidth = Math.max(selected ? 5 : (emphasized ? 3 : 1), 0.5 / k);
+                // 删除的泳道为长虚线，未被标签引用的关系为短虚线
+                ctx.setLineDash(lane.diffStatus === 'removed' ? [6, 4] : (link.untagged ? [2, 4] : []));
+                ctx.beginPath();
+                ctx.moveTo(points.sx, points.sy);
+                ctx.quadraticCurveTo(points.cx, points.cy, points.tx, points.ty);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                if (showArrows) {
+                    this.drawLaneMarkers(ctx, lane, color);
+                }
+            });
+
+            labels.push({ link, opacity });
+        });
+
+        if (k >= this.detailScales.linkLabels) {
+            ctx.font = '600 11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'alphabetic';
+            labels.forEach(({ link, opacity }) => {
+                const midpoint = this.getLinkMidpoint(link);
+                ctx.globalAlpha = opacity;
+                ctx.fillStyle = '#333';
+                ctx.fillText(link.hasDynamic ? `${link.relationId} ƒ` : String(link.relationId), midpoint.x, midpoint.y);
+            });
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * 绘制泳道的端点标记，规则与SVG渲染的 updateLaneMarkers() 一致
+     */
+    drawLaneMarkers(ctx, lane, color) {
+        const link = lane.link;
+        const points = this.getClippedCurvePoints(link, this.getLaneOffset(lane));
+        // 起点处x轴指向源节点，终点处指向目标节点
+        const start = { x: points.sx, y: points.sy, angle: Math.atan2(points.sy - points.cy, points.sx - points.cx) };
+        const end = { x: points.tx, y: points.ty, angle: Math.atan2(points.ty - points.cy, points.tx - points.cx) };
+
+        if (this.edgeNotation !== 'er') {
+            this.drawArrow(ctx, end, color);
+            if (this.isBidirectional(link)) {
+                this.drawArrow(ctx, start, color);
+            }
+            return;
+        }
+
+        if (!this.isPrimaryLane(lane)) return;
+
+        const cardinality = this.getLinkCardinality(link);
+        const middle = GraphRenderer.curvePoint(points, 0.5);
+        middle.angle = Math.atan2(points.ty - points.sy, points.tx - points.sx);
+
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1.5;
+        if (cardinality) {
+            this.drawMarkerPath(ctx, start, cardinality.source.toLowerCase());
+            this.drawMarkerPath(ctx, end, cardinality.target.toLowerCase());
+        }
+        this.drawMarkerPath(ctx, middle, this.isBidirectional(link) ? 'bidirectional' : 'direction');
+    }
+
+    /**
+     * 在指定位置按方向绘制 GraphRenderer.ER_MARKERS 中的符号
+     */
+    drawMarkerPath(ctx, position, name) {
+        if (!CanvasGraphRenderer.markerPaths) {
+            CanvasGraphRenderer.markerPaths = new Map(
+                Object.entries(GraphRenderer.ER_MARKERS).map(([key, path]) => [key, new Path2D(path)])
+            );
+        }
+
+        ctx.save();
+        ctx.translate(position.x, position.y);
+        ctx.rotate(position.angle);
+        ctx.stroke(CanvasGraphRenderer.markerPaths.get(name));
+        ctx.restore();
+    }
+
+    /**
+     * 绘制箭头，尖端位于position，指向position.angle方向
+     */
+    drawArrow(ctx, position, color) {
+        const ux = Math.cos(position.angle);
+        const uy = Math.sin(position.angle);
+        const size = 8;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(position.x, position.y);
+        ctx.lineTo(position.x - ux * size - uy * size / 2, position.y - uy * size + ux * size / 2);
+        ctx.lineTo(position.x - ux * size + uy * size / 2, position.y - uy * size - ux * size / 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    drawTraces(ctx, k) {
+        if (this.traceHops.length === 0) return;
+
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#ff6b6b';
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.setLineDash([8, 8]);
+        ctx.lineDashOffset = this.traceDashOffset;
+        this.traceHops.forEach(d => {
+            const points = this.getCurvePoints(d.link);
+            const [start, end] = d.hop.reversed
+                ? [[points.tx, points.ty], [points.sx, points.sy]]
+                : [[points.sx, points.sy], [points.tx, points.ty]];
+            ctx.beginPath();
+            ctx.moveTo(start[0], start[1]);
+            ctx.quadraticCurveTo(points.cx, points.cy, end[0], end[1]);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        ctx.lineCap = 'butt';
+
+        // 每一跳的编号
+        ctx.font = '700 11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.traceHops.forEach(d => {
+            const midpoint = this.getLinkMidpoint(d.link);
+            const x = midpoint.x + d.traceIndex * 20;
+            const y = midpoint.y - 14;
+            ctx.beginPath();
+            ctx.arc(x, y, 9, 0, 2 * Math.PI);
+            ctx.fillStyle = '#ff6b6b';
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#fff';
+            ctx.stroke();
+            ctx.fillStyle = '#fff';
+            ctx.fillText(String(d.hop.index), x, y);
+        });
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    drawNodes(ctx, view, k) {
+        const showLabels = k >= this.detailScales.nodeLabels;
+        const showColumns = k >= this.detailScales.columns;
+
+        this.nodes.forEach(node => {
+            const left = node.x - node.width / 2;
+            const top = node.y - node.height / 2;
+            if (left + node.width < view.x0 || left > view.x1 || top + node.height < view.y0 || top > view.y1) return;
+
+            ctx.globalAlpha = this.styles.activeNodes.has(node.id) ? 1 : this.styles.nodeOpacity;
+            CanvasGraphRenderer.roundRect(ctx, left, top, node.width, node.height, 5);
+            ctx.fillStyle = '#6B7DE3';
+            ctx.fill();
+            if (k >= 0.2) {
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = this.getExploreStroke(node) || '#fff';
+                ctx.stroke();
+            }
+
+            if (showLabels) {
+                ctx.font = '600 12px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = 'white';
+                const labelY = node.expanded ? top + this.cardHeaderHeight / 2 : node.y;
+                ctx.fillText(node.name, node.x, labelY);
+            }
+
+            if (node.expanded && showColumns) {
+                this.drawNodeColumns(ctx, node, left, top);
+            }
+
+            const hidden = this.exploreState && this.exploreState.hiddenCounts.get(node.id);
+            if (hidden && showLabels) {
+                this.drawNodeBadge(ctx, `+${hidden}`, left + node.width, top);
+            }
+        });
+
+        ctx.globalAlpha = 1;
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    /**
+     * 探索模式下起始表和已展开的表的边框颜色，与样式表中的 .node-explore-root / .node-explore-expanded 一致
+     */
+    getExploreStroke(node) {
+        const explore = this.exploreState;
+        if (!explore) return null;
+        if (node.id === explore.rootId) return '#f39c12';
+        return explore.expanded.has(node.id) ? '#2c3e50' : null;
+    }
+
+    drawNodeBadge(ctx, text, x, y) {
+        ctx.font = '600 10px sans-serif';
+        const width = Math.max(16, ctx.measureText(text).width + 8);
+        CanvasGraphRenderer.roundRect(ctx, x - width / 2, y - 8, width, 16, 8);
+        ctx.fillStyle = '#f39c12';
+        ctx.fill();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, x, y);
+    }
+
+    drawNodeColumns(ctx, node, left, top) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(left + 4, top + this.cardHeaderHeight - 2);
+        ctx.lineTo(left + node.width - 4, top + this.cardHeaderHeight - 2);
+        ctx.stroke();
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        node.columns.forEach((column, index) => {
+            ctx.font = `${column.hub ? '700' : '400'} 11px Consolas, Monaco, monospace`;
+            ctx.fillStyle = column.hub ? '#FFD166' : '#eef0ff';
+            ctx.fillText(
+                column.hub ? `◆ ${column.name}` : column.name,
+                left + 10,
+                top + this.cardHeaderHeight + index * this.columnRowHeight + this.columnRowHeight / 2
+            );
+        });
+    }
+
+    /**
+     * 绘制圆角矩形路径（不依赖较新的 ctx.roundRect）
+     */
+    static roundRect(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.lineTo(x + width - radius, y);
+        ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+        ctx.lineTo(x + width, y + height - radius);
+        ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+        ctx.lineTo(x + radius, y + height);
+        ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+        ctx.lineTo(x, y + radius);
+        ctx.quadraticCurveTo(x, y, x + radius, y);
+        ctx.closePath();
+    }
+
+    /**
+     * 将二次曲线采样为折线
+     */
+    static sampleCurve(points, segments) {
+        const samples = [];
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const a = (1 - t) * (1 - t);
+            const b = 2 * (1 - t) * t;
+            const c = t * t;
+            samples.push([
+                a * points.sx + b * points.cx + c * points.tx,
+                a * points.sy + b * points.cy + c * points.ty
+            ]);
+        }
+        return samples;
+    }
+
+    /**
+     * 点到线段的距离
+     */
+    static distanceToSegment(x, y, [x1, y1], [x2, y2]) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared)) : 0;
+        const px = x1 + t * dx - x;
+        const py = y1 + t * dy - y;
+        return Math.sqrt(px * px + py * py);
+    }
+}
+
+// ER符号的Path2D缓存，首次绘制时创建
+CanvasGraphRenderer.markerPaths = null;
+
+// 节点或边数量超过该阈值时自动使用Canvas渲染
+CanvasGraphRenderer.THRESHOLD = {
+    nodes: 300,
+    links: 600
+};
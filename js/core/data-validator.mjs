@@ -0,0 +1,251 @@
+import { DynamicExpression } from './dynamic-expression.mjs';
+import { TagPathTracer } from './tag-path-tracer.mjs';
+
+/**
+ * 数据校验模块
+ * 检查语义标签与关系定义之间的完整性，生成按严重程度分级的问题列表
+ */
+export class DataValidator {
+    constructor(dataProcessor) {
+        this.dataProcessor = dataProcessor;
+        this.tracer = new TagPathTracer(dataProcessor);
+    }
+
+    /**
+     * 执行全部校验
+     */
+    validate() {
+        const issues = [];
+        const activeTags = this.dataProcessor.tags.filter(tag => !tag.is_deleted);
+
+        this.checkTagFields(activeTags, issues);
+        this.checkDuplicateTagIds(activeTags, issues);
+        this.checkDuplicateRelationIds(issues);
+
+        const validTags = activeTags.filter(tag => Array.isArray(tag.relation_ids));
+        this.checkDanglingRelations(validTags, issues);
+        this.checkTenantMismatch(validTags, issues);
+        this.checkTagPaths(validTags, issues);
+        this.checkConditionTableRefs(issues);
+        this.checkDynamicExpressions(issues);
+        this.checkUnusedRelations(validTags, issues);
+
+        const order = { error: 0, warning: 1, info: 2 };
+        return issues.sort((a, b) => order[a.severity] - order[b.severity]);
+    }
+
+    /**
+     * 标签必填字段
+     */
+    checkTagFields(tags, issues) {
+        tags.forEach(tag => {
+            const missing = ['tag_id', 'tag_name', 'src_dataset', 'dst_dataset']
+                .filter(field => !tag[field]);
+            if (!Array.isArray(tag.relation_ids)) {
+                missing.push('relation_ids');
+            }
+
+            if (missing.length > 0) {
+                issues.push(this.createIssue('error', 'invalid-tag',
+                    `标签 ${this.describeTag(tag)} 缺少字段: ${missing.join(', ')}`,
+                    { tag }
+                ));
+            }
+        });
+    }
+
+    /**
+     * 同一租户下tag_id重复
+     */
+    checkDuplicateTagIds(tags, issues) {
+        const seen = new Map();
+        tags.forEach(tag => {
+            const key = `${tag.tenant_id}:${tag.tag_id}`;
+            if (!seen.has(key)) {
+                seen.set(key, []);
+            }
+            seen.get(key).push(tag);
+        });
+
+        seen.forEach(duplicates => {
+            if (duplicates.length < 2) return;
+
+            const names = duplicates.map(tag => tag.tag_name).join(', ');
+            issues.push(this.createIssue('error', 'duplicate-tag-id',
+                `租户 ${duplicates[0].tenant_id} 中 tag_id ${duplicates[0].tag_id} 重复 ${duplicates.length} 次（${names}）`,
+                { tag: duplicates[0] }
+            ));
+        });
+    }
+
+    /**
+     * 关系ID重复
+     */
+    checkDuplicateRelationIds(issues) {
+        const counts = new Map();
+        this.dataProcessor.relations.forEach(relation => {
+            counts.set(relation.id, (counts.get(relation.id) || 0) + 1);
+        });
+
+        counts.forEach((count, relationId) => {
+            if (count > 1) {
+                issues.push(this.createIssue('error', 'duplicate-relation-id',
+                    `关系ID ${relationId} 重复定义 ${count} 次`,
+                    { relationId }
+                ));
+            }
+        });
+    }
+
+    /**
+     * 标签引用了不存在的关系
+     */
+    checkDanglingRelations(tags, issues) {
+        tags.forEach(tag => {
+            tag.relation_ids.forEach(relationId => {
+                if (!this.dataProcessor.relationMap.has(parseInt(relationId))) {
+                    issues.push(this.createIssue('error', 'dangling-relation',
+                        `标签 ${this.describeTag(tag)} 引用的关系 ${relationId} 不存在`,
+                        { tag }
+                    ));
+                }
+            });
+        });
+    }
+
+    /**
+     * 标签与其关系的租户不一致
+     */
+    checkTenantMismatch(tags, issues) {
+        tags.forEach(tag => {
+            tag.relation_ids.forEach(relationId => {
+                const relation = this.dataProcessor.relationMap.get(parseInt(relationId));
+                if (relation && relation.tenant_id !== tag.tenant_id) {
+                    issues.push(this.createIssue('error', 'tenant-mismatch',
+                        `标签 ${this.describeTag(tag)} 属于 ${tag.tenant_id}，但关系 ${relation.id} 属于 ${relation.tenant_id}`,
+                        this.relationTarget(relation, { tag })
+                    ));
+                }
+            });
+        });
+    }
+
+    /**
+     * 标签的关系无法构成从src_dataset到dst_dataset的路径
+     */
+    checkTagPaths(tags, issues) {
+        tags.forEach(tag => {
+            const trace = this.tracer.trace(tag);
+            trace.problems
+                // 不存在的关系已在 checkDanglingRelations 中报告
+                .filter(problem => problem.type !== 'missing-relation')
+                .forEach(problem => {
+                    const relation = problem.relationIds
+                        ? this.dataProcessor.relationMap.get(problem.relationIds[0])
+                        : null;
+                    issues.push(this.createIssue('error', 'broken-path',
+                        `标签 ${this.describeTag(tag)} 路径不完整: ${problem.message}`,
+                        relation ? this.relationTarget(relation, { tag }) : { tag }
+                    ));
+                });
+        });
+    }
+
+    /**
+     * 连接条件中的tableRef与关系的src_table/dst_table不一致
+     */
+    checkConditionTableRefs(issues) {
+        this.dataProcessor.relations.forEach(relation => {
+            (relation.condition || []).forEach((condition, index) => {
+                const srcRef = condition.srcJoinKey && condition.srcJoinKey.tableRef;
+                const dstRef = condition.dstJoinKey && condition.dstJoinKey.tableRef;
+                const mismatches = [];
+
+                if (srcRef !== relation.src_table) {
+                    mismatches.push(`srcJoinKey.tableRef=${srcRef}，期望 ${relation.src_table}`);
+                }
+                if (dstRef !== relation.dst_table) {
+                    mismatches.push(`dstJoinKey.tableRef=${dstRef}，期望 ${relation.dst_table}`);
+                }
+
+                if (mismatches.length > 0) {
+                    issues.push(this.createIssue('warning', 'condition-table-ref',
+                        `关系 ${relation.id} 的第 ${index + 1} 个连接条件表引用不一致: ${mismatches.join('；')}`,
+                        this.relationTarget(relation)
+                    ));
+                }
+            });
+        });
+    }
+
+    /**
+     * dynamic_settings 中格式错误的表达式
+     */
+    checkDynamicExpressions(issues) {
+        this.dataProcessor.relations.forEach(relation => {
+            DynamicExpression.fromRelation(relation).forEach(section => {
+                section.expressions.forEach(expression => {
+                    if (expression.valid) return;
+
+                    issues.push(this.createIssue('warning', 'dynamic-expression',
+                        `关系 ${relation.id} 的${section.label}表达式格式错误: ${expression.text}（${expression.errors.join('；')}）`,
+                        this.relationTarget(relation)
+                    ));
+                });
+            });
+        });
+    }
+
+    /**
+     * 没有被任何标签使用的关系
+     */
+    checkUnusedRelations(tags, issues) {
+        const usedIds = new Set();
+        tags.forEach(tag => {
+            tag.relation_ids.forEach(relationId => usedIds.add(parseInt(relationId)));
+        });
+
+        this.dataProcessor.relations.forEach(relation => {
+            if (relation.is_deleted || usedIds.has(relation.id)) return;
+
+            issues.push(this.createIssue('info', 'unused-relation',
+                `关系 ${relation.id}（${this.dataProcessor.extractTableName(relation.src_table)} → ${this.dataProcessor.extractTableName(relation.dst_table)}）未被任何标签使用`,
+                this.relationTarget(relation)
+            ));
+        });
+    }
+
+    /**
+     * 创建问题记录
+     */
+    createIssue(severity, code, message, target = {}) {
+        return {
+            severity,
+            code,
+            message,
+            tag: target.tag || null,
+            relationId: target.relationId || null,
+            nodeIds: target.nodeIds || [],
+            tenantId: target.tag ? target.tag.tenant_id : (target.tenantId || null)
+        };
+    }
+
+    /**
+     * 以关系作为定位目标（边以及两端的表）
+     */
+    relationTarget(relation, extra = {}) {
+        return {
+            ...extra,
+            relationId: relation.id,
+            nodeIds: [relation.src_table, relation.dst_table],
+            tenantId: relation.tenant_id
+        };
+    }
+
+    /**
+     * 标签的简短描述
+     */
+    describeTag(tag) {
+        return `${tag.tag_name || '(未命名)'}(${tag.tag_id || '?'}@${tag.tenant_id || '?'})`;
+    }
+}
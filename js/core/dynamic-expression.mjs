@@ -0,0 +1,216 @@
+/**
+ * 动态设置表达式解析模块
+ * 解析 dynamic_settings 中的表达式，识别列引用 [table/column]、变量 ${var} 和函数调用 FUNC(...)，并标记格式错误
+ */
+export class DynamicExpression {
+    constructor(text) {
+        this.text = String(text);
+        this.tokens = [];
+        this.errors = [];
+        this.parse();
+    }
+
+    /**
+     * 将表达式拆分为 text / column / variable / function 四类片段
+     */
+    parse() {
+        const text = this.text;
+        const parens = [];
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            if (buffer) {
+                this.tokens.push({ type: 'text', raw: buffer });
+                buffer = '';
+            }
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '[') {
+                const close = text.indexOf(']', i);
+                const nextOpen = text.indexOf('[', i + 1);
+                if (close === -1 || (nextOpen !== -1 && nextOpen < close)) {
+                    this.errors.push(`第 ${i + 1} 个字符处的列引用缺少 "]"`);
+                    buffer += char;
+                    i++;
+                    continue;
+                }
+
+                flush();
+                this.tokens.push(this.parseColumn(text.slice(i, close + 1)));
+                i = close + 1;
+                continue;
+            }
+
+            if (char === '$' && text[i + 1] === '{') {
+                flush();
+                const variable = this.scanVariable(text, i);
+                this.tokens.push(variable);
+                i += variable.raw.length;
+                continue;
+            }
+
+            const functionMatch = /^([A-Za-z_][A-Za-z0-9_]*)\s*\(/.exec(text.slice(i));
+            if (functionMatch && !/[A-Za-z0-9_]/.test(text[i - 1] || '') &&
+                !DynamicExpression.KEYWORDS.has(functionMatch[1].toUpperCase())) {
+                flush();
+                this.tokens.push({ type: 'function', raw: functionMatch[0], name: functionMatch[1] });
+                parens.push(functionMatch[1]);
+                i += functionMatch[0].length;
+                continue;
+            }
+
+            const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+            if (word && !/[A-Za-z0-9_]/.test(text[i - 1] || '')) {
+                // 整词读入，避免关键字后缀被误认为函数名
+                buffer += word[0];
+                i += word[0].length;
+                continue;
+            }
+
+            if (char === '(') {
+                parens.push(null);
+            } else if (char === ')') {
+                if (parens.length === 0) {
+                    this.errors.push(`第 ${i + 1} 个字符处有多余的 ")"`);
+                } else {
+                    parens.pop();
+                }
+            }
+            buffer += char;
+            i++;
+        }
+        flush();
+
+        parens.forEach(name => {
+            this.errors.push(name ? `函数 ${name}( 缺少 ")"` : '括号未闭合');
+        });
+    }
+
+    /**
+     * 解析列引用 [table/column]，列名中可以包含变量
+     */
+    parseColumn(raw) {
+        const inner = raw.slice(1, -1);
+        const slash = inner.indexOf('/');
+        const token = { type: 'column', raw, table: '', column: '', variables: [] };
+
+        if (slash === -1) {
+            this.errors.push(`列引用 ${raw} 缺少 "/"，应为 [表名/列名]`);
+            token.column = inner;
+        } else {
+            token.table = inner.slice(0, slash).trim();
+            token.column = inner.slice(slash + 1).trim();
+            if (!token.table || !token.column) {
+                this.errors.push(`列引用 ${raw} 缺少表名或列名`);
+            }
+        }
+
+        let index = token.column.indexOf('${');
+        while (index !== -1) {
+            const variable = this.scanVariable(token.column, index);
+            token.variables.push(variable.name);
+            index = token.column.indexOf('${', index + variable.raw.length);
+        }
+
+        return token;
+    }
+
+    /**
+     * 从 start 处（"${" 的位置）读取变量，缺少 "}" 时记录错误
+     */
+    scanVariable(text, start) {
+        const name = (/^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(start + 2)) || [''])[0];
+        const end = start + 2 + name.length;
+
+        if (text[end] === '}' && name) {
+            return { type: 'variable', raw: text.slice(start, end + 1), name };
+        }
+
+        const raw = text.slice(start, end);
+        this.errors.push(name ? `变量 ${raw} 缺少 "}"` : `第 ${start + 1} 个字符处的变量名为空或不合法`);
+        return { type: 'variable', raw, name };
+    }
+
+    /**
+     * 表达式中出现的所有变量名（去重）
+     */
+    get variables() {
+        const names = [];
+        this.tokens.forEach(token => {
+            if (token.type === 'variable') names.push(token.name);
+            if (token.type === 'column') names.push(...token.variables);
+        });
+        return [...new Set(names.filter(name => name))];
+    }
+
+    /**
+     * 表达式中的列引用
+     */
+    get columnRefs() {
+        return this.tokens.filter(token => token.type === 'column');
+    }
+
+    /**
+     * 表达式中调用的函数名
+     */
+    get functions() {
+        return this.tokens.filter(token => token.type === 'function').map(token => token.name);
+    }
+
+    get valid() {
+        return this.errors.length === 0;
+    }
+
+    /**
+     * 用变量值替换占位符生成预览，列引用输出为 table.column，未赋值的变量保持原样
+     */
+    preview(values = {}) {
+        const fill = text => text.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (raw, name) =>
+            values[name] !== undefined && values[name] !== '' ? values[name] : raw
+        );
+
+        return this.tokens.map(token => {
+            if (token.type === 'variable') return fill(token.raw);
+            if (token.type === 'column') {
+                return token.table ? `${token.table}.${fill(token.column)}` : fill(token.column);
+            }
+            return token.raw;
+        }).join('');
+    }
+
+    /**
+     * 解析关系的 dynamic_settings，按类别返回 [{ key, label, expressions }]
+     */
+    static fromRelation(relation) {
+        const settings = (relation && relation.dynamic_settings) || {};
+
+        return Object.keys(settings)
+            .filter(key => Array.isArray(settings[key]) && settings[key].length > 0)
+            .map(key => ({
+                key,
+                label: DynamicExpression.SECTION_LABELS[key] || key,
+                expressions: settings[key].map(text => new DynamicExpression(text))
+            }));
+    }
+
+    /**
+     * 关系是否带有动态设置
+     */
+    static hasDynamic(relation) {
+        return DynamicExpression.fromRelation(relation).length > 0;
+    }
+}
+
+// dynamic_settings 各字段的显示名称
+DynamicExpression.SECTION_LABELS = {
+    dynamicConditions: '动态连接条件',
+    dynamicSrcFilters: '源表过滤条件',
+    dynamicDstFilters: '目标表过滤条件'
+};
+
+// 后面可以跟括号但不是函数的SQL关键字
+DynamicExpression.KEYWORDS = new Set(['AND', 'OR', 'NOT', 'IN', 'EXISTS', 'ON', 'WHERE', 'SELECT']);
@@ -0,0 +1,12 @@
+/**
+ * 关系模型核心模块的入口
+ * 不依赖DOM和D3，浏览器（js/bridge.mjs）和命令行（bin/relation-cli.mjs）都从这里导入
+ */
+export { RelationModel } from './relation-model.mjs';
+export { DynamicExpression } from './dynamic-expression.mjs';
+export { ModelDiff } from './model-diff.mjs';
+export { ModelTimeline } from './model-timeline.mjs';
+export { TagPathTracer } from './tag-path-tracer.mjs';
+export { DataValidator } from './data-validator.mjs';
+export { ModelExporter } from './model-exporter.mjs';
+export { RelationImporter } from './relation-importer.mjs';
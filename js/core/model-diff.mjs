@@ -0,0 +1,176 @@
+/**
+ * 模型对比模块
+ * 比较两个版本的标签和关系数据，找出新增、删除和修改的记录及修改的字段
+ * 不依赖页面和其他模块，输入为 { tags, relations } 原始数据；已删除（is_deleted）的记录视为不存在
+ */
+export class ModelDiff {
+    /**
+     * 比较基准版本和目标版本
+     * 返回 {
+     *   relations: { added, removed, changed: [{ id, before, after, fields }] },
+     *   tags: { added, removed, changed: [{ key, before, after, fields }] },
+     *   relationStatus: Map(关系ID → 'added' | 'removed' | 'changed'),
+     *   tagStatus: Map(标签键 → 状态),
+     *   membershipStatus: Map(`标签键|关系ID` → 'added' | 'removed')  标签中新增或移除的关系
+     * }
+     * fields 为 [{ field, before, after }]；标签的 relation_ids 按集合比较，字段中附带 added/removed 的关系ID
+     */
+    static compare(base, target) {
+        const relations = ModelDiff.compareRows(
+            ModelDiff.indexRows(base.relations, relation => relation.id),
+            ModelDiff.indexRows(target.relations, relation => relation.id),
+            'id'
+        );
+        const tags = ModelDiff.compareRows(
+            ModelDiff.indexRows(base.tags, ModelDiff.getTagKey),
+            ModelDiff.indexRows(target.tags, ModelDiff.getTagKey),
+            'key'
+        );
+
+        const relationStatus = ModelDiff.collectStatus(relations, relation => relation.id);
+        const tagStatus = ModelDiff.collectStatus(tags, ModelDiff.getTagKey);
+
+        const membershipStatus = new Map();
+        tags.changed.forEach(change => {
+            const relationField = change.fields.find(field => field.field === 'relation_ids');
+            if (!relationField) return;
+            relationField.added.forEach(id => membershipStatus.set(`${change.key}|${id}`, 'added'));
+            relationField.removed.forEach(id => membershipStatus.set(`${change.key}|${id}`, 'removed'));
+        });
+
+        return { relations, tags, relationStatus, tagStatus, membershipStatus };
+    }
+
+    /**
+     * 合并两个版本：目标版本的全部记录加上基准版本中被删除的记录，用于在同一张图中显示差异
+     */
+    static merge(base, target, diff = ModelDiff.compare(base, target)) {
+        return {
+            tags: [...target.tags, ...diff.tags.removed],
+            relations: [...target.relations, ...diff.relations.removed]
+        };
+    }
+
+    /**
+     * 标签中某个关系（泳道）的状态：标签或关系整体的新增/删除优先，其次是标签中新增或移除了该关系，最后是关系本身的修改
+     */
+    static getLaneStatus(diff, tagKey, relationId) {
+        const tagStatus = diff.tagStatus.get(tagKey);
+        if (tagStatus === 'added' || tagStatus === 'removed') return tagStatus;
+
+        const relationStatus = diff.relationStatus.get(relationId);
+        if (relationStatus === 'added' || relationStatus === 'removed') return relationStatus;
+
+        return diff.membershipStatus.get(`${tagKey}|${relationId}`) || relationStatus || null;
+    }
+
+    /**
+     * 标签的唯一标识，与 RelationModel.getTagKey() 一致
+     */
+    static getTagKey(tag) {
+        return `${tag.tenant_id}:${tag.tag_id}`;
+    }
+
+    /**
+     * 按键建立未删除记录的索引
+     */
+    static indexRows(rows, getKey) {
+        const index = new Map();
+        (rows || []).forEach(row => {
+            if (row && !row.is_deleted) {
+                index.set(getKey(row), row);
+            }
+        });
+        return index;
+    }
+
+    static compareRows(baseIndex, targetIndex, keyName) {
+        const result = { added: [], removed: [], changed: [] };
+
+        targetIndex.forEach((row, key) => {
+            const before = baseIndex.get(key);
+            if (!before) {
+                result.added.push(row);
+                return;
+            }
+
+            const fields = ModelDiff.compareFields(before, row);
+            if (fields.length > 0) {
+                result.changed.push({ [keyName]: key, before, after: row, fields });
+            }
+        });
+
+        baseIndex.forEach((row, key) => {
+            if (!targetIndex.has(key)) {
+                result.removed.push(row);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * 逐字段比较两条记录，忽略ID、时间戳和操作人等元数据
+     */
+    static compareFields(before, after) {
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(field => !ModelDiff.IGNORED_FIELDS.includes(field))
+            .sort();
+
+        return fields.flatMap(field => {
+            if (field === 'relation_ids') {
+                const beforeIds = ModelDiff.toIdSet(before[field]);
+                const afterIds = ModelDiff.toIdSet(after[field]);
+                const added = [...afterIds].filter(id => !beforeIds.has(id));
+                const removed = [...beforeIds].filter(id => !afterIds.has(id));
+                return added.length > 0 || removed.length > 0
+                    ? [{ field, before: [...beforeIds], after: [...afterIds], added, removed }]
+                    : [];
+            }
+
+            return ModelDiff.stableStringify(before[field]) === ModelDiff.stableStringify(after[field])
+                ? []
+                : [{ field, before: before[field], after: after[field] }];
+        });
+    }
+
+    static collectStatus(result, getKey) {
+        const status = new Map();
+        result.added.forEach(row => status.set(getKey(row), 'added'));
+        result.removed.forEach(row => status.set(getKey(row), 'removed'));
+        result.changed.forEach(change => status.set(getKey(change.after), 'changed'));
+        return status;
+    }
+
+    static toIdSet(ids) {
+        return new Set((ids || []).map(id => parseInt(id)).filter(id => !Number.isNaN(id)));
+    }
+
+    /**
+     * 对象键排序后序列化，使键顺序不同但内容相同的对象相等
+     */
+    static stableStringify(value) {
+        if (value === undefined) return 'null';
+        if (value === null || typeof value !== 'object') return JSON.stringify(value);
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ModelDiff.stableStringify(item)).join(',')}]`;
+        }
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${ModelDiff.stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+
+    /**
+     * 字段值的文本表示
+     */
+    static formatValue(value) {
+        if (value === null || value === undefined || value === '') return '（空）';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+// 比较时忽略的字段
+ModelDiff.IGNORED_FIELDS = [
+    'id', 'gmt_create', 'gmt_update', 'gmt_delete',
+    'create_operator', 'update_operator', 'delete_operator', 'is_deleted'
+];
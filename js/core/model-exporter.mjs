@@ -0,0 +1,289 @@
+import { RelationModel } from './relation-model.mjs';
+
+/**
+ * 模型格式导出模块
+ * 把节点和边转换为其他工具可读的文本：GraphML（yEd/Gephi）、Graphviz DOT、Mermaid erDiagram 和 Neo4j 的 Cypher 语句
+ * 标签、关系ID和连接条件作为属性保留；输入为 { nodes, links }，边的端点可以是节点对象或表ID
+ */
+export class ModelExporter {
+    /**
+     * 按格式导出，返回文本
+     */
+    static export(format, data) {
+        const exporters = {
+            graphml: ModelExporter.toGraphML,
+            dot: ModelExporter.toDot,
+            mermaid: ModelExporter.toMermaid,
+            cypher: ModelExporter.toCypher
+        };
+        if (!exporters[format]) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+        return exporters[format](data);
+    }
+
+    /**
+     * GraphML，节点和边的属性用 <key> 声明
+     */
+    static toGraphML(data) {
+        const nodeKeys = [
+            ['name', 'string'], ['catalog', 'string'], ['schema', 'string'],
+            ['tenantId', 'string'], ['columns', 'string']
+        ];
+        const edgeKeys = [
+            ['relationId', 'long'], ['type', 'string'], ['direction', 'string'], ['tenantId', 'string'],
+            ['tagIds', 'string'], ['tagNames', 'string'], ['condition', 'string'], ['untagged', 'boolean'], ['color', 'string']
+        ];
+        const xml = ModelExporter.escapeXml;
+        const dataLines = (prefix, values) => Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `      <data key="${prefix}_${key}">${xml(value)}</data>`);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            ...nodeKeys.map(([name, type]) => `  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+            ...edgeKeys.map(([name, type]) => `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`),
+            '  <graph id="relations" edgedefault="directed">'
+        ];
+
+        data.nodes.forEach(node => {
+            lines.push(`    <node id="${xml(node.id)}">`);
+            lines.push(...dataLines('n', {
+                name: node.name,
+                catalog: node.catalog,
+                schema: node.schema,
+                tenantId: node.tenantId,
+                columns: (node.columns || []).map(column => column.name).join(', ')
+            }));
+            lines.push('    </node>');
+        });
+
+        data.links.forEach(link => {
+            const { source, target } = ModelExporter.getEndpoints(link);
+            lines.push(`    <edge id="${xml(link.id)}" source="${xml(source)}" target="${xml(target)}">`);
+            lines.push(...dataLines('e', {
+                relationId: link.relationId,
+                type: link.type,
+                direction: link.direction,
+                tenantId: link.tenantId,
+                tagIds: link.tagIds.join(', '),
+                tagNames: link.tagNames.join(', '),
+                condition: ModelExporter.formatCondition(link),
+                untagged: !!link.untagged,
+                color: link.color
+            }));
+            lines.push('    </edge>');
+        });
+
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Graphviz DOT，边的颜色取第一个标签的颜色，双向关系两端画箭头，未被标签引用的关系画虚线
+     */
+    static toDot(data) {
+        const quote = ModelExporter.quoteDot;
+        const attributes = values => Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `${key}=${quote(value)}`)
+            .join(', ');
+
+        const lines = [
+            'digraph relations {',
+            '    rankdir=LR;',
+            '    node [shape=box, style=rounded, fontname="Helvetica"];',
+            '    edge [fontname="Helvetica", fontsize=10];',
+            ''
+        ];
+
+        data.nodes.forEach(node => {
+            lines.push(`    ${quote(node.id)} [${attributes({
+                label: node.name,
+                tooltip: node.id,
+                tenant_id: node.tenantId,
+                columns: (node.columns || []).map(column => column.name).join(', ')
+            })}];`);
+        });
+        lines.push('');
+
+        data.links.forEach(link => {
+            const { source, target } = ModelExporter.getEndpoints(link);
+            const values = {
+                label: link.tagNames.length > 0 ? `${link.relationId}\n${link.tagNames.join(', ')}` : link.relationId,
+                color: link.color,
+                relation_id: link.relationId,
+                relation_type: link.type,
+                tenant_id: link.tenantId,
+                tag_ids: link.tagIds.join(', '),
+                tag_names: link.tagNames.join(', '),
+                condition: ModelExporter.formatCondition(link)
+            };
+            if (RelationModel.isBidirectional(link)) {
+                values.dir = 'both';
+            }
+            if (link.untagged) {
+                values.style = 'dashed';
+            }
+            lines.push(`    ${quote(source)} -> ${quote(target)} [${attributes(values)}];`);
+        });
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Mermaid erDiagram，关系基数取自关系的 type（如 ONE_TO_MANY），列出每张表参与连接的列
+     * Mermaid 的关系上只能有一个标签，关系ID、标签和连接条件写在关系前的注释中；未被标签引用的关系画虚线
+     */
+    static toMermaid(data) {
+        const entityNames = ModelExporter.getEntityNames(data.nodes);
+        const label = text => `"${String(text).replace(/"/g, "'")}"`;
+        const lines = ['erDiagram'];
+
+        data.links.forEach(link => {
+            const { source, target } = ModelExporter.getEndpoints(link);
+            if (!entityNames.has(source) || !entityNames.has(target)) return;
+
+            const tags = link.tagNames.length > 0 ? link.tagNames.join(', ') : '未被标签引用';
+            const condition = ModelExporter.formatCondition(link);
+            const line = link.untagged ? '..' : '--';
+            lines.push(`    %% relation ${link.relationId} (${link.type || 'UNKNOWN'}) tags: ${tags}${condition ? ` on ${condition}` : ''}`);
+            lines.push(`    ${entityNames.get(source)} ${ModelExporter.getMermaidCardinality(link.type, line)} ${entityNames.get(target)} : ${label(`${link.relationId} ${tags}`)}`);
+        });
+
+        data.nodes.forEach(node => {
+            const columns = node.columns || [];
+            lines.push(`    ${entityNames.get(node.id)} {`);
+            columns.forEach(column => {
+                lines.push(`        column ${ModelExporter.toIdentifier(column.name)}${column.hub ? ' "hub"' : ''}`);
+            });
+            lines.push('    }');
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Neo4j Cypher：每张表创建一个 :Table 节点，每条关系按表ID匹配两端后创建 :RELATES_TO 关系
+     */
+    static toCypher(data) {
+        const literal = ModelExporter.toCypherLiteral;
+        const properties = values => `{${Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${key}: ${literal(value)}`)
+            .join(', ')}}`;
+
+        const lines = ['CREATE CONSTRAINT table_id IF NOT EXISTS FOR (t:Table) REQUIRE t.id IS UNIQUE;', ''];
+
+        data.nodes.forEach(node => {
+            lines.push(`CREATE (:Table ${properties({
+                id: node.id,
+                name: node.name,
+                catalog: node.catalog,
+                schema: node.schema,
+                tenantId: node.tenantId,
+                columns: (node.columns || []).map(column => column.name)
+            })});`);
+        });
+        lines.push('');
+
+        data.links.forEach(link => {
+            const { source, target } = ModelExporter.getEndpoints(link);
+            lines.push(`MATCH (s:Table {id: ${literal(source)}}), (t:Table {id: ${literal(target)}}) ` +
+                `CREATE (s)-[:RELATES_TO ${properties({
+                    relationId: link.relationId,
+                    type: link.type,
+                    direction: link.direction,
+                    tenantId: link.tenantId,
+                    tagIds: link.tagIds,
+                    tagNames: link.tagNames,
+                    condition: ModelExporter.formatCondition(link),
+                    untagged: !!link.untagged
+                })}]->(t);`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 边两端的表ID（布局后 source/target 为节点对象）
+     */
+    static getEndpoints(link) {
+        const id = end => (end && typeof end === 'object' ? end.id : end);
+        return { source: id(link.source), target: id(link.target) };
+    }
+
+    /**
+     * 连接条件的文本，如 region.address_code = shop.address_code，多个条件用 AND 连接
+     */
+    static formatCondition(link) {
+        const tableName = ref => String(ref || '').split('.').pop();
+        const key = (joinKey, fallbackTable) => joinKey
+            ? `${tableName(joinKey.tableRef || fallbackTable)}.${joinKey.column}`
+            : '?';
+
+        return (link.condition || [])
+            .map(condition => `${key(condition.srcJoinKey, link.srcTable)} ${condition.op || '='} ${key(condition.dstJoinKey, link.dstTable)}`)
+            .join(' AND ');
+    }
+
+    /**
+     * Mermaid 的基数符号，如 ONE_TO_MANY 为 ||--o{；无法识别的一端按零或一处理
+     */
+    static getMermaidCardinality(type, line = '--') {
+        const [source, target] = String(type || '').split('_TO_');
+        const left = { ONE: '||', MANY: '}o' }[source] || '|o';
+        const right = { ONE: '||', MANY: 'o{' }[target] || 'o|';
+        return `${left}${line}${right}`;
+    }
+
+    /**
+     * Mermaid 实体名：优先使用表名，不同租户或库中的同名表改用完整表名
+     */
+    static getEntityNames(nodes) {
+        const counts = new Map();
+        nodes.forEach(node => counts.set(node.name, (counts.get(node.name) || 0) + 1));
+        return new Map(nodes.map(node => [
+            node.id,
+            ModelExporter.toIdentifier(counts.get(node.name) > 1 ? node.id : node.name)
+        ]));
+    }
+
+    static toIdentifier(name) {
+        const identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+        return /^[A-Za-z_]/.test(identifier) ? identifier : `_${identifier}`;
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static quoteDot(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    }
+
+    static toCypherLiteral(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(ModelExporter.toCypherLiteral).join(', ')}]`;
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+}
+
+// 导出格式的文件扩展名和MIME类型
+ModelExporter.FORMATS = {
+    graphml: { label: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml' },
+    dot: { label: 'Graphviz DOT', extension: 'dot', mimeType: 'text/vnd.graphviz' },
+    mermaid: { label: 'Mermaid ER', extension: 'mmd', mimeType: 'text/plain' },
+    cypher: { label: 'Cypher', extension: 'cypher', mimeType: 'text/plain' }
+};
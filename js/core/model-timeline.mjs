@@ -0,0 +1,155 @@
+/**
+ * 模型时间线模块
+ * 根据标签和关系的 gmt_create、gmt_delete（软删除时缺少删除时间则用 gmt_update）还原任意时刻的模型
+ * 创建和删除按时间排序为变更事件，同一时刻的事件合并为一步
+ */
+export class ModelTimeline {
+    constructor({ tags, relations }) {
+        this.tags = tags || [];
+        this.relations = relations || [];
+        this.events = [];  // [{ time, kind: 'tag' | 'relation', action: 'create' | 'delete', row }]
+        this.steps = [];   // [{ time, events }]，按时间排序
+
+        this.buildEvents();
+    }
+
+    buildEvents() {
+        const addEvents = (rows, kind) => rows.forEach(row => {
+            if (!row) return;
+            const { start, end } = ModelTimeline.getLifetime(row);
+            if (Number.isFinite(start)) {
+                this.events.push({ time: start, kind, action: 'create', row });
+            }
+            if (Number.isFinite(end) && end > start) {
+                this.events.push({ time: end, kind, action: 'delete', row });
+            }
+        });
+        addEvents(this.relations, 'relation');
+        addEvents(this.tags, 'tag');
+
+        this.events.sort((a, b) => a.time - b.time);
+        this.events.forEach(event => {
+            const last = this.steps[this.steps.length - 1];
+            if (last && last.time === event.time) {
+                last.events.push(event);
+            } else {
+                this.steps.push({ time: event.time, events: [event] });
+            }
+        });
+    }
+
+    /**
+     * 指定时刻的标签和关系：创建时间不晚于该时刻、且尚未删除的记录
+     * 当时仍存在的软删除记录以 is_deleted: false 的副本返回，使 DataProcessor 正常处理
+     */
+    snapshot(time) {
+        const liveRows = rows => rows
+            .filter(row => row && ModelTimeline.isLive(row, time))
+            .map(row => row.is_deleted ? { ...row, is_deleted: false } : row);
+
+        return {
+            tags: liveRows(this.tags),
+            relations: liveRows(this.relations)
+        };
+    }
+
+    /**
+     * 不晚于指定时刻的最后一步，早于所有事件时返回0
+     */
+    getStepIndex(time) {
+        let low = 0;
+        let high = this.steps.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.steps[middle].time <= time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return Math.max(0, low - 1);
+    }
+
+    /**
+     * 一步中新创建的关系ID，包括新创建标签中的关系，用于在图中突出显示
+     */
+    getCreatedRelationIds(step) {
+        const ids = new Set();
+        step.events
+            .filter(event => event.action === 'create')
+            .forEach(event => {
+                if (event.kind === 'relation') {
+                    ids.add(parseInt(event.row.id));
+                } else {
+                    (event.row.relation_ids || []).forEach(id => ids.add(parseInt(id)));
+                }
+            });
+        return [...ids];
+    }
+
+    /**
+     * 一步的文字描述，如“新增 2 个关系、1 个标签；删除 1 个标签”
+     */
+    static describeStep(step) {
+        const describe = action => {
+            const count = kind => step.events.filter(event => event.action === action && event.kind === kind).length;
+            return [['relation', '关系'], ['tag', '标签']]
+                .filter(([kind]) => count(kind) > 0)
+                .map(([kind, label]) => `${count(kind)} 个${label}`)
+                .join('、');
+        };
+
+        const created = describe('create');
+        const deleted = describe('delete');
+        return [created && `新增 ${created}`, deleted && `删除 ${deleted}`].filter(text => text).join('；');
+    }
+
+    /**
+     * 记录的存在区间 [start, end)，没有创建时间时从最早开始，未删除时一直存在
+     */
+    static getLifetime(row) {
+        const start = ModelTimeline.parseTime(row.gmt_create);
+        const created = start === null ? -Infinity : start;
+        if (!row.is_deleted) {
+            return { start: created, end: Infinity };
+        }
+
+        const deleted = ModelTimeline.parseTime(row.gmt_delete);
+        const updated = ModelTimeline.parseTime(row.gmt_update);
+        // 已删除但没有任何删除时间时视为从未存在
+        const end = deleted !== null ? deleted : (updated !== null ? updated : created);
+        return { start: created, end };
+    }
+
+    static isLive(row, time) {
+        const { start, end } = ModelTimeline.getLifetime(row);
+        return start <= time && time < end;
+    }
+
+    /**
+     * 解析 "2025-09-14 19:46:51.233000" 格式的时间（按本地时间），无法解析时返回null
+     */
+    static parseTime(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return value;
+
+        const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?/);
+        if (!match) {
+            const parsed = Date.parse(value);
+            return Number.isNaN(parsed) ? null : parsed;
+        }
+
+        const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+        return new Date(year, month - 1, day, hour, minute, second, parseInt(fraction.padEnd(3, '0').slice(0, 3))).getTime();
+    }
+
+    /**
+     * 格式化为 "2025-09-14 19:46:51"
+     */
+    static formatTime(time) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+}
@@ -0,0 +1,453 @@
+/**
+ * 关系定义导入模块
+ * 把SQL DDL中的外键（FOREIGN KEY / REFERENCES）和dbt manifest.json中的relationships测试转换为与
+ * semantic_dm_table_relation_def.json 相同结构的关系记录
+ * 被引用的表（一端）作为源表，引用它的表作为目标表；外键列同时是主键或唯一键时为 ONE_TO_ONE，否则为 ONE_TO_MANY
+ */
+export class RelationImporter {
+    /**
+     * 根据内容识别文件类型：dbt 的 manifest.json 或SQL DDL，无法识别时返回null
+     */
+    static detectKind(text) {
+        try {
+            const content = JSON.parse(text);
+            return content && typeof content === 'object' && content.nodes ? 'dbt' : null;
+        } catch (error) {
+            return /\b(?:CREATE|ALTER)\s+(?:[A-Z]+\s+)*TABLE\b/i.test(text) ? 'ddl' : null;
+        }
+    }
+
+    /**
+     * 按类型导入，返回 { relations, warnings }
+     */
+    static import(kind, text, options = {}) {
+        if (kind === 'ddl') {
+            return RelationImporter.fromDdl(text, options);
+        }
+        if (kind === 'dbt') {
+            return RelationImporter.fromDbtManifest(JSON.parse(text), options);
+        }
+        throw new Error(`不支持的导入类型: ${kind}`);
+    }
+
+    /**
+     * 解析SQL DDL
+     * 支持 CREATE TABLE 中的列级 REFERENCES、表级 [CONSTRAINT name] FOREIGN KEY (...) REFERENCES ...，
+     * 以及 ALTER TABLE ... ADD [CONSTRAINT name] FOREIGN KEY 和 ADD [COLUMN] 列定义中的 REFERENCES；REFERENCES 省略列时使用被引用表的主键
+     * 未加引号的表名和列名按SQL的规则不区分大小写，统一转为小写
+     * options: { catalog, schema } 补全未写库名的表名，tenantId 写入 tenant_id
+     */
+    static fromDdl(sql, options = {}) {
+        const tables = new Map();
+        const foreignKeys = [];
+        const warnings = [];
+        const getTable = name => {
+            if (!tables.has(name)) {
+                tables.set(name, { primaryKey: [], uniqueKeys: [] });
+            }
+            return tables.get(name);
+        };
+
+        RelationImporter.splitStatements(RelationImporter.stripComments(sql)).forEach(statement => {
+            const create = RelationImporter.CREATE_TABLE_PATTERN.exec(statement);
+            if (create) {
+                const tableName = RelationImporter.qualifyName(create[1], options);
+                const body = RelationImporter.extractParenthesized(statement, create.index + create[0].length - 1);
+                const table = getTable(tableName);
+                RelationImporter.splitTopLevel(body).forEach(item =>
+                    RelationImporter.parseTableItem(item, tableName, table, foreignKeys, options));
+                return;
+            }
+
+            const alter = RelationImporter.ALTER_TABLE_PATTERN.exec(statement);
+            if (alter) {
+                const tableName = RelationImporter.qualifyName(alter[1], options);
+                const table = getTable(tableName);
+                RelationImporter.splitTopLevel(alter[2]).forEach(item =>
+                    RelationImporter.parseTableItem(item.replace(/^\s*ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?/i, ''), tableName, table, foreignKeys, options));
+            }
+        });
+
+        const relations = [];
+        foreignKeys.forEach(foreignKey => {
+            const parent = tables.get(foreignKey.refTable);
+            const refColumns = foreignKey.refColumns.length > 0 ? foreignKey.refColumns : (parent ? parent.primaryKey : []);
+            if (refColumns.length !== foreignKey.columns.length) {
+                warnings.push(`外键 ${foreignKey.name || foreignKey.table} → ${foreignKey.refTable} 的列数不一致或无法确定被引用的列，已跳过`);
+                return;
+            }
+
+            const child = tables.get(foreignKey.table);
+            const unique = [child.primaryKey, ...child.uniqueKeys]
+                .some(columns => RelationImporter.sameColumns(columns, foreignKey.columns));
+            relations.push(RelationImporter.createRelation({
+                id: relations.length + 1,
+                name: foreignKey.name,
+                srcTable: foreignKey.refTable,
+                dstTable: foreignKey.table,
+                srcColumns: refColumns,
+                dstColumns: foreignKey.columns,
+                type: unique ? 'ONE_TO_ONE' : 'ONE_TO_MANY',
+                tenantId: options.tenantId
+            }));
+        });
+
+        return { relations, warnings };
+    }
+
+    /**
+     * 解析 CREATE TABLE 括号中的一项（列定义或表级约束），或 ALTER TABLE ADD 的约束或列
+     */
+    static parseTableItem(item, tableName, table, foreignKeys, options) {
+        const NAME = RelationImporter.NAME_PATTERN;
+        let text = item.trim();
+        let constraintName = null;
+
+        const constraint = new RegExp(`^CONSTRAINT\\s+(${NAME})\\s+`, 'i').exec(text);
+        if (constraint) {
+            constraintName = RelationImporter.normalizeIdentifier(constraint[1]);
+            text = text.slice(constraint[0].length);
+        }
+
+        const primaryKey = /^PRIMARY\s+KEY\b[^(]*\(([^)]*)\)/i.exec(text);
+        if (primaryKey) {
+            table.primaryKey = RelationImporter.parseColumnList(primaryKey[1]);
+            return;
+        }
+
+        const unique = /^UNIQUE\b(?:\s+(?:KEY|INDEX))?[^(]*\(([^)]*)\)/i.exec(text);
+        if (unique) {
+            table.uniqueKeys.push(RelationImporter.parseColumnList(unique[1]));
+            return;
+        }
+
+        const foreignKey = new RegExp(`^FOREIGN\\s+KEY\\b[^(]*\\(([^)]*)\\)\\s*REFERENCES\\s+(${NAME})\\s*(?:\\(([^)]*)\\))?`, 'i').exec(text);
+        if (foreignKey) {
+            foreignKeys.push({
+                name: constraintName,
+                table: tableName,
+                columns: RelationImporter.parseColumnList(foreignKey[1]),
+                refTable: RelationImporter.qualifyName(foreignKey[2], options),
+                refColumns: foreignKey[3] ? RelationImporter.parseColumnList(foreignKey[3]) : []
+            });
+            return;
+        }
+
+        if (constraintName || /^(?:KEY|INDEX|CHECK|FULLTEXT|SPATIAL|EXCLUDE|PERIOD|LIKE)\b/i.test(text)) {
+            return;
+        }
+
+        // 列定义：列级的 PRIMARY KEY、UNIQUE 和 REFERENCES
+        const column = new RegExp(`^(${NAME})`).exec(text);
+        if (!column) return;
+        const columnName = RelationImporter.normalizeIdentifier(column[1]);
+        const rest = text.slice(column[0].length);
+
+        if (/\bPRIMARY\s+KEY\b/i.test(rest)) {
+            table.primaryKey = [columnName];
+        }
+        if (/\bUNIQUE\b/i.test(rest)) {
+            table.uniqueKeys.push([columnName]);
+        }
+        const reference = new RegExp(`\\bREFERENCES\\s+(${NAME})\\s*(?:\\(([^)]*)\\))?`, 'i').exec(rest);
+        if (reference) {
+            foreignKeys.push({
+                name: null,
+                table: tableName,
+                columns: [columnName],
+                refTable: RelationImporter.qualifyName(reference[1], options),
+                refColumns: reference[2] ? RelationImporter.parseColumnList(reference[2]) : []
+            });
+        }
+    }
+
+    /**
+     * 解析dbt的 manifest.json 中的 relationships 测试（包括 dbt_utils 的 relationships_where）
+     * 测试所在的模型为目标表，to 引用的模型或source为源表；目标列带有 unique 测试或唯一约束时为 ONE_TO_ONE
+     * options: { catalog } 在模型没有database时使用，tenantId 写入 tenant_id
+     */
+    static fromDbtManifest(manifest, options = {}) {
+        const nodes = manifest.nodes || {};
+        const sources = manifest.sources || {};
+        const tests = Object.values(nodes).filter(node => node.resource_type === 'test' && node.test_metadata);
+        const relations = [];
+        const warnings = [];
+
+        const uniqueColumns = new Set();
+        tests.filter(test => test.test_metadata.name === 'unique').forEach(test => {
+            const column = test.column_name || (test.test_metadata.kwargs || {}).column_name;
+            if (test.attached_node && column) {
+                uniqueColumns.add(`${test.attached_node}|${column}`);
+            }
+        });
+        Object.entries(nodes).forEach(([uniqueId, node]) => {
+            Object.values(node.columns || {}).forEach(column => {
+                if ((column.constraints || []).some(constraint => ['unique', 'primary_key'].includes(constraint.type))) {
+                    uniqueColumns.add(`${uniqueId}|${column.name}`);
+                }
+            });
+        });
+
+        tests.filter(test => ['relationships', 'relationships_where'].includes(test.test_metadata.name)).forEach(test => {
+            const kwargs = test.test_metadata.kwargs || {};
+            const column = kwargs.column_name || test.column_name;
+            const childId = test.attached_node
+                || RelationImporter.findDbtNode(manifest, RelationImporter.parseDbtReference(kwargs.model));
+            const parentId = RelationImporter.findDbtNode(manifest, RelationImporter.parseDbtReference(kwargs.to))
+                || ((test.depends_on || {}).nodes || []).find(id => id !== childId);
+            const child = nodes[childId];
+            const parent = nodes[parentId] || sources[parentId];
+
+            if (!child || !parent || !column || !kwargs.field) {
+                warnings.push(`relationships 测试 ${test.name} 无法确定两端的表或列，已跳过`);
+                return;
+            }
+
+            relations.push(RelationImporter.createRelation({
+                id: relations.length + 1,
+                name: test.name,
+                srcTable: RelationImporter.getDbtTableName(parent, options),
+                dstTable: RelationImporter.getDbtTableName(child, options),
+                srcColumns: [kwargs.field],
+                dstColumns: [column],
+                type: uniqueColumns.has(`${childId}|${column}`) ? 'ONE_TO_ONE' : 'ONE_TO_MANY',
+                tenantId: options.tenantId
+            }));
+        });
+
+        return { relations, warnings };
+    }
+
+    /**
+     * 解析dbt测试参数中的 ref('model')、ref('package', 'model') 或 source('source', 'table')
+     */
+    static parseDbtReference(expression) {
+        const match = /\b(ref|source)\s*\(([^)]*)\)/.exec(String(expression || ''));
+        if (!match) return null;
+
+        const args = [...match[2].matchAll(/(?:^|,)\s*(['"])(.*?)\1/g)].map(arg => arg[2]);
+        if (match[1] === 'source') {
+            return args.length >= 2 ? { kind: 'source', sourceName: args[0], name: args[1] } : null;
+        }
+        return args.length > 0 ? { kind: 'ref', name: args[args.length - 1], packageName: args.length > 1 ? args[0] : null } : null;
+    }
+
+    /**
+     * 在manifest中查找引用对应的模型、种子、快照或source，返回unique_id
+     */
+    static findDbtNode(manifest, reference) {
+        if (!reference) return null;
+
+        if (reference.kind === 'source') {
+            return Object.keys(manifest.sources || {}).find(id => {
+                const source = manifest.sources[id];
+                return source.source_name === reference.sourceName && source.name === reference.name;
+            }) || null;
+        }
+        return Object.keys(manifest.nodes || {}).find(id => {
+            const node = manifest.nodes[id];
+            return ['model', 'seed', 'snapshot'].includes(node.resource_type)
+                && node.name === reference.name
+                && (!reference.packageName || node.package_name === reference.packageName);
+        }) || null;
+    }
+
+    /**
+     * dbt节点对应的表名：database.schema.表名（alias 或 source 的 identifier）
+     */
+    static getDbtTableName(node, options = {}) {
+        return [
+            node.database || options.catalog || 'default',
+            node.schema || options.schema || 'default',
+            node.alias || node.identifier || node.name
+        ].join('.');
+    }
+
+    /**
+     * 创建与 semantic_dm_table_relation_def.json 结构相同的关系记录
+     */
+    static createRelation({ id, name = null, srcTable, dstTable, srcColumns, dstColumns, type, tenantId = null }) {
+        return {
+            id,
+            model_id: null,
+            name,
+            desc: null,
+            type,
+            direction: 'SINGLE',
+            src_table: srcTable,
+            dst_table: dstTable,
+            condition: srcColumns.map((column, index) => ({
+                dstJoinKey: { column: dstColumns[index], tableRef: dstTable, type: 'NAME_REF' },
+                op: '=',
+                srcJoinKey: { column, tableRef: srcTable, type: 'NAME_REF' }
+            })),
+            create_operator: null,
+            update_operator: null,
+            delete_operator: null,
+            gmt_create: null,
+            gmt_update: null,
+            gmt_delete: null,
+            is_deleted: false,
+            src_constraints: '[]',
+            dst_constraints: '[]',
+            tenant_id: tenantId || null,
+            extra_constraint_config: {},
+            dynamic_settings: {}
+        };
+    }
+
+    /**
+     * 去掉重复的关系（同一对表和连接列，不区分方向）并重新编号
+     * 与 existing 中的关系相同时沿用其ID和其他字段，只保留导入的 type 和 condition，方向与已有关系一致；
+     * 其余关系的ID从 existing 的最大ID之后开始，使导入结果可以与已有定义对比
+     */
+    static align(relations, existing = []) {
+        const existingByKey = new Map();
+        existing.filter(relation => !relation.is_deleted).forEach(relation => {
+            existingByKey.set(RelationImporter.getRelationKey(relation), relation);
+        });
+        let nextId = existing.reduce((max, relation) => Math.max(max, parseInt(relation.id) || 0), 0) + 1;
+
+        const seen = new Set();
+        return relations.flatMap(relation => {
+            const key = RelationImporter.getRelationKey(relation);
+            const reverseKey = RelationImporter.getRelationKey(RelationImporter.reverse(relation));
+            if (seen.has(key) || seen.has(reverseKey)) return [];
+            seen.add(key);
+
+            const match = existingByKey.get(key);
+            if (match) {
+                return [{ ...match, type: relation.type, condition: relation.condition }];
+            }
+            const reverseMatch = existingByKey.get(reverseKey);
+            if (reverseMatch) {
+                const reversed = RelationImporter.reverse(relation);
+                return [{ ...reverseMatch, type: reversed.type, condition: reversed.condition }];
+            }
+            return [{ ...relation, id: nextId++ }];
+        });
+    }
+
+    /**
+     * 两端互换的关系，基数随之互换（ONE_TO_MANY 变为 MANY_TO_ONE）
+     */
+    static reverse(relation) {
+        const [from, to] = String(relation.type || '').split('_TO_');
+        return {
+            ...relation,
+            type: to ? `${to}_TO_${from}` : relation.type,
+            src_table: relation.dst_table,
+            dst_table: relation.src_table,
+            condition: (relation.condition || []).map(condition => ({
+                ...condition,
+                srcJoinKey: condition.dstJoinKey,
+                dstJoinKey: condition.srcJoinKey
+            }))
+        };
+    }
+
+    /**
+     * 关系的比较键：源表、目标表和排序后的连接列
+     */
+    static getRelationKey(relation) {
+        const pairs = (relation.condition || [])
+            .map(condition => `${(condition.srcJoinKey || {}).column}=${(condition.dstJoinKey || {}).column}`)
+            .sort();
+        return `${relation.src_table}|${relation.dst_table}|${pairs.join(',')}`;
+    }
+
+    /**
+     * 补全为 catalog.schema.table 三段式表名
+     */
+    static qualifyName(name, options = {}) {
+        const parts = RelationImporter.splitName(name);
+        if (parts.length === 1) {
+            parts.unshift(options.schema || 'default');
+        }
+        if (parts.length === 2) {
+            parts.unshift(options.catalog || 'default');
+        }
+        return parts.join('.');
+    }
+
+    static splitName(name) {
+        return [...String(name).matchAll(/"[^"]*"|`[^`]*`|\[[^\]]*\]|[^.\s]+/g)]
+            .map(part => RelationImporter.normalizeIdentifier(part[0]));
+    }
+
+    /**
+     * 标识符去掉引号；未加引号的标识符不区分大小写，统一转为小写，使 Shop 和 shop 指向同一张表
+     */
+    static normalizeIdentifier(identifier) {
+        const text = String(identifier).trim();
+        const quoted = /^(?:"(.*)"|`(.*)`|\[(.*)\])$/.exec(text);
+        return quoted ? quoted[1] ?? quoted[2] ?? quoted[3] : text.toLowerCase();
+    }
+
+    static parseColumnList(text) {
+        return text.split(',')
+            .map(column => RelationImporter.normalizeIdentifier(column.trim().replace(/\s+(?:ASC|DESC)$/i, '')))
+            .filter(column => column);
+    }
+
+    static sameColumns(a, b) {
+        return a.length > 0 && a.length === b.length && a.every(column => b.includes(column));
+    }
+
+    /**
+     * 去掉 -- 和 /* *\/ 注释，字符串中的内容保留
+     */
+    static stripComments(sql) {
+        return sql.replace(/('(?:[^']|'')*')|--[^\n]*|\/\*[\s\S]*?\*\//g, (match, literal) => literal || ' ');
+    }
+
+    /**
+     * 按不在字符串中的分号拆分语句
+     */
+    static splitStatements(sql) {
+        return sql.match(/(?:'(?:[^']|'')*'|[^;'])+/g) || [];
+    }
+
+    /**
+     * 从start处的左括号开始，取出与之匹配的括号中的内容
+     */
+    static extractParenthesized(text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '(') depth++;
+            if (text[i] === ')') depth--;
+            if (depth === 0) {
+                return text.slice(start + 1, i);
+            }
+        }
+        return text.slice(start + 1);
+    }
+
+    /**
+     * 按不在括号中的逗号拆分
+     */
+    static splitTopLevel(text) {
+        const items = [];
+        let depth = 0;
+        let current = '';
+        for (const char of text) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (char === ',' && depth === 0) {
+                items.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        items.push(current);
+        return items.map(item => item.trim()).filter(item => item);
+    }
+}
+
+// 标识符：可带引号，可用点分隔库名和表名
+RelationImporter.NAME_PATTERN = '(?:"[^"]+"|`[^`]+`|\\[[^\\]]+\\]|[\\w$]+)(?:\\s*\\.\\s*(?:"[^"]+"|`[^`]+`|\\[[^\\]]+\\]|[\\w$]+))*';
+RelationImporter.CREATE_TABLE_PATTERN = new RegExp(
+    `^\\s*CREATE\\s+(?:OR\\s+REPLACE\\s+)?(?:(?:GLOBAL|LOCAL|TEMPORARY|TEMP|EXTERNAL|UNLOGGED)\\s+)*TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${RelationImporter.NAME_PATTERN})\\s*\\(`, 'i');
+RelationImporter.ALTER_TABLE_PATTERN = new RegExp(
+    `^\\s*ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?(?:ONLY\\s+)?(${RelationImporter.NAME_PATTERN})\\s+(ADD\\b[\\s\\S]*)$`, 'i');
@@ -0,0 +1,682 @@
+import { DynamicExpression } from './dynamic-expression.mjs';
+import { ModelDiff } from './model-diff.mjs';
+
+/**
+ * 关系模型
+ * 解析标签和关系数据，建立表节点、关系边和邻接索引，为每个tag分配颜色，并提供按租户、标签过滤和统计
+ * 不依赖页面，浏览器和Node命令行共用，保证两边对数据的解释一致
+ */
+export class RelationModel {
+    constructor(options = {}) {
+        this.tags = [];
+        this.relations = [];
+        this.nodes = [];
+        this.links = [];
+        this.colorMap = new Map();
+        this.relationMap = new Map();
+        this.nodeMap = new Map();        // 表ID到节点
+        this.outgoingLinks = new Map();  // 表ID到以其为源表的边
+        this.incomingLinks = new Map();  // 表ID到以其为目标表的边
+        this.diff = null;                // 与基准版本的对比结果，见 ModelDiff.compare()
+        this.logger = options.logger || console;  // 处理过程的日志，命令行中可输出到stderr
+        this.hubColumnThreshold = 3; // 被至少这么多关系使用的列视为枢纽列
+    }
+
+    /**
+     * 设置标签和关系数据并重新处理，可在运行时替换数据而无需刷新页面
+     */
+    setData(tags, relations) {
+        if (!Array.isArray(tags)) {
+            throw new Error('标签数据必须是数组');
+        }
+        if (!Array.isArray(relations)) {
+            throw new Error('关系数据必须是数组');
+        }
+
+        this.tags = tags;
+        this.relations = relations;
+        this.diff = null;
+        this.logger.log('标签数据:', this.tags.length, '条记录');
+        this.logger.log('关系数据:', this.relations.length, '条记录');
+
+        // 处理数据
+        this.processData();
+
+        return {
+            nodes: this.nodes,
+            links: this.links,
+            colorMap: this.colorMap,
+            tags: this.tags,
+            relations: this.relations
+        };
+    }
+
+    /**
+     * 处理数据，建立节点和边的映射
+     */
+    processData() {
+        // 重新处理时清空之前的映射
+        this.relationMap.clear();
+        this.colorMap.clear();
+
+        // 建立关系映射
+        this.logger.log('关系数据加载完成，总数:', this.relations.length);
+        this.relations.forEach(relation => {
+            this.relationMap.set(relation.id, relation);
+        });
+        this.logger.log('关系映射建立完成，映射数量:', this.relationMap.size);
+        this.logger.log('关系ID列表:', Array.from(this.relationMap.keys()));
+
+        // 为每个tag分配颜色
+        this.assignColors();
+
+        // 构建节点
+        this.buildNodes();
+
+        // 构建边
+        this.buildLinks();
+    }
+
+    /**
+     * 为每个tag分配唯一颜色
+     */
+    assignColors() {
+        const colors = [
+            '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
+            '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9',
+            '#F8C471', '#82E0AA', '#F1948A', '#85C1E9', '#D7BDE2',
+            '#A9DFBF', '#F9E79F', '#D5A6BD', '#A3E4D7', '#FADBD8'
+        ];
+
+        const uniqueTags = [...new Set(this.getColorTags().map(tag => tag.tag_name))];
+        uniqueTags.forEach((tagName, index) => {
+            this.colorMap.set(tagName, colors[index % colors.length]);
+        });
+    }
+
+    /**
+     * 按顺序分配颜色的标签，子类可加入当前未显示的标签使颜色保持稳定
+     */
+    getColorTags() {
+        return this.tags;
+    }
+
+    /**
+     * 构建节点数据
+     * 节点以 catalog.schema.table 完整限定名作为唯一标识，短表名仅用于显示
+     */
+    buildNodes() {
+        const nodeMap = new Map();
+
+        // 从关系数据中提取所有表
+        this.relations.forEach(relation => {
+            [relation.src_table, relation.dst_table].forEach(fullTableName => {
+                if (!nodeMap.has(fullTableName)) {
+                    const qualified = this.parseQualifiedName(fullTableName);
+                    nodeMap.set(fullTableName, {
+                        id: qualified.id,
+                        name: qualified.table,
+                        catalog: qualified.catalog,
+                        schema: qualified.schema,
+                        table: qualified.table,
+                        tenantId: relation.tenant_id,
+                        type: 'table',
+                        relations: []
+                    });
+                }
+
+                // 记录关系
+                nodeMap.get(fullTableName).relations.push(relation.id);
+            });
+        });
+
+        this.nodes = Array.from(nodeMap.values());
+        this.nodeMap = nodeMap;
+        this.buildColumns(nodeMap);
+    }
+
+    /**
+     * 从所有关系的连接条件中提取每张表参与连接的列
+     * 被较多关系使用的列标记为枢纽列（hub）
+     */
+    buildColumns(nodeMap) {
+        const columnMaps = new Map();
+        const addColumn = (tableName, column, relationId) => {
+            if (!column || !nodeMap.has(tableName)) return;
+            if (!columnMaps.has(tableName)) {
+                columnMaps.set(tableName, new Map());
+            }
+            const columns = columnMaps.get(tableName);
+            if (!columns.has(column)) {
+                columns.set(column, new Set());
+            }
+            columns.get(column).add(relationId);
+        };
+
+        this.relations.forEach(relation => {
+            (relation.condition || []).forEach(condition => {
+                addColumn(relation.src_table, condition.srcJoinKey && condition.srcJoinKey.column, relation.id);
+                addColumn(relation.dst_table, condition.dstJoinKey && condition.dstJoinKey.column, relation.id);
+            });
+        });
+
+        nodeMap.forEach((node, tableName) => {
+            const columns = columnMaps.get(tableName) || new Map();
+            node.columns = Array.from(columns.entries())
+                .map(([name, relationIds]) => ({
+                    name,
+                    relationIds: [...relationIds],
+                    hub: relationIds.size >= this.hubColumnThreshold
+                }))
+                .sort((a, b) => b.relationIds.length - a.relationIds.length || a.name.localeCompare(b.name));
+        });
+    }
+
+    /**
+     * 构建边数据
+     */
+    buildLinks() {
+        this.links = [];
+        this.logger.log('开始构建边数据，标签数量:', this.tags.length);
+
+        // 用于跟踪已处理的关系ID，避免重复
+        const processedRelations = new Set();
+        // 用于跟踪相同节点对之间的边数量，用于计算偏移
+        const edgeCounts = new Map();
+        // 每个关系被哪些tag使用，避免对每个关系扫描所有tag
+        const tagsByRelation = new Map();
+        this.tags.forEach(tag => {
+            if (tag.is_deleted) return;
+            new Set((tag.relation_ids || []).map(id => parseInt(id))).forEach(id => {
+                if (!tagsByRelation.has(id)) {
+                    tagsByRelation.set(id, []);
+                }
+                tagsByRelation.get(id).push(tag);
+            });
+        });
+
+        this.tags.forEach(tag => {
+            if (tag.is_deleted) return;
+
+            const relationIds = tag.relation_ids || [];
+
+            relationIds.forEach(relationId => {
+                // 确保relationId是数字类型
+                const numericRelationId = parseInt(relationId);
+                
+                // 如果已经处理过这个关系ID，跳过
+                if (processedRelations.has(numericRelationId)) {
+                    return;
+                }
+                
+                const relation = this.relationMap.get(numericRelationId);
+                if (!relation) {
+                    this.logger.warn(`未找到关系 ${relationId} (数字: ${numericRelationId})`);
+                    this.logger.warn('可用的关系ID:', Array.from(this.relationMap.keys()));
+                    return;
+                }
+
+                this.logger.log(`关系 ${relationId}: ${relation.src_table} -> ${relation.dst_table}`);
+                const link = this.createLink(relation, tagsByRelation.get(numericRelationId), edgeCounts);
+                if (!link) return;
+
+                this.links.push(link);
+                processedRelations.add(numericRelationId);
+            });
+        });
+
+        // 没有被任何标签引用的关系也建立边，以灰色虚线显示物理连接
+        let untaggedCount = 0;
+        this.relations.forEach(relation => {
+            const relationId = parseInt(relation.id);
+            if (relation.is_deleted || processedRelations.has(relationId)) return;
+
+            const link = this.createLink(relation, [], edgeCounts);
+            if (!link) return;
+
+            this.links.push(link);
+            processedRelations.add(relationId);
+            untaggedCount++;
+        });
+        this.logger.log('未被标签引用的关系:', untaggedCount);
+
+        this.buildAdjacency();
+    }
+
+    /**
+     * 为关系创建边，relatedTags 为引用该关系的标签，每个标签一条泳道
+     * 没有标签时为未引用的关系（untagged），使用中性颜色；端点表不存在时返回null
+     */
+    createLink(relation, relatedTags, edgeCounts) {
+        const numericRelationId = parseInt(relation.id);
+        const srcTable = relation.src_table;
+        const dstTable = relation.dst_table;
+
+        // 找到对应的节点对象
+        const srcNode = this.nodeMap.get(srcTable);
+        const dstNode = this.nodeMap.get(dstTable);
+
+        if (!srcNode || !dstNode) {
+            this.logger.warn(`未找到节点: src=${srcTable}, dst=${dstTable}`);
+            return null;
+        }
+
+        // 创建边的唯一键
+        const edgeKey = `${srcTable}-${dstTable}`;
+        const reverseEdgeKey = `${dstTable}-${srcTable}`;
+
+        // 计算边的偏移量
+        let offset = 0;
+        if (edgeCounts.has(edgeKey)) {
+            offset = edgeCounts.get(edgeKey);
+            edgeCounts.set(edgeKey, offset + 1);
+        } else if (edgeCounts.has(reverseEdgeKey)) {
+            offset = edgeCounts.get(reverseEdgeKey);
+            edgeCounts.set(reverseEdgeKey, offset + 1);
+        } else {
+            edgeCounts.set(edgeKey, 1);
+        }
+
+        // 每个tag对应一条独立的泳道，边的主色取第一个tag的颜色
+        const laneTags = relatedTags.map(t => ({
+            key: RelationModel.getTagKey(t),
+            tagId: t.tag_id,
+            tagName: t.tag_name,
+            tenantId: t.tenant_id,
+            color: this.colorMap.get(t.tag_name),
+            diffStatus: this.diff ? ModelDiff.getLaneStatus(this.diff, RelationModel.getTagKey(t), numericRelationId) : null
+        }));
+        const untagged = laneTags.length === 0;
+
+        return {
+            id: `relation-${numericRelationId}`, // 使用关系ID作为唯一标识
+            source: srcNode,  // 使用节点对象而不是字符串
+            target: dstNode,  // 使用节点对象而不是字符串
+            relationId: numericRelationId,
+            tagIds: relatedTags.map(t => t.tag_id), // 所有相关的tag ID
+            tagNames: relatedTags.map(t => t.tag_name), // 所有相关的tag名称
+            tags: laneTags, // 每个tag的泳道信息
+            color: untagged ? RelationModel.UNTAGGED_COLOR : laneTags[0].color,
+            untagged,
+            tenantId: relation.tenant_id,
+            type: relation.type,
+            direction: relation.direction,
+            condition: relation.condition,
+            hasDynamic: DynamicExpression.hasDynamic(relation),
+            srcTable: relation.src_table,
+            dstTable: relation.dst_table,
+            diffStatus: this.diff ? this.diff.relationStatus.get(numericRelationId) || null : null,
+            offset: offset  // 添加偏移量
+        };
+    }
+
+    /**
+     * 建立表到出边和入边的邻接索引
+     */
+    buildAdjacency() {
+        this.outgoingLinks = new Map(this.nodes.map(node => [node.id, []]));
+        this.incomingLinks = new Map(this.nodes.map(node => [node.id, []]));
+        this.links.forEach(link => {
+            this.outgoingLinks.get(link.source.id).push(link);
+            this.incomingLinks.get(link.target.id).push(link);
+        });
+    }
+
+    /**
+     * 相邻表的ID
+     * direction: both 不区分方向，downstream 沿关系方向（源表到目标表），upstream 逆关系方向；双向关系两个方向都可到达
+     * linkIds 不为空时只经过其中的边（如当前租户视图中的边）
+     */
+    getNeighborIds(nodeId, direction = 'both', linkIds = null) {
+        const allowed = link => !linkIds || linkIds.has(link.id);
+        const bidirectional = link => RelationModel.isBidirectional(link);
+        const neighbors = new Set();
+
+        (this.outgoingLinks.get(nodeId) || []).forEach(link => {
+            if (allowed(link) && (direction !== 'upstream' || bidirectional(link))) {
+                neighbors.add(link.target.id);
+            }
+        });
+        (this.incomingLinks.get(nodeId) || []).forEach(link => {
+            if (allowed(link) && (direction !== 'downstream' || bidirectional(link))) {
+                neighbors.add(link.source.id);
+            }
+        });
+        neighbors.delete(nodeId);
+        return neighbors;
+    }
+
+    /**
+     * 从一组表出发，按方向在hops跳以内可到达的所有表（包含起点）
+     */
+    getNeighborhood(rootIds, hops = 1, direction = 'both', linkIds = null) {
+        const visited = new Set(rootIds);
+        let frontier = [...visited];
+        for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+            const next = [];
+            frontier.forEach(nodeId => {
+                this.getNeighborIds(nodeId, direction, linkIds).forEach(neighborId => {
+                    if (!visited.has(neighborId)) {
+                        visited.add(neighborId);
+                        next.push(neighborId);
+                    }
+                });
+            });
+            frontier = next;
+        }
+        return visited;
+    }
+
+    /**
+     * 探索模式下的数据：起始表的hops跳邻域，加上按顺序逐个展开的表的相邻表
+     * 展开的表已不在视图中时（如收起了展开它的表）跳过
+     * 返回的数据附带 explore: { rootId, expanded, hiddenCounts }，hiddenCounts 为每张表还可展开的相邻表数量
+     */
+    getExploreData(data, explore) {
+        const linkIds = new Set(data.links.map(link => link.id));
+        const visible = this.getNeighborhood([explore.rootId], explore.hops, explore.direction, linkIds);
+        explore.expanded.forEach(nodeId => {
+            if (visible.has(nodeId)) {
+                this.getNeighborIds(nodeId, explore.direction, linkIds).forEach(neighborId => visible.add(neighborId));
+            }
+        });
+
+        const nodes = data.nodes.filter(node => visible.has(node.id));
+        const hiddenCounts = new Map();
+        nodes.forEach(node => {
+            const hidden = [...this.getNeighborIds(node.id, explore.direction, linkIds)]
+                .filter(neighborId => !visible.has(neighborId)).length;
+            if (hidden > 0) {
+                hiddenCounts.set(node.id, hidden);
+            }
+        });
+
+        return {
+            ...data,
+            nodes,
+            links: data.links.filter(link => visible.has(link.source.id) && visible.has(link.target.id)),
+            explore: { rootId: explore.rootId, expanded: new Set(explore.expanded), hiddenCounts }
+        };
+    }
+
+    /**
+     * 从完整表名中提取表名
+     */
+    extractTableName(fullTableName) {
+        const parts = fullTableName.split('.');
+        return parts[parts.length - 1];
+    }
+
+    /**
+     * 解析完整限定表名（catalog.schema.table）
+     * 段数不足时缺失的部分为空字符串，catalog 中包含的额外分段会被保留
+     */
+    parseQualifiedName(fullTableName) {
+        const parts = fullTableName.split('.');
+        const table = parts[parts.length - 1];
+        const schema = parts.length > 1 ? parts[parts.length - 2] : '';
+        const catalog = parts.length > 2 ? parts.slice(0, -2).join('.') : '';
+
+        return {
+            id: fullTableName,
+            catalog,
+            schema,
+            table
+        };
+    }
+
+    /**
+     * 根据完整限定名或短表名查找节点
+     * 短表名在多个catalog/schema中重名时返回所有匹配的节点
+     */
+    findNodes(tableName, nodes = this.nodes) {
+        const exact = nodes.filter(node => node.id === tableName);
+        if (exact.length > 0) {
+            return exact;
+        }
+
+        return nodes.filter(node =>
+            node.name === tableName ||
+            `${node.schema}.${node.table}` === tableName
+        );
+    }
+
+    /**
+     * 获取所有数据（不过滤租户）
+     */
+    getAllData() {
+        return {
+            nodes: this.nodes,
+            links: this.links,
+            colorMap: this.colorMap
+        };
+    }
+
+    /**
+     * 根据租户ID获取数据
+     */
+    getDataByTenant(tenantId) {
+        if (!tenantId) {
+            return this.getAllData();
+        }
+
+        // 过滤标签数据
+        const filteredTags = this.tags.filter(tag => 
+            !tag.is_deleted && tag.tenant_id === tenantId
+        );
+
+        // 获取相关的relation_ids，未被标签引用的关系按关系自身的租户过滤
+        const relatedRelationIds = new Set();
+        filteredTags.forEach(tag => {
+            (tag.relation_ids || []).forEach(id => relatedRelationIds.add(parseInt(id)));
+        });
+        this.links.forEach(link => {
+            if (link.untagged && link.tenantId === tenantId) {
+                relatedRelationIds.add(link.relationId);
+            }
+        });
+
+        // 过滤关系数据
+        const filteredRelations = Array.from(relatedRelationIds)
+            .map(id => this.relationMap.get(id))
+            .filter(relation => relation);
+
+        // 构建节点（只包含相关的表）
+        const relatedTables = new Set();
+        filteredRelations.forEach(relation => {
+            relatedTables.add(relation.src_table);
+            relatedTables.add(relation.dst_table);
+        });
+
+        const filteredNodes = this.nodes.filter(node => 
+            relatedTables.has(node.id)
+        );
+
+        // 构建边
+        const filteredLinks = this.links.filter(link => 
+            relatedRelationIds.has(link.relationId)
+        );
+
+        return {
+            nodes: filteredNodes,
+            links: filteredLinks,
+            colorMap: this.colorMap
+        };
+    }
+
+    /**
+     * 获取所有可用的租户ID
+     */
+    getAvailableTenants() {
+        const tenants = new Set();
+        this.tags.forEach(tag => {
+            if (!tag.is_deleted && tag.tenant_id) {
+                tenants.add(tag.tenant_id);
+            }
+        });
+        return Array.from(tenants).sort();
+    }
+
+    /**
+     * 获取标签统计信息：每个标签的颜色、租户和涉及的关系
+     */
+    getTagStatistics() {
+        return this.tags
+            .filter(tag => !tag.is_deleted)
+            .map(tag => {
+                const relationIds = [...new Set((tag.relation_ids || []).map(id => parseInt(id)))];
+                return {
+                    key: RelationModel.getTagKey(tag),
+                    tagId: tag.tag_id,
+                    tagName: tag.tag_name,
+                    displayName: tag.tag_display_name || '',
+                    tenantId: tag.tenant_id,
+                    color: this.colorMap.get(tag.tag_name),
+                    relationIds,
+                    relationCount: relationIds.length
+                };
+            });
+    }
+
+    /**
+     * 隐藏指定标签的泳道：所有泳道都被隐藏的边、以及不再与任何边相连的节点一并移除
+     * 保留的边若有泳道被隐藏，则使用去掉这些泳道后的副本
+     */
+    filterByTags(data, hiddenTagKeys) {
+        if (!hiddenTagKeys || hiddenTagKeys.size === 0) {
+            return data;
+        }
+
+        const links = [];
+        data.links.forEach(link => {
+            const tags = link.tags.filter(tag => !hiddenTagKeys.has(tag.key));
+            if (tags.length === link.tags.length) {
+                links.push(link);
+            } else if (tags.length > 0) {
+                links.push({
+                    ...link,
+                    tags,
+                    tagIds: tags.map(tag => tag.tagId),
+                    tagNames: tags.map(tag => tag.tagName),
+                    color: tags[0].color
+                });
+            }
+        });
+
+        const tables = new Set();
+        links.forEach(link => {
+            tables.add(link.source.id);
+            tables.add(link.target.id);
+        });
+
+        return {
+            ...data,
+            nodes: data.nodes.filter(node => tables.has(node.id)),
+            links
+        };
+    }
+
+    /**
+     * 隐藏未被标签引用的关系：移除这些边，以及只通过它们与其他表相连的节点
+     */
+    filterUntagged(data, showUntagged) {
+        if (showUntagged || !data.links.some(link => link.untagged)) {
+            return data;
+        }
+
+        const links = data.links.filter(link => !link.untagged);
+        const connected = new Set();
+        links.forEach(link => {
+            connected.add(link.source.id);
+            connected.add(link.target.id);
+        });
+        const orphaned = new Set();
+        data.links.filter(link => link.untagged).forEach(link => {
+            [link.source.id, link.target.id]
+                .filter(id => !connected.has(id))
+                .forEach(id => orphaned.add(id));
+        });
+
+        return {
+            ...data,
+            nodes: data.nodes.filter(node => !orphaned.has(node.id)),
+            links
+        };
+    }
+
+    /**
+     * 关系（或边）是否双向：只有 direction 为 BIDIRECTIONAL_DIRECTIONS 中的值时才是双向，缺失或无法识别时按单向处理
+     * 渲染、路径追踪、路径查询、邻域探索和导出都以此为准
+     */
+    static isBidirectional(relation) {
+        return RelationModel.BIDIRECTIONAL_DIRECTIONS.includes(String(relation.direction || '').toUpperCase());
+    }
+
+    /**
+     * 标签的唯一标识：不同租户下的tag_id可能重复
+     */
+    static getTagKey(tag) {
+        return `${tag.tenant_id}:${tag.tag_id}`;
+    }
+
+    /**
+     * 模型统计：表、关系（被标签引用的和未引用的）、标签、租户、枢纽列和带动态设置的关系的数量
+     * tenantId 不为空时只统计该租户的视图
+     */
+    getStatistics(tenantId = null) {
+        const data = this.getDataByTenant(tenantId);
+        const inTenant = tag => !tenantId || tag.tenant_id === tenantId;
+        const untagged = data.links.filter(link => link.untagged).length;
+
+        return {
+            tenants: tenantId ? [tenantId] : this.getAvailableTenants(),
+            tables: data.nodes.length,
+            relations: data.links.length,
+            taggedRelations: data.links.length - untagged,
+            untaggedRelations: untagged,
+            tags: this.tags.filter(tag => !tag.is_deleted && inTenant(tag)).length,
+            deletedTags: this.tags.filter(tag => tag.is_deleted && inTenant(tag)).length,
+            dynamicRelations: data.links.filter(link => link.hasDynamic).length,
+            hubColumns: data.nodes.reduce((count, node) => count + (node.columns || []).filter(column => column.hub).length, 0)
+        };
+    }
+
+    /**
+     * 转换为可序列化为JSON的数据：边的端点替换为表ID，去掉布局时附加在节点上的坐标和尺寸
+     */
+    static serialize(data) {
+        const layoutFields = ['x', 'y', 'vx', 'vy', 'fx', 'fy', 'index', 'width', 'height', 'expanded'];
+        const omit = (object, fields) => Object.fromEntries(Object.entries(object).filter(([key]) => !fields.includes(key)));
+
+        return {
+            nodes: data.nodes.map(node => omit(node, layoutFields)),
+            links: data.links.map(link => ({
+                ...omit(link, ['index']),
+                source: link.source.id || link.source,
+                target: link.target.id || link.target
+            }))
+        };
+    }
+
+    /**
+     * 获取关系详情
+     */
+    getRelationDetails(relationId) {
+        return this.relationMap.get(relationId);
+    }
+
+    /**
+     * 获取标签详情
+     */
+    getTagDetails(tagName) {
+        return this.tags.filter(tag => 
+            tag.tag_name === tagName && !tag.is_deleted
+        );
+    }
+}
+
+// 未被标签引用的关系使用的中性颜色
+RelationModel.UNTAGGED_COLOR = '#9e9e9e';
+
+// 表示双向关系的 direction 取值（SINGLE 为单向）
+RelationModel.BIDIRECTIONAL_DIRECTIONS = ['BOTH', 'BIDIRECTIONAL', 'DOUBLE'];
@@ -0,0 +1,131 @@
+import { RelationModel } from './relation-model.mjs';
+
+/**
+ * 标签路径追踪模块
+ * 将语义标签的relation_ids排列为从src_dataset到dst_dataset的有序链路
+ */
+export class TagPathTracer {
+    constructor(dataProcessor) {
+        this.dataProcessor = dataProcessor;
+    }
+
+    /**
+     * 查找tag_id对应的标签，可按租户过滤
+     */
+    findTags(tagId, tenantId = null) {
+        return this.dataProcessor.tags.filter(tag =>
+            tag.tag_id === tagId &&
+            !tag.is_deleted &&
+            (!tenantId || tag.tenant_id === tenantId)
+        );
+    }
+
+    /**
+     * 追踪单个标签的路径
+     * 从src_dataset出发，依次寻找能与当前表衔接的关系，直到所有关系用完或无法继续
+     */
+    trace(tag) {
+        const problems = [];
+        const relations = [];
+
+        (tag.relation_ids || []).forEach(relationId => {
+            const relation = this.dataProcessor.relationMap.get(parseInt(relationId));
+            if (relation) {
+                relations.push(relation);
+            } else {
+                problems.push({
+                    type: 'missing-relation',
+                    relationId,
+                    message: `关系 ${relationId} 不存在`
+                });
+            }
+        });
+
+        if (relations.length === 0) {
+            problems.push({
+                type: 'empty-path',
+                message: '标签没有可用的关系'
+            });
+            return { tag, hops: [], problems, complete: false };
+        }
+
+        const hops = [];
+        const remaining = [...relations];
+        // 起点只知道短表名，确定第一跳后改用完整限定名衔接，避免跨catalog串联
+        let current = null;
+        const isCurrent = table => current
+            ? table === current
+            : this.dataProcessor.extractTableName(table) === tag.src_dataset;
+
+        while (remaining.length > 0) {
+            let index = remaining.findIndex(relation => isCurrent(relation.src_table));
+            let reversed = false;
+
+            // 双向关系允许反向经过
+            if (index === -1) {
+                index = remaining.findIndex(relation =>
+                    RelationModel.isBidirectional(relation) && isCurrent(relation.dst_table)
+                );
+                reversed = index !== -1;
+            }
+
+            if (index === -1) break;
+
+            const relation = remaining.splice(index, 1)[0];
+            const from = reversed ? relation.dst_table : relation.src_table;
+            const to = reversed ? relation.src_table : relation.dst_table;
+
+            hops.push({
+                index: hops.length + 1,
+                relationId: relation.id,
+                relation,
+                from,
+                to,
+                reversed,
+                joinKeys: this.formatJoinKeys(relation)
+            });
+            current = to;
+        }
+
+        if (remaining.length > 0) {
+            const ids = remaining.map(relation => relation.id).join(', ');
+            const position = current
+                ? this.dataProcessor.extractTableName(current)
+                : tag.src_dataset;
+            problems.push({
+                type: 'broken-chain',
+                relationIds: remaining.map(relation => relation.id),
+                message: hops.length === 0
+                    ? `没有从 ${tag.src_dataset} 出发的关系（${ids}）`
+                    : `关系 ${ids} 无法与 ${position} 衔接`
+            });
+        }
+
+        if (hops.length > 0 && this.dataProcessor.extractTableName(current) !== tag.dst_dataset) {
+            problems.push({
+                type: 'target-not-reached',
+                message: `路径终止于 ${this.dataProcessor.extractTableName(current)}，未到达目标 ${tag.dst_dataset}`
+            });
+        }
+
+        return {
+            tag,
+            hops,
+            problems,
+            complete: problems.length === 0
+        };
+    }
+
+    /**
+     * 格式化关系的连接键，如 multi_test_region.address_code = multi_test_users.address_code
+     */
+    formatJoinKeys(relation) {
+        return (relation.condition || []).map(condition => {
+            const src = condition.srcJoinKey || {};
+            const dst = condition.dstJoinKey || {};
+            const srcTable = this.dataProcessor.extractTableName(src.tableRef || relation.src_table);
+            const dstTable = this.dataProcessor.extractTableName(dst.tableRef || relation.dst_table);
+            return `${srcTable}.${src.column} ${condition.op || '='} ${dstTable}.${dst.column}`;
+        });
+    }
+}
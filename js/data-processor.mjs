@@ -0,0 +1,116 @@
+import { RelationModel, ModelDiff, ModelTimeline } from './core/index.mjs';
+
+/**
+ * 数据处理模块
+ * 在关系模型之上负责页面中的数据加载、版本对比和时间线，模型的解析和过滤见 core/relation-model.mjs
+ */
+export class DataProcessor extends RelationModel {
+    constructor() {
+        super();
+        this.timelineTime = null;        // 时间线上的时间（毫秒），图中为该时刻的模型
+        this.timeline = null;            // 加载数据的时间线，见 getTimeline()
+        this.sourceRows = null;          // 对比或时间线中保存的加载数据，退出时恢复
+        this.source = null;
+    }
+
+    /**
+     * 从数据源加载并处理数据，数据源（js/data-source.js 中的适配器）由页面传入
+     */
+    async loadData(source) {
+        try {
+            console.log('加载数据源:', source.name);
+            const { tags, relations } = await source.load();
+            this.source = source;
+            return this.setData(tags, relations);
+        } catch (error) {
+            console.error('数据加载失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 替换数据时退出对比和时间线
+     */
+    setData(tags, relations) {
+        this.timelineTime = null;
+        this.timeline = null;
+        this.sourceRows = null;
+        return super.setData(tags, relations);
+    }
+
+    /**
+     * 颜色按加载的数据分配，对比或时间线中显示部分标签时颜色保持不变
+     */
+    getColorTags() {
+        const sourceTags = this.sourceRows ? this.sourceRows.tags : [];
+        return [...sourceTags, ...this.tags];
+    }
+
+    /**
+     * 加载的数据（对比或时间线中为进入前的数据）
+     */
+    getSourceRows() {
+        return this.sourceRows || { tags: this.tags, relations: this.relations };
+    }
+
+    /**
+     * 与基准版本对比：图中显示两个版本的并集，边和泳道带有 diffStatus（added / removed / changed）
+     * 再次对比时仍以加载的数据为目标版本
+     */
+    setDiffBase(baseTags, baseRelations) {
+        const current = this.getSourceRows();
+        const base = { tags: baseTags, relations: baseRelations };
+        const diff = ModelDiff.compare(base, current);
+
+        this.diff = diff;
+        this.timelineTime = null;
+        console.log('版本对比结果:', diff);
+        this.replaceRows(ModelDiff.merge(base, current, diff));
+        return diff;
+    }
+
+    /**
+     * 加载数据的时间线，首次使用时建立
+     */
+    getTimeline() {
+        if (!this.timeline) {
+            this.timeline = new ModelTimeline(this.getSourceRows());
+        }
+        return this.timeline;
+    }
+
+    /**
+     * 显示指定时刻的模型：只包含当时存在的标签和关系，之后才被软删除的记录也包含在内
+     */
+    setTimelineTime(time) {
+        const snapshot = this.getTimeline().snapshot(time);
+        this.diff = null;
+        this.timelineTime = time;
+        this.replaceRows(snapshot);
+        return snapshot;
+    }
+
+    /**
+     * 用对比或时间线的数据替换当前数据，保留加载的数据以便恢复
+     */
+    replaceRows(rows) {
+        this.sourceRows = this.getSourceRows();
+        this.tags = rows.tags;
+        this.relations = rows.relations;
+        this.processData();
+    }
+
+    /**
+     * 退出对比或时间线，恢复为加载的数据
+     */
+    restoreSourceRows() {
+        if (!this.sourceRows) return;
+
+        this.tags = this.sourceRows.tags;
+        this.relations = this.sourceRows.relations;
+        this.diff = null;
+        this.timelineTime = null;
+        this.sourceRows = null;
+        this.processData();
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * 数据源面板
+ * 支持选择本地JSON文件、指定JSON文件地址、REST接口地址、生成合成数据或从DDL和dbt导入关系来切换数据源
+ */
+class DataSourcePanel extends SidePanel {
+    constructor(panelId, dataProcessor) {
+        super(panelId);
+        this.dataProcessor = dataProcessor;
+        this.onLoad = null;
+
+        this.bindInputs();
+    }
+
+    /**
+     * 绑定面板中的输入控件
+     */
+    bindInputs() {
+        const fileInput = document.getElementById('source-file-input');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.requestLoad(this.createFileSource(fileInput.files));
+                }
+                fileInput.value = '';
+            });
+        }
+
+        const urlBtn = document.getElementById('source-url-btn');
+        if (urlBtn) {
+            urlBtn.addEventListener('click', () => {
+                const tagsUrl = document.getElementById('source-tags-url').value.trim();
+                const relationsUrl = document.getElementById('source-relations-url').value.trim();
+                this.requestLoad(new UrlDataSource(tagsUrl || undefined, relationsUrl || undefined));
+            });
+        }
+
+        const apiBtn = document.getElementById('source-api-btn');
+        if (apiBtn) {
+            apiBtn.addEventListener('click', () => {
+                const apiUrl = document.getElementById('source-api-url').value.trim();
+                if (!apiUrl) {
+                    this.showStatus('请输入REST接口地址', 'error');
+                    return;
+                }
+                this.requestLoad(new RestDataSource(apiUrl));
+            });
+        }
+
+        const syntheticBtn = document.getElementById('source-synthetic-btn');
+        if (syntheticBtn) {
+            syntheticBtn.addEventListener('click', () => {
+                const tables = parseInt(document.getElementById('source-synthetic-tables').value);
+                this.requestLoad(new SyntheticDataSource({ tables: tables > 0 ? tables : undefined }));
+            });
+        }
+
+        const importInput = document.getElementById('source-import-input');
+        if (importInput) {
+            importInput.addEventListener('change', () => {
+                if (importInput.files.length > 0) {
+                    this.requestLoad(new ImportDataSource(importInput.files, DataSourcePanel.getImportOptions('source')));
+                }
+                importInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * 导入DDL或dbt时的库名、schema和租户，prefix为输入框ID的前缀（source 或 diff）
+     */
+    static getImportOptions(prefix) {
+        const value = name => {
+            const input = document.getElementById(`${prefix}-import-${name}`);
+            return input ? input.value.trim() || undefined : undefined;
+        };
+        return { catalog: value('catalog'), schema: value('schema'), tenantId: value('tenant') };
+    }
+
+    /**
+     * 根据文件创建数据源，缺少的一份数据沿用当前已加载的数据
+     */
+    createFileSource(files) {
+        return new FileDataSource(files, {
+            tags: this.dataProcessor.tags.length > 0 ? this.dataProcessor.tags : null,
+            relations: this.dataProcessor.relations.length > 0 ? this.dataProcessor.relations : null
+        });
+    }
+
+    /**
+     * 请求加载数据源
+     */
+    requestLoad(source) {
+        this.showStatus(`正在加载 ${source.name}...`, 'info');
+        if (this.onLoad) {
+            this.onLoad(source);
+        }
+    }
+
+    /**
+     * 显示当前数据源
+     */
+    setCurrentSource(source) {
+        const current = document.getElementById('source-current');
+        if (current) {
+            current.textContent = source ? source.name : '无';
+        }
+    }
+
+    /**
+     * 显示加载状态
+     */
+    showStatus(message, type = 'info') {
+        const status = document.getElementById('source-status');
+        if (status) {
+            status.textContent = message;
+            status.className = `source-status source-status-${type}`;
+        }
+    }
+}
@@ -0,0 +1,430 @@
+/**
+ * 数据源模块
+ * 定义数据源适配器接口，负责从不同来源获取标签和关系数据
+ * 适配器只负责加载，数据处理由 DataProcessor.setData() 完成
+ */
+
+// 默认数据文件（相对于index.html）
+const DEFAULT_TAGS_URL = 'data/semantic_all_edge_tag.json';
+const DEFAULT_RELATIONS_URL = 'data/semantic_dm_table_relation_def.json';
+
+/**
+ * 数据源适配器基类
+ * 子类实现 load()，返回 { tags, relations } 两个数组
+ */
+class DataSourceAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * 加载数据
+     */
+    async load() {
+        throw new Error(`数据源 ${this.name} 未实现 load()`);
+    }
+
+    /**
+     * 数据源对应的URL查询参数，用于分享当前数据源；返回null表示无法通过URL还原
+     */
+    toParams() {
+        return null;
+    }
+
+    /**
+     * 请求JSON数据
+     */
+    async fetchJson(url, label, options = {}) {
+        console.log(`加载${label}:`, url);
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            throw new Error(`${label}加载失败: ${response.status} ${response.statusText} (${url})`);
+        }
+        return response.json();
+    }
+}
+
+/**
+ * 静态JSON文件数据源
+ */
+class UrlDataSource extends DataSourceAdapter {
+    constructor(tagsUrl = DEFAULT_TAGS_URL, relationsUrl = DEFAULT_RELATIONS_URL) {
+        super(`URL: ${tagsUrl}, ${relationsUrl}`);
+        this.tagsUrl = tagsUrl;
+        this.relationsUrl = relationsUrl;
+    }
+
+    async load() {
+        const [tags, relations] = await Promise.all([
+            this.fetchJson(this.tagsUrl, '标签数据'),
+            this.fetchJson(this.relationsUrl, '关系数据')
+        ]);
+        return { tags, relations };
+    }
+
+    toParams() {
+        if (this.tagsUrl === DEFAULT_TAGS_URL && this.relationsUrl === DEFAULT_RELATIONS_URL) {
+            return {};
+        }
+        return { tags: this.tagsUrl, relations: this.relationsUrl };
+    }
+}
+
+/**
+ * REST接口数据源
+ * 接口返回与JSON文件相同的数组，也可以包裹在 { data: [...] } 中
+ */
+class RestDataSource extends DataSourceAdapter {
+    constructor(baseUrl, options = {}) {
+        super(`REST: ${baseUrl}`);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.tagsPath = options.tagsPath || '/tags';
+        this.relationsPath = options.relationsPath || '/relations';
+        this.headers = options.headers || {};
+    }
+
+    async load() {
+        const options = { headers: { Accept: 'application/json', ...this.headers } };
+        const [tags, relations] = await Promise.all([
+            this.fetchJson(`${this.baseUrl}${this.tagsPath}`, '标签数据', options),
+            this.fetchJson(`${this.baseUrl}${this.relationsPath}`, '关系数据', options)
+        ]);
+        return {
+            tags: this.unwrap(tags),
+            relations: this.unwrap(relations)
+        };
+    }
+
+    /**
+     * 兼容 { data: [...] } 形式的响应
+     */
+    unwrap(payload) {
+        return Array.isArray(payload) ? payload : (payload && payload.data);
+    }
+
+    toParams() {
+        return { api: this.baseUrl };
+    }
+}
+
+/**
+ * 本地文件数据源（文件选择或拖拽）
+ * 根据内容识别标签文件和关系文件，只提供其中一个时使用fallback中的另一份数据
+ */
+class FileDataSource extends DataSourceAdapter {
+    constructor(files, fallback = {}) {
+        super(`文件: ${Array.from(files).map(file => file.name).join(', ')}`);
+        this.files = Array.from(files);
+        this.fallback = fallback;
+    }
+
+    async load() {
+        const result = { tags: null, relations: null };
+
+        for (const file of this.files) {
+            let content;
+            try {
+                content = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error(`文件 ${file.name} 不是有效的JSON: ${error.message}`);
+            }
+
+            const kind = FileDataSource.detectKind(content);
+            if (!kind) {
+                throw new Error(`无法识别文件 ${file.name}：需要标签数组（含tag_id）或关系数组（含src_table）`);
+            }
+            result[kind] = content;
+        }
+
+        const tags = result.tags || this.fallback.tags;
+        const relations = result.relations || this.fallback.relations;
+        if (!tags || !relations) {
+            throw new Error('请同时提供标签文件和关系文件');
+        }
+        return { tags, relations };
+    }
+
+    /**
+     * 根据首条记录的字段判断文件类型
+     */
+    static detectKind(content) {
+        if (!Array.isArray(content)) return null;
+        if (content.length === 0) return null;
+
+        const first = content[0] || {};
+        if ('tag_id' in first && 'relation_ids' in first) return 'tags';
+        if ('src_table' in first && 'dst_table' in first) return 'relations';
+        return null;
+    }
+}
+
+/**
+ * DDL或dbt导入数据源
+ * 把SQL DDL中的外键和dbt manifest.json中的relationships测试转换为关系定义，解析见 RelationImporter
+ * options: { catalog, schema, tenantId } 补全表名和租户；tags 为使用的标签（默认为空，关系显示为未被标签引用）；
+ * alignWith 为已有的关系，相同的关系沿用其ID，用于与已有定义对比
+ */
+class ImportDataSource extends DataSourceAdapter {
+    constructor(files, options = {}) {
+        super(`导入: ${Array.from(files).map(file => file.name).join(', ')}`);
+        this.files = Array.from(files);
+        this.options = options;
+    }
+
+    async load() {
+        const relations = [];
+
+        for (const file of this.files) {
+            const text = await file.text();
+            const kind = RelationImporter.detectKind(text);
+            if (!kind) {
+                throw new Error(`无法识别文件 ${file.name}：需要包含 CREATE TABLE / ALTER TABLE 的SQL或dbt的 manifest.json`);
+            }
+
+            const result = RelationImporter.import(kind, text, this.options);
+            result.warnings.forEach(warning => console.warn(`${file.name}: ${warning}`));
+            console.log(`从 ${file.name} 导入 ${result.relations.length} 个关系 (${kind})`);
+            relations.push(...result.relations);
+        }
+
+        if (relations.length === 0) {
+            throw new Error('文件中没有外键或relationships测试');
+        }
+        return {
+            tags: this.options.tags || [],
+            relations: RelationImporter.align(relations, this.options.alignWith || [])
+        };
+    }
+}
+
+/**
+ * 合成数据源
+ * 按参数随机生成指定规模的表、关系和标签，用于大图渲染的性能测试
+ * 字段与数据文件一致，创建时间从 START_TIME 起逐条递增，相同的参数和seed生成相同的数据
+ */
+class SyntheticDataSource extends DataSourceAdapter {
+    constructor(options = {}) {
+        const tables = options.tables || 1000;
+        super(`合成数据: ${tables} 张表`);
+        this.options = {
+            tables,
+            relations: options.relations || tables * 2,
+            tags: options.tags || tables,
+            tenants: options.tenants || 3,
+            seed: options.seed || 1
+        };
+    }
+
+    async load() {
+        const { tables, relations, tags, tenants, seed } = this.options;
+        const random = SyntheticDataSource.createRandom(seed);
+        const pick = items => items[Math.floor(random() * items.length)];
+        // 创建时间使用单独的随机序列按记录顺序递增，时间线中逐条出现，且不影响生成的结构
+        const timeRandom = SyntheticDataSource.createRandom(seed ^ 0x5BD1E995);
+        let clock = SyntheticDataSource.START_TIME;
+        const nextTimestamp = () => {
+            clock += 1000 + Math.floor(timeRandom() * 3600 * 1000);
+            return SyntheticDataSource.formatTimestamp(clock);
+        };
+
+        // 表按租户均分，库名模拟分层
+        const tableNames = [];
+        for (let i = 0; i < tables; i++) {
+            const layer = SyntheticDataSource.LAYERS[i % SyntheticDataSource.LAYERS.length];
+            tableNames.push({
+                name: `synthetic.${layer}.${layer}_table_${i}`,
+                shortName: `${layer}_table_${i}`,
+                tenantId: `tenant_${i % tenants}`
+            });
+        }
+        const tablesByTenant = d3.group(tableNames, table => table.tenantId);
+
+        const relationList = [];
+        const addRelation = (src, dst) => {
+            const column = pick(SyntheticDataSource.COLUMNS);
+            const timestamp = nextTimestamp();
+            relationList.push({
+                id: relationList.length + 1,
+                model_id: null,
+                name: null,
+                desc: null,
+                type: pick(['ONE_TO_ONE', 'ONE_TO_MANY', 'MANY_TO_ONE']),
+                direction: 'SINGLE',
+                src_table: src.name,
+                dst_table: dst.name,
+                condition: [{
+                    dstJoinKey: { column, tableRef: dst.name, type: 'NAME_REF' },
+                    op: '=',
+                    srcJoinKey: { column, tableRef: src.name, type: 'NAME_REF' }
+                }],
+                create_operator: null,
+                update_operator: null,
+                delete_operator: null,
+                gmt_create: timestamp,
+                gmt_update: timestamp,
+                gmt_delete: null,
+                is_deleted: false,
+                src_constraints: '[]',
+                dst_constraints: '[]',
+                tenant_id: src.tenantId,
+                extra_constraint_config: {},
+                dynamic_settings: {}
+            });
+        };
+
+        // 每个租户先生成一棵生成树保证连通，再随机补充关系
+        tablesByTenant.forEach(group => {
+            for (let i = 1; i < group.length && relationList.length < relations; i++) {
+                addRelation(group[Math.floor(random() * i)], group[i]);
+            }
+        });
+        const groups = Array.from(tablesByTenant.values()).filter(group => group.length > 1);
+        while (relationList.length < relations && groups.length > 0) {
+            const group = pick(groups);
+            const src = pick(group);
+            const dst = pick(group);
+            if (src !== dst) {
+                addRelation(src, dst);
+            }
+        }
+
+        // 标签为沿关系随机游走的1-4跳路径，起点按打乱后的顺序轮流选取，使尽量多的关系被标签引用
+        const outgoing = d3.group(relationList, relation => relation.src_table);
+        const starts = d3.shuffler(random)(relationList.slice());
+        const tagList = [];
+        for (let i = 0; i < tags && relationList.length > 0; i++) {
+            const start = starts[i % starts.length];
+            const path = [start];
+            const hops = 1 + Math.floor(random() * 4);
+            while (path.length < hops) {
+                const next = outgoing.get(path[path.length - 1].dst_table);
+                if (!next) break;
+                const relation = pick(next);
+                if (path.includes(relation)) break;
+                path.push(relation);
+            }
+
+            const tagId = String(i + 1).padStart(4, '0');
+            const first = path[0];
+            const last = path[path.length - 1];
+            const timestamp = nextTimestamp();
+            tagList.push({
+                id: i + 1,
+                tag_id: tagId,
+                tag_name: `synthetic_tag_${tagId}`,
+                tag_display_name: `合成标签 ${tagId}`,
+                src_dataset: first.src_table.split('.').pop(),
+                dst_dataset: last.dst_table.split('.').pop(),
+                relation_ids: path.map(relation => String(relation.id)),
+                gmt_create: timestamp,
+                gmt_update: timestamp,
+                gmt_delete: null,
+                create_operator: null,
+                update_operator: null,
+                delete_operator: null,
+                is_deleted: false,
+                tenant_id: first.tenant_id
+            });
+        }
+
+        console.log(`合成数据: ${tableNames.length} 张表, ${relationList.length} 个关系, ${tagList.length} 个标签`);
+        return { tags: tagList, relations: relationList };
+    }
+
+    toParams() {
+        const { tables, relations, tags, tenants, seed } = this.options;
+        return {
+            source: 'synthetic',
+            tables: String(tables),
+            relationCount: String(relations),
+            tagCount: String(tags),
+            tenants: String(tenants),
+            seed: String(seed)
+        };
+    }
+
+    /**
+     * 格式化为与数据文件相同的时间格式，如 "2025-09-09 17:07:31.662000"
+     */
+    static formatTimestamp(time) {
+        const date = new Date(time);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+            `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.${pad(date.getUTCMilliseconds(), 3)}000`;
+    }
+
+    /**
+     * 基于种子的伪随机数生成器（mulberry32）
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+SyntheticDataSource.LAYERS = ['ods', 'dwd', 'dws', 'ads'];
+SyntheticDataSource.START_TIME = Date.UTC(2025, 0, 1);  // 第一条记录之前的时间
+SyntheticDataSource.COLUMNS = ['id', 'user_id', 'order_id', 'region_code', 'product_id', 'shop_id', 'dt'];
+
+/**
+ * 数据源注册表
+ * 通过 register() 注册自定义适配器，通过 URL 参数 ?source=<类型> 选择
+ */
+class DataSourceRegistry {
+    /**
+     * 注册数据源类型，factory接收URLSearchParams并返回适配器实例
+     */
+    static register(type, factory) {
+        DataSourceRegistry.factories.set(type, factory);
+    }
+
+    /**
+     * 根据类型和参数创建数据源
+     */
+    static create(type, params = new URLSearchParams()) {
+        const factory = DataSourceRegistry.factories.get(type);
+        if (!factory) {
+            throw new Error(`未知的数据源类型: ${type}`);
+        }
+        return factory(params);
+    }
+
+    /**
+     * 根据页面URL的查询参数选择数据源
+     * ?source=<类型> 显式指定；?api=<地址> 使用REST接口；?tags=&relations= 使用指定的JSON文件
+     */
+    static fromLocation(location) {
+        const params = new URLSearchParams(location.search);
+
+        if (params.has('source')) {
+            return DataSourceRegistry.create(params.get('source'), params);
+        }
+        if (params.has('api')) {
+            return DataSourceRegistry.create('rest', params);
+        }
+        return DataSourceRegistry.create('url', params);
+    }
+}
+
+DataSourceRegistry.factories = new Map();
+DataSourceRegistry.register('url', params => new UrlDataSource(
+    params.get('tags') || DEFAULT_TAGS_URL,
+    params.get('relations') || DEFAULT_RELATIONS_URL
+));
+DataSourceRegistry.register('rest', params => new RestDataSource(params.get('api'), {
+    tagsPath: params.get('tagsPath') || undefined,
+    relationsPath: params.get('relationsPath') || undefined
+}));
+DataSourceRegistry.register('synthetic', params => new SyntheticDataSource({
+    tables: parseInt(params.get('tables')) || undefined,
+    relations: parseInt(params.get('relationCount')) || undefined,
+    tags: parseInt(params.get('tagCount')) || undefined,
+    tenants: parseInt(params.get('tenants')) || undefined,
+    seed: parseInt(params.get('seed')) || undefined
+}));
@@ -0,0 +1,205 @@
+/**
+ * 版本对比面板
+ * 加载基准版本（旧版本）的标签和关系数据与当前数据对比，列出新增、删除和修改的关系与标签及修改的字段
+ */
+class DiffPanel extends SidePanel {
+    constructor(panelId, dataProcessor) {
+        super(panelId);
+        this.dataProcessor = dataProcessor;
+        this.onCompare = null;  // (source) 加载基准版本并对比
+        this.onExit = null;     // 退出对比
+        this.onSelect = null;   // (item) 点击变更项，item: { kind, relationId, relationIds }
+
+        const fileInput = document.getElementById('diff-file-input');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.requestCompare(this.createFileSource(fileInput.files));
+                }
+                fileInput.value = '';
+            });
+        }
+
+        const urlBtn = document.getElementById('diff-url-btn');
+        if (urlBtn) {
+            urlBtn.addEventListener('click', () => {
+                const tagsUrl = document.getElementById('diff-tags-url').value.trim();
+                const relationsUrl = document.getElementById('diff-relations-url').value.trim();
+                if (!tagsUrl && !relationsUrl) {
+                    this.showStatus('请输入基准版本的数据地址', 'error');
+                    return;
+                }
+                this.requestCompare(new UrlDataSource(tagsUrl || undefined, relationsUrl || undefined));
+            });
+        }
+
+        const importInput = document.getElementById('diff-import-input');
+        if (importInput) {
+            importInput.addEventListener('change', () => {
+                if (importInput.files.length > 0) {
+                    this.requestCompare(this.createImportSource(importInput.files));
+                }
+                importInput.value = '';
+            });
+        }
+
+        const exitBtn = document.getElementById('diff-exit-btn');
+        if (exitBtn) {
+            exitBtn.addEventListener('click', () => {
+                if (this.onExit) {
+                    this.onExit();
+                }
+            });
+        }
+    }
+
+    /**
+     * 根据文件创建基准版本的数据源，缺少的一份数据沿用当前版本（对比中时为对比前加载的数据）
+     */
+    createFileSource(files) {
+        const current = this.dataProcessor.getSourceRows();
+        return new FileDataSource(files, {
+            tags: current.tags.length > 0 ? current.tags : null,
+            relations: current.relations.length > 0 ? current.relations : null
+        });
+    }
+
+    /**
+     * 以DDL或dbt中的定义为基准版本：标签沿用当前版本，与当前关系相同的导入关系沿用其ID
+     */
+    createImportSource(files) {
+        const current = this.dataProcessor.getSourceRows();
+        return new ImportDataSource(files, {
+            ...DataSourcePanel.getImportOptions('diff'),
+            tags: current.tags,
+            alignWith: current.relations
+        });
+    }
+
+    requestCompare(source) {
+        this.showStatus(`正在加载 ${source.name}...`, 'info');
+        if (this.onCompare) {
+            this.onCompare(source);
+        }
+    }
+
+    showStatus(message, type = 'info') {
+        const status = document.getElementById('diff-status');
+        if (status) {
+            status.textContent = message;
+            status.className = `source-status source-status-${type}`;
+        }
+    }
+
+    /**
+     * 显示对比结果，diff为null时清空
+     */
+    showDiff(diff) {
+        const summary = document.getElementById('diff-summary');
+        const list = document.getElementById('diff-list');
+        const exitBtn = document.getElementById('diff-exit-btn');
+        if (!summary || !list) return;
+
+        list.innerHTML = '';
+        exitBtn.style.display = diff ? '' : 'none';
+        if (!diff) {
+            summary.textContent = '';
+            return;
+        }
+
+        const count = result => `新增 ${result.added.length}，删除 ${result.removed.length}，修改 ${result.changed.length}`;
+        summary.textContent = `关系：${count(diff.relations)}；标签：${count(diff.tags)}`;
+
+        const items = [
+            ...this.getRelationItems(diff.relations),
+            ...this.getTagItems(diff.tags)
+        ];
+        if (items.length === 0) {
+            list.appendChild(SidePanel.createElement('div', 'view-empty', '两个版本没有差异'));
+            return;
+        }
+        items.forEach(item => list.appendChild(this.createItem(item)));
+    }
+
+    getRelationItems(result) {
+        const shortName = table => String(table).split('.').pop();
+        const toItem = (relation, status, fields = []) => ({
+            kind: 'relation',
+            status,
+            title: `关系 ${relation.id}`,
+            detail: `${shortName(relation.src_table)} → ${shortName(relation.dst_table)}`,
+            relationId: relation.id,
+            fields
+        });
+
+        return [
+            ...result.added.map(relation => toItem(relation, 'added')),
+            ...result.removed.map(relation => toItem(relation, 'removed')),
+            ...result.changed.map(change => toItem(change.after, 'changed', change.fields))
+        ];
+    }
+
+    getTagItems(result) {
+        const toItem = (tag, status, fields = [], relationIds = tag.relation_ids) => ({
+            kind: 'tag',
+            status,
+            title: `${tag.tag_display_name || tag.tag_name} (${tag.tag_id})`,
+            detail: tag.tenant_id,
+            relationIds: [...ModelDiff.toIdSet(relationIds)],
+            fields
+        });
+
+        return [
+            ...result.added.map(tag => toItem(tag, 'added')),
+            ...result.removed.map(tag => toItem(tag, 'removed')),
+            // 修改的标签同时定位新旧两个版本中的关系
+            ...result.changed.map(change => toItem(change.after, 'changed', change.fields,
+                [...(change.before.relation_ids || []), ...(change.after.relation_ids || [])]))
+        ];
+    }
+
+    /**
+     * 绘制一个变更项及其字段差异
+     */
+    createItem(item) {
+        const el = SidePanel.createElement;
+        const row = el('div', `diff-item diff-${item.status}`);
+        row.title = '点击在图中定位';
+
+        const header = el('div', 'diff-item-header');
+        header.appendChild(el('span', 'diff-badge', DiffPanel.STATUS_LABELS[item.status]));
+        header.appendChild(el('span', 'diff-title', item.title));
+        header.appendChild(el('span', 'diff-detail', item.detail));
+        row.appendChild(header);
+
+        item.fields.forEach(field => {
+            const fieldRow = el('div', 'diff-field');
+            fieldRow.appendChild(el('div', 'diff-field-name', field.field));
+            if (field.field === 'relation_ids') {
+                if (field.added.length > 0) {
+                    fieldRow.appendChild(el('div', 'diff-after', `+ ${field.added.join(', ')}`));
+                }
+                if (field.removed.length > 0) {
+                    fieldRow.appendChild(el('div', 'diff-before', `- ${field.removed.join(', ')}`));
+                }
+            } else {
+                fieldRow.appendChild(el('div', 'diff-before', `- ${ModelDiff.formatValue(field.before)}`));
+                fieldRow.appendChild(el('div', 'diff-after', `+ ${ModelDiff.formatValue(field.after)}`));
+            }
+            row.appendChild(fieldRow);
+        });
+
+        row.addEventListener('click', () => {
+            if (this.onSelect) {
+                this.onSelect(item);
+            }
+        });
+        return row;
+    }
+}
+
+DiffPanel.STATUS_LABELS = {
+    added: '新增',
+    removed: '删除',
+    changed: '修改'
+};
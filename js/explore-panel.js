@@ -0,0 +1,155 @@
+/**
+ * 探索面板
+ * 选择起始表、跳数和方向后只显示该表的邻域，双击图中的表逐步展开相邻表，面板中列出已展开的表并可收起
+ */
+class ExplorePanel extends SidePanel {
+    constructor(panelId) {
+        super(panelId);
+        this.explore = null;     // 当前探索状态，未在探索时为null
+        this.selectedNodeId = null;
+        this.onStart = null;     // ({ rootId, hops, direction }) 开始探索
+        this.onExit = null;      // 退出探索，恢复完整视图
+        this.onCollapse = null;  // (nodeId) 收起已展开的表
+
+        const directionSelect = document.getElementById('explore-direction');
+        if (directionSelect) {
+            Object.entries(ExplorePanel.DIRECTIONS).forEach(([direction, label]) => {
+                const option = SidePanel.createElement('option', '', label);
+                option.value = direction;
+                directionSelect.appendChild(option);
+            });
+        }
+
+        const startBtn = document.getElementById('explore-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', () => this.start());
+        }
+
+        const exitBtn = document.getElementById('explore-exit-btn');
+        if (exitBtn) {
+            exitBtn.addEventListener('click', () => {
+                if (this.onExit) {
+                    this.onExit();
+                }
+            });
+        }
+    }
+
+    show() {
+        super.show();
+        // 未在探索时默认从当前选中的表开始
+        const rootSelect = document.getElementById('explore-root-select');
+        if (!this.explore && this.selectedNodeId &&
+            [...rootSelect.options].some(option => option.value === this.selectedNodeId)) {
+            rootSelect.value = this.selectedNodeId;
+        }
+        this.renderState();
+    }
+
+    /**
+     * 按面板中的选择开始探索
+     */
+    start() {
+        const rootId = document.getElementById('explore-root-select').value;
+        if (!rootId || !this.onStart) return;
+
+        this.onStart({
+            rootId,
+            hops: Math.max(1, parseInt(document.getElementById('explore-hops').value) || 1),
+            direction: document.getElementById('explore-direction').value
+        });
+    }
+
+    /**
+     * 设置可选的起始表（当前租户和可见标签下的所有表，不受探索范围限制）
+     */
+    setNodes(nodes) {
+        const select = document.getElementById('explore-root-select');
+        if (!select) return;
+
+        const previous = select.value;
+        select.innerHTML = '';
+        [...nodes]
+            .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id))
+            .forEach(node => {
+                const option = SidePanel.createElement('option', '', `${node.name} (${node.catalog}.${node.schema})`);
+                option.value = node.id;
+                option.title = node.id;
+                select.appendChild(option);
+            });
+
+        if (nodes.some(node => node.id === previous)) {
+            select.value = previous;
+        }
+    }
+
+    /**
+     * 同步探索状态，visibleCount 为当前显示的表数量
+     */
+    setState(explore, visibleCount = 0) {
+        this.explore = explore;
+        this.visibleCount = visibleCount;
+
+        if (explore) {
+            document.getElementById('explore-root-select').value = explore.rootId;
+            document.getElementById('explore-hops').value = explore.hops;
+            document.getElementById('explore-direction').value = explore.direction;
+        }
+        if (this.isVisible()) {
+            this.renderState();
+        }
+    }
+
+    /**
+     * 绘制探索摘要和已展开的表
+     */
+    renderState() {
+        const summary = document.getElementById('explore-summary');
+        const list = document.getElementById('explore-expanded-list');
+        const exitBtn = document.getElementById('explore-exit-btn');
+        if (!summary || !list) return;
+
+        list.innerHTML = '';
+        const el = SidePanel.createElement;
+        exitBtn.style.display = this.explore ? '' : 'none';
+
+        if (!this.explore) {
+            summary.textContent = '未在探索，图中显示全部表';
+            return;
+        }
+
+        summary.textContent = this.visibleCount > 0
+            ? `从 ${this.explore.rootId} 出发，显示 ${this.visibleCount} 张表；双击表展开或收起相邻表`
+            : `当前视图中没有表 ${this.explore.rootId}`;
+
+        if (this.explore.expanded.size === 0) {
+            list.appendChild(el('div', 'view-empty', '尚未展开任何表'));
+            return;
+        }
+
+        this.explore.expanded.forEach(nodeId => {
+            const item = el('div', 'view-item');
+            const info = el('div', 'view-info');
+            info.appendChild(el('div', 'view-name', nodeId.split('.').pop()));
+            info.appendChild(el('div', 'view-time', nodeId));
+            item.appendChild(info);
+
+            const collapseBtn = el('button', 'view-action', '收起');
+            collapseBtn.addEventListener('click', () => {
+                if (this.onCollapse) {
+                    this.onCollapse(nodeId);
+                }
+            });
+            item.appendChild(collapseBtn);
+
+            list.appendChild(item);
+        });
+    }
+}
+
+// 探索方向，与 DataProcessor.getNeighborIds() 的 direction 参数一致
+ExplorePanel.DIRECTIONS = {
+    both: '上下游',
+    downstream: '仅下游（沿关系方向）',
+    upstream: '仅上游（逆关系方向）'
+};
@@ -0,0 +1,82 @@
+/**
+ * 导出面板
+ * 选择导出格式（SVG/PNG/PDF）、倍率和范围，可选透明背景、附带图例、只导出选中的元素
+ * 数据可导出为JSON、GraphML、DOT、Mermaid ER或Cypher
+ */
+class ExportPanel extends SidePanel {
+    constructor(panelId) {
+        super(panelId);
+        this.onExport = null;      // (options) 导出图形，返回Promise
+        this.onExportData = null;  // (format) 导出数据，返回文件名
+
+        const formatSelect = document.getElementById('export-format');
+        if (formatSelect) {
+            formatSelect.addEventListener('change', () => this.updateInputs());
+            this.updateInputs();
+        }
+
+        const exportBtn = document.getElementById('export-run-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.requestExport());
+        }
+
+        const dataBtn = document.getElementById('export-data-btn');
+        if (dataBtn) {
+            dataBtn.addEventListener('click', () => this.requestExportData());
+        }
+    }
+
+    /**
+     * SVG为矢量图不需要倍率，PDF中的图片不支持透明背景
+     */
+    updateInputs() {
+        const format = document.getElementById('export-format').value;
+        document.getElementById('export-scale').disabled = format === 'svg';
+        document.getElementById('export-transparent').disabled = format === 'pdf';
+    }
+
+    getOptions() {
+        const format = document.getElementById('export-format').value;
+        return {
+            format,
+            scale: parseFloat(document.getElementById('export-scale').value) || 1,
+            range: document.getElementById('export-range').value,
+            transparent: format !== 'pdf' && document.getElementById('export-transparent').checked,
+            legend: document.getElementById('export-legend').checked,
+            selectionOnly: document.getElementById('export-selection').checked
+        };
+    }
+
+    async requestExport() {
+        if (!this.onExport) return;
+
+        this.showStatus('正在导出...', 'info');
+        try {
+            const filename = await this.onExport(this.getOptions());
+            this.showStatus(`已导出 ${filename}`, 'ok');
+        } catch (error) {
+            console.error('导出失败:', error);
+            this.showStatus(`导出失败: ${error.message}`, 'error');
+        }
+    }
+
+    requestExportData() {
+        if (!this.onExportData) return;
+
+        try {
+            const filename = this.onExportData(document.getElementById('export-data-format').value);
+            this.showStatus(`已导出 ${filename}`, 'ok');
+        } catch (error) {
+            console.error('导出数据失败:', error);
+            this.showStatus(`导出数据失败: ${error.message}`, 'error');
+        }
+    }
+
+    showStatus(message, type = 'info') {
+        const status = document.getElementById('export-status');
+        if (status) {
+            status.textContent = message;
+            status.className = `source-status source-status-${type}`;
+        }
+    }
+}
@@ -0,0 +1,452 @@
+/**
+ * 图形导出模块
+ * 将当前图形导出为内联样式的独立SVG、指定倍率的PNG或PDF
+ * 可导出全图或当前视图，可选透明背景、附带图例、只导出选中的元素
+ */
+class GraphExporter {
+    constructor(renderer, dataProcessor) {
+        this.renderer = renderer;
+        this.dataProcessor = dataProcessor;
+        this.padding = 40;
+        this.background = '#fafafa';
+    }
+
+    /**
+     * 导出并下载文件
+     * options: { format: 'svg' | 'png' | 'pdf', scale, range: 'full' | 'view', transparent, legend, selectionOnly }
+     */
+    async export(options) {
+        const filename = `multipath_relation_graph.${options.format}`;
+        console.log('导出图形:', options);
+
+        if (options.format === 'svg') {
+            const svg = this.createSvg(options);
+            GraphExporter.download(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), filename);
+        } else if (options.format === 'png') {
+            const canvas = await this.renderCanvas(options);
+            GraphExporter.download(await GraphExporter.canvasToBlob(canvas, 'image/png'), filename);
+        } else if (options.format === 'pdf') {
+            // PDF中的图片使用JPEG，不支持透明背景
+            const layout = this.getLayout(options);
+            const canvas = await this.renderCanvas({ ...options, transparent: false });
+            const jpeg = GraphExporter.dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92));
+            GraphExporter.download(
+                GraphExporter.buildPdf(jpeg, canvas.width, canvas.height, layout.width * 0.75, layout.height * 0.75),
+                filename
+            );
+        } else {
+            throw new Error(`不支持的导出格式: ${options.format}`);
+        }
+        return filename;
+    }
+
+    /**
+     * 要导出的节点和边；只导出选中元素时没有选中任何元素会抛出错误
+     * 选中的元素依次取 Shift+点击选中的边、点击选中的边、点击选中的节点及其直接相连的边
+     */
+    getItems(options) {
+        const renderer = this.renderer;
+        const nodes = renderer.getRenderedNodes();
+        const links = renderer.getRenderedLinks();
+        if (!options.selectionOnly) {
+            return { nodes, links };
+        }
+
+        let selectedLinks;
+        if (renderer.selectedRelationIds.size > 0) {
+            selectedLinks = links.filter(link => renderer.selectedRelationIds.has(link.relationId));
+        } else if (renderer.selectedRelationId) {
+            selectedLinks = links.filter(link => link.relationId === renderer.selectedRelationId);
+        } else if (renderer.selectedNodeId) {
+            selectedLinks = links.filter(link =>
+                link.source.id === renderer.selectedNodeId || link.target.id === renderer.selectedNodeId);
+        } else {
+            throw new Error('没有选中的元素，请先点击节点或边，或Shift+点击选择多条边');
+        }
+
+        const nodeIds = new Set(renderer.selectedNodeId && renderer.selectedRelationIds.size === 0 && !renderer.selectedRelationId
+            ? [renderer.selectedNodeId]
+            : []);
+        selectedLinks.forEach(link => {
+            nodeIds.add(link.source.id);
+            nodeIds.add(link.target.id);
+        });
+        return { nodes: nodes.filter(node => nodeIds.has(node.id)), links: selectedLinks };
+    }
+
+    /**
+     * 导出画面的布局（图坐标）：图形区域 bounds，右侧的图例，以及总宽高
+     * 全图时为所有导出节点的包围盒，当前视图时为屏幕可见区域
+     */
+    getLayout(options) {
+        const items = this.getItems(options);
+        let bounds;
+        if (options.range === 'view') {
+            const [x0, y0] = this.renderer.transform.invert([0, 0]);
+            const [x1, y1] = this.renderer.transform.invert([this.renderer.width, this.renderer.height]);
+            bounds = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+        } else if (items.nodes.length > 0) {
+            const x0 = d3.min(items.nodes, node => node.x - node.width / 2) - this.padding;
+            const y0 = d3.min(items.nodes, node => node.y - node.height / 2) - this.padding;
+            const x1 = d3.max(items.nodes, node => node.x + node.width / 2) + this.padding;
+            const y1 = d3.max(items.nodes, node => node.y + node.height / 2) + this.padding;
+            bounds = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+        } else {
+            bounds = { x: 0, y: 0, width: Math.max(this.renderer.width, 1), height: Math.max(this.renderer.height, 1) };
+        }
+
+        const legendItems = options.legend ? this.getLegendItems(items.links) : [];
+        const legend = legendItems.length > 0 ? {
+            items: legendItems,
+            x: bounds.x + bounds.width,
+            y: bounds.y,
+            width: 24 + d3.max(legendItems, item => GraphExporter.estimateTextWidth(item.label)) + 36,
+            height: 32 + legendItems.length * GraphExporter.LEGEND_ROW_HEIGHT
+        } : null;
+
+        return {
+            items,
+            bounds,
+            legend,
+            width: bounds.width + (legend ? legend.width : 0),
+            height: Math.max(bounds.height, legend ? legend.height : 0)
+        };
+    }
+
+    /**
+     * 图例项：版本对比时为变更状态，否则为导出的边上出现的标签
+     */
+    getLegendItems(links) {
+        if (this.dataProcessor && this.dataProcessor.diff) {
+            const labels = { added: '新增', removed: '删除', changed: '修改', unchanged: '未变化' };
+            return Object.entries(labels).map(([status, label]) => ({
+                color: GraphRenderer.DIFF_COLORS[status],
+                label,
+                dashed: status === 'removed'
+            }));
+        }
+
+        const items = new Map();
+        links.forEach(link => (link.tags || []).forEach(tag => {
+            if (!items.has(tag.key)) {
+                items.set(tag.key, { color: tag.color, label: `${tag.tagName} (${tag.tagId})` });
+            }
+        }));
+
+        const list = [...items.values()].sort((a, b) => a.label.localeCompare(b.label));
+        if (list.length > GraphExporter.MAX_LEGEND_ITEMS) {
+            const rest = list.length - GraphExporter.MAX_LEGEND_ITEMS + 1;
+            return [...list.slice(0, GraphExporter.MAX_LEGEND_ITEMS - 1), { color: null, label: `另外 ${rest} 个标签` }];
+        }
+        return list;
+    }
+
+    /**
+     * 生成独立的SVG：内联页面样式，去掉缩放变换，viewBox覆盖导出范围
+     */
+    createSvg(options) {
+        if (!this.renderer.svg) {
+            throw new Error('Canvas渲染时不支持导出SVG，请导出PNG或PDF，或通过 ?renderer=svg 使用SVG渲染');
+        }
+
+        const layout = this.getLayout(options);
+        const { bounds } = layout;
+        const source = this.renderer.svg.node();
+        const clone = source.cloneNode(true);
+
+        if (options.selectionOnly) {
+            this.removeUnselected(source, clone, layout.items);
+        }
+
+        // 去掉缩放平移，由viewBox决定导出范围
+        clone.querySelector(':scope > g').removeAttribute('transform');
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        clone.setAttribute('viewBox', [bounds.x, bounds.y, layout.width, layout.height].join(' '));
+        clone.setAttribute('width', Math.ceil(layout.width));
+        clone.setAttribute('height', Math.ceil(layout.height));
+        clone.style.removeProperty('background');
+
+        const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+        style.textContent = GraphExporter.collectStyles(source);
+        clone.insertBefore(style, clone.firstChild);
+
+        if (!options.transparent) {
+            const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            background.setAttribute('x', bounds.x);
+            background.setAttribute('y', bounds.y);
+            background.setAttribute('width', layout.width);
+            background.setAttribute('height', layout.height);
+            background.setAttribute('fill', this.background);
+            clone.insertBefore(background, style.nextSibling);
+        }
+
+        if (layout.legend) {
+            clone.appendChild(this.createSvgLegend(layout.legend));
+        }
+
+        return new XMLSerializer().serializeToString(clone);
+    }
+
+    /**
+     * 只保留选中的节点和边：按顺序对应原SVG和副本中的元素，根据原元素绑定的数据判断
+     */
+    removeUnselected(source, clone, items) {
+        const nodeIds = new Set(items.nodes.map(node => node.id));
+        const linkIds = new Set(items.links.map(link => link.id));
+        const keep = d => {
+            if (!d) return false;
+            if (d.source && d.target) return linkIds.has(d.id);
+            return nodeIds.has(d.id);
+        };
+
+        const selector = '.group-hulls > *, .links > *, .trace-layer > *, .nodes > *';
+        const originals = source.querySelectorAll(selector);
+        const copies = clone.querySelectorAll(selector);
+        originals.forEach((element, index) => {
+            if (!keep(element.__data__)) {
+                copies[index].remove();
+            }
+        });
+    }
+
+    createSvgLegend(legend) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const create = (tag, attributes, text) => {
+            const element = document.createElementNS(ns, tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            if (text !== undefined) {
+                element.textContent = text;
+            }
+            return element;
+        };
+
+        const group = create('g', { class: 'export-legend', transform: `translate(${legend.x + 12},${legend.y + 12})` });
+        group.appendChild(create('rect', {
+            width: legend.width - 24, height: legend.height - 24, rx: 6,
+            fill: 'white', stroke: '#e9ecef'
+        }));
+        group.appendChild(create('text', { x: 12, y: 20, 'font-size': 12, 'font-weight': 600, fill: '#333' }, '图例'));
+
+        legend.items.forEach((item, index) => {
+            const y = 24 + index * GraphExporter.LEGEND_ROW_HEIGHT + GraphExporter.LEGEND_ROW_HEIGHT / 2;
+            if (item.color) {
+                group.appendChild(create('line', {
+                    x1: 12, y1: y, x2: 32, y2: y,
+                    stroke: item.color, 'stroke-width': 3,
+                    'stroke-dasharray': item.dashed ? '6 4' : 'none'
+                }));
+            }
+            group.appendChild(create('text', { x: 40, y: y + 4, 'font-size': 11, fill: '#555' }, item.label));
+        });
+        return group;
+    }
+
+    /**
+     * 按倍率绘制导出画面到新的Canvas
+     * SVG渲染时将独立SVG作为图片绘制，Canvas渲染时在新画布上重新绘制图形
+     */
+    async renderCanvas(options) {
+        const layout = this.getLayout(options);
+        const scale = GraphExporter.clampScale(options.scale || 1, layout.width, layout.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(layout.width * scale);
+        canvas.height = Math.ceil(layout.height * scale);
+        const ctx = canvas.getContext('2d');
+
+        if (this.renderer.svg) {
+            const image = await GraphExporter.loadImage(this.createSvg(options));
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        } else {
+            const { bounds } = layout;
+            this.renderer.drawTo(ctx, d3.zoomIdentity.translate(-bounds.x, -bounds.y),
+                bounds.width, bounds.height, scale, options.selectionOnly ? layout.items : null);
+            if (layout.legend) {
+                this.drawCanvasLegend(ctx, layout, scale);
+            }
+        }
+
+        if (!options.transparent) {
+            // 绘制在已有内容的下方
+            ctx.save();
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = this.background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.restore();
+        }
+        return canvas;
+    }
+
+    drawCanvasLegend(ctx, layout, scale) {
+        const { legend, bounds } = layout;
+        const rowHeight = GraphExporter.LEGEND_ROW_HEIGHT;
+
+        ctx.save();
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.translate(legend.x - bounds.x + 12, legend.y - bounds.y + 12);
+        ctx.fillStyle = 'white';
+        ctx.strokeStyle = '#e9ecef';
+        ctx.fillRect(0, 0, legend.width - 24, legend.height - 24);
+        ctx.strokeRect(0, 0, legend.width - 24, legend.height - 24);
+
+        ctx.textBaseline = 'alphabetic';
+        ctx.textAlign = 'left';
+        ctx.font = '600 12px sans-serif';
+        ctx.fillStyle = '#333';
+        ctx.fillText('图例', 12, 20);
+
+        ctx.font = '11px sans-serif';
+        legend.items.forEach((item, index) => {
+            const y = 24 + index * rowHeight + rowHeight / 2;
+            if (item.color) {
+                ctx.strokeStyle = item.color;
+                ctx.lineWidth = 3;
+                ctx.setLineDash(item.dashed ? [6, 4] : []);
+                ctx.beginPath();
+                ctx.moveTo(12, y);
+                ctx.lineTo(32, y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            ctx.fillStyle = '#555';
+            ctx.fillText(item.label, 40, y + 4);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * 收集页面样式表中作用于SVG内元素的规则（跨域样式表无法读取，跳过）
+     */
+    static collectStyles(root) {
+        const rules = [];
+        Array.from(document.styleSheets).forEach(sheet => {
+            let cssRules;
+            try {
+                cssRules = sheet.cssRules;
+            } catch (error) {
+                return;
+            }
+
+            Array.from(cssRules || []).forEach(rule => {
+                if (!rule.selectorText) return;
+                try {
+                    if (root.matches(rule.selectorText) || root.querySelector(rule.selectorText)) {
+                        rules.push(rule.cssText);
+                    }
+                } catch (error) {
+                    // 浏览器不支持的选择器
+                }
+            });
+        });
+        return rules.join('\n');
+    }
+
+    /**
+     * 限制倍率，使画布尺寸不超过浏览器上限
+     */
+    static clampScale(scale, width, height) {
+        const limit = Math.min(
+            scale,
+            GraphExporter.MAX_CANVAS_SIDE / width,
+            GraphExporter.MAX_CANVAS_SIDE / height,
+            Math.sqrt(GraphExporter.MAX_CANVAS_AREA / (width * height))
+        );
+        if (limit < scale) {
+            console.warn(`导出尺寸过大，倍率从 ${scale} 降为 ${limit.toFixed(2)}`);
+        }
+        return limit;
+    }
+
+    /**
+     * SVG文本转为图片；使用encodeURIComponent而不是btoa，支持中文等非Latin1字符
+     */
+    static loadImage(svg) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('SVG图片加载失败'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+    }
+
+    static canvasToBlob(canvas, type) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('图片生成失败'))), type);
+        });
+    }
+
+    static dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * 生成只包含一张JPEG图片的单页PDF，页面尺寸单位为点（1/72英寸）
+     */
+    static buildPdf(jpegBytes, imageWidth, imageHeight, pageWidth, pageHeight) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const push = data => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const addObject = (id, dictionary, stream = null) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n${dictionary}\n`);
+            if (stream) {
+                push('stream\n');
+                push(stream);
+                push('\nendstream\n');
+            }
+            push('endobj\n');
+        };
+
+        const width = pageWidth.toFixed(2);
+        const height = pageHeight.toFixed(2);
+        const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+        push('%PDF-1.4\n');
+        push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));  // 二进制标记
+        addObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        addObject(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+        addObject(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>');
+        addObject(4, `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>`, jpegBytes);
+        addObject(5, `<< /Length ${content.length} >>`, content);
+
+        const xrefOffset = length;
+        push(`xref\n0 ${offsets.length}\n0000000000 65535 f \n` +
+            offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 估算文字宽度（中文按两个字符计），用于图例布局
+     */
+    static estimateTextWidth(text, fontSize = 11) {
+        return Array.from(String(text)).reduce((width, char) => width + (char.charCodeAt(0) > 255 ? fontSize : fontSize * 0.6), 0);
+    }
+}
+
+GraphExporter.LEGEND_ROW_HEIGHT = 18;
+GraphExporter.MAX_LEGEND_ITEMS = 40;
+GraphExporter.MAX_CANVAS_SIDE = 16384;
+GraphExporter.MAX_CANVAS_AREA = 16384 * 8192;
@@ -12,15 +12,54 @@ class GraphRenderer {
         this.width = 0;
         this.height = 0;
         this.zoom = null;
+        this.zoomSurface = null;  // 绑定缩放行为的元素
+        this.groupingEnabled = false;
+        this.relationSpacing = 24; // 同一节点对之间多条关系的弯曲间距
+        this.laneSpacing = 5;      // 同一关系上不同tag泳道的间距
+        this.sqlGenerator = dataProcessor ? new SqlGenerator(dataProcessor) : null;
+        this.selectedRelationIds = new Set(); // Shift+点击选中的边，用于生成SQL
+        this.onSelectionChange = null;
+        this.columnsExpanded = false;  // 全局列视图开关
+        this.nodeExpansion = new Map(); // 单个节点的展开/收起，优先于全局开关
+        this.cardHeaderHeight = 26;
+        this.columnRowHeight = 18;
+        this.transform = d3.zoomIdentity;
+        this.transitionDuration = 400;  // 元素淡入淡出时长（毫秒）
+        this.nodePositions = new Map(); // 节点ID到上一次位置的映射，数据重新加载后沿用布局
+        this.selectedNodeId = null;     // 当前点击选中的节点
+        this.selectedRelationId = null; // 当前点击选中的边
+        this.onViewChange = null;       // 缩放、拖拽或选中元素变化时通知
+        this.layout = 'force';          // 当前布局，见 GraphLayout.TYPES
+        this.layoutOptions = {
+            direction: 'TB',   // 分层布局方向：TB 从上到下，LR 从左到右
+            layerSpacing: 120,
+            nodeSpacing: 30,
+            ringSpacing: 160,
+            center: null       // 放射布局的中心表，为空时使用选中的表或关系最多的表
+        };
+        this.forceSettings = {
+            linkDistance: 100,
+            linkStrength: 0.5,
+            chargeStrength: -300,
+            collisionPadding: 10
+        };
+        this.layoutDuration = 750;      // 切换布局时的过渡时长（毫秒）
+        this.layoutTimer = null;
+        this.edgeNotation = 'arrow';    // 边端点样式：arrow 箭头，er ER图的基数符号
+        this.exploreState = null;       // 探索模式：{ rootId, expanded, hiddenCounts }，见 DataProcessor.getExploreData()
+        this.onNodeDblclick = null;     // (node) 返回true时不再切换列卡片（探索模式下用于展开相邻表）
+        this.onInspect = null;          // (item) 点击表或关系，item: { kind: 'table' | 'relation', id }
         
         // 绑定方法
         this.handleZoom = this.handleZoom.bind(this);
         this.handleNodeClick = this.handleNodeClick.bind(this);
+        this.handleNodeDblclick = this.handleNodeDblclick.bind(this);
         this.handleLinkClick = this.handleLinkClick.bind(this);
     }
 
     /**
      * 初始化渲染器
+     * SVG、图层、缩放、工具提示和力导向模拟只创建一次，之后的渲染在其上增量更新
      */
     init() {
         const container = d3.select(`#${this.containerId}`);
@@ -45,15 +84,47 @@ class GraphRenderer {
             .on('zoom', this.handleZoom);
 
         this.svg.call(this.zoom);
-
-        // 创建工具提示
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'tooltip')
-            .style('opacity', 0);
+        this.zoomSurface = this.svg;
+
+        // 创建工具提示（整个页面共用一个）
+        if (!this.tooltip) {
+            this.tooltip = d3.select('body')
+                .append('div')
+                .attr('class', 'tooltip')
+                .style('opacity', 0);
+        }
 
         // 创建箭头标记
         this.createArrowMarkers();
+
+        // 图层从下到上：分组外框、边、路径追踪、节点
+        this.g.append('g').attr('class', 'group-hulls');
+        this.g.append('g').attr('class', 'links');
+        this.g.append('g').attr('class', 'trace-layer');
+        this.g.append('g').attr('class', 'nodes');
+
+        // 创建模拟
+        this.createSimulation();
+        this.startSimulation();
+    }
+
+    /**
+     * 窗口大小变化时原地调整SVG尺寸和模拟中心，保留现有布局
+     */
+    resize() {
+        if (!this.svg) return;
+
+        const containerRect = d3.select(`#${this.containerId}`).node().getBoundingClientRect();
+        this.width = containerRect.width;
+        this.height = Math.max(600, containerRect.height);
+
+        this.svg
+            .attr('width', this.width)
+            .attr('height', this.height);
+
+        this.simulation.force('center', d3.forceCenter(this.width / 2, this.height / 2));
+        this.applyGroupingForces();
+        this.simulation.alpha(0.1).restart();
     }
 
     /**
@@ -62,54 +133,85 @@ class GraphRenderer {
     createArrowMarkers() {
         const defs = this.svg.append('defs');
 
-        // 创建默认箭头标记
+        // 创建默认箭头标记（边的端点已裁剪到节点边界，箭头尖端落在端点上）
         defs.append('marker')
             .attr('id', 'arrowhead')
             .attr('viewBox', '0 -5 10 10')
-            .attr('refX', 25)
+            .attr('refX', 10)
             .attr('refY', 0)
             .attr('markerWidth', 6)
             .attr('markerHeight', 6)
-            .attr('orient', 'auto')
+            .attr('orient', 'auto-start-reverse')
             .append('path')
             .attr('d', 'M0,-5L10,0L0,5')
             .attr('fill', '#999');
+
+        // ER符号：端点处的基数符号和中点处的方向符号，尺寸不随线宽变化
+        Object.entries(GraphRenderer.ER_MARKERS).forEach(([name, path]) => {
+            defs.append('marker')
+                .attr('id', `er-${name}`)
+                .attr('class', 'er-marker')
+                .attr('viewBox', '-12 -8 20 16')
+                .attr('refX', 0)
+                .attr('refY', 0)
+                .attr('markerUnits', 'userSpaceOnUse')
+                .attr('markerWidth', 20)
+                .attr('markerHeight', 16)
+                .attr('orient', 'auto-start-reverse')
+                .append('path')
+                .attr('d', path);
+        });
     }
 
     /**
-     * 为边创建动态箭头标记
+     * 为边的每种泳道颜色维护一个箭头标记，已有的标记直接复用
      */
     createDynamicArrowMarkers(links) {
-        // 确保defs元素存在
-        let defs = this.svg.select('defs');
-        if (defs.empty()) {
-            defs = this.svg.append('defs');
-        }
-        
-        // 为每个唯一的颜色创建箭头标记
-        const uniqueColors = [...new Set(links.map(link => link.color))];
-        
-        uniqueColors.forEach((color, index) => {
-            const markerId = `arrowhead-${index}`;
-            
-            defs.append('marker')
-                .attr('id', markerId)
+        const uniqueColors = [...new Set(links.flatMap(link =>
+            this.getLinkLanes(link).map(lane => lane.color)
+        ))];
+
+        this.svg.select('defs')
+            .selectAll('.lane-marker')
+            .data(uniqueColors, color => color)
+            .join(enter => enter.append('marker')
+                .attr('class', 'lane-marker')
+                .attr('id', color => this.getMarkerId(color))
                 .attr('viewBox', '0 -5 10 10')
-                .attr('refX', 25)
+                .attr('refX', 10)
                 .attr('refY', 0)
                 .attr('markerWidth', 6)
                 .attr('markerHeight', 6)
-                .attr('orient', 'auto')
-                .append('path')
-                .attr('d', 'M0,-5L10,0L0,5')
-                .attr('fill', color);
-        });
-        
-        return uniqueColors;
+                .attr('orient', 'auto-start-reverse')
+                .call(marker => marker.append('path')
+                    .attr('d', 'M0,-5L10,0L0,5')
+                    .attr('fill', color => color)));
+    }
+
+    /**
+     * 颜色对应的箭头标记ID
+     */
+    getMarkerId(color) {
+        return `arrowhead-${String(color).replace(/[^A-Za-z0-9]/g, '')}`;
+    }
+
+    /**
+     * 当前视图中的节点数据（不含正在淡出的节点）
+     */
+    getRenderedNodes() {
+        return this.g ? this.g.selectAll('.node').data() : [];
+    }
+
+    /**
+     * 当前视图中的边数据（不含正在淡出的边）
+     */
+    getRenderedLinks() {
+        return this.g ? this.g.selectAll('.link').data() : [];
     }
 
     /**
      * 渲染图形
+     * 按节点和边的ID增量更新：保留已有节点的位置，新元素淡入，移除的元素淡出
      */
     render(data) {
         
@@ -119,42 +221,97 @@ class GraphRenderer {
             return;
         }
         
+        // 节点为空时（如所有标签都被隐藏）仍继续渲染，移除已有的元素
         if (data.nodes.length === 0) {
             console.warn('节点数据为空');
-            return;
         }
         
-        // 清空图形
-        this.clearGraph();
-        
-        // 初始化图形渲染器
-        this.init();
-        
-        // 创建模拟
-        this.createSimulation(data);
+        // SVG尚未创建或已被移出页面（如显示错误信息后）时重新初始化
+        if (!this.svg || !this.svg.node().isConnected) {
+            this.clearGraph();
+            this.init();
+        }
+
+        // 清除上一次的路径追踪和高亮
+        this.clearTagPaths();
+        this.selectedNodeId = null;
+        this.selectedRelationId = null;
+
+        // 更新模拟中的节点和边
+        this.exploreState = data.explore || null;
+        this.seedNodePositions(data.nodes, data.links);
+        data.nodes.forEach(node => this.updateNodeSize(node));
+        this.updateSimulation(data);
+        this.applyGroupingForces();
         
-        // 创建边
+        // 更新边和节点
         this.createLinks(data.links);
-        
-        // 创建节点
         this.createNodes(data.nodes);
-        this.startSimulation();
+        this.updateGroupHulls();
     }
 
     /**
-     * 清空图形
+     * 清空图形，下一次渲染时重新创建SVG
      */
     clearGraph() {
+        if (this.simulation) {
+            this.simulation.stop();
+        }
+        this.stopLayoutTransition();
+
         // 清除整个容器内容
         const container = d3.select(`#${this.containerId}`);
         container.selectAll('*').remove();
         
-        // 重置引用
+        // 重置引用（新的SVG从初始缩放开始）
+        this.transform = d3.zoomIdentity;
+        this.selectedNodeId = null;
+        this.selectedRelationId = null;
         this.svg = null;
+        this.zoomSurface = null;
         this.g = null;
         this.simulation = null;
     }
 
+    /**
+     * 为没有位置的节点设置初始位置
+     * 优先沿用同一张表上一次的位置（如重新加载数据后），否则放在已有位置的相邻节点附近
+     */
+    seedNodePositions(nodes, links) {
+        this.simulation.nodes().forEach(node => {
+            this.nodePositions.set(node.id, { x: node.x, y: node.y, fx: node.fx, fy: node.fy });
+        });
+
+        const hasPosition = node => node && Number.isFinite(node.x) && Number.isFinite(node.y);
+        nodes.forEach(node => {
+            const previous = this.nodePositions.get(node.id);
+            if (!hasPosition(node) && previous) {
+                Object.assign(node, previous);
+            }
+        });
+
+        const nodeById = new Map(nodes.map(node => [node.id, node]));
+        const jitter = range => (Math.random() - 0.5) * range;
+        nodes.filter(node => !hasPosition(node)).forEach(node => {
+            const neighbors = [];
+            links.forEach(link => {
+                const sourceId = link.source.id || link.source;
+                const targetId = link.target.id || link.target;
+                if (sourceId === node.id) neighbors.push(nodeById.get(targetId));
+                if (targetId === node.id) neighbors.push(nodeById.get(sourceId));
+            });
+
+            const placed = neighbors.filter(hasPosition);
+            if (placed.length > 0) {
+                node.x = d3.mean(placed, neighbor => neighbor.x) + jitter(60);
+                node.y = d3.mean(placed, neighbor => neighbor.y) + jitter(60);
+            } else {
+                node.x = this.width / 2 + jitter(200);
+                node.y = this.height / 2 + jitter(200);
+            }
+        });
+    }
+
     /**
      * 创建拖拽处理器
      */
@@ -177,71 +334,512 @@ class GraphRenderer {
                 d.fy = event.y;
                 // 确保模拟继续运行
                 this.simulation.alphaTarget(0.1).restart();
+                this.notifyViewChange();
             });
     }
 
     /**
-     * 创建力导向模拟
+     * 创建力导向模拟（节点和边在每次渲染时更新）
      */
-    createSimulation(data) {
-        this.simulation = d3.forceSimulation(data.nodes)
-            .force('link', d3.forceLink(data.links)
+    createSimulation() {
+        const settings = this.forceSettings;
+        this.simulation = d3.forceSimulation()
+            .force('link', d3.forceLink()
                 .id(d => d.id)
-                .distance(100)
-                .strength(0.5))
+                .distance(settings.linkDistance)
+                .strength(settings.linkStrength))
             .force('charge', d3.forceManyBody()
-                .strength(-300))
+                .strength(settings.chargeStrength))
             .force('center', d3.forceCenter(this.width / 2, this.height / 2))
             .force('collision', d3.forceCollide()
-                .radius(d => Math.max(d.width, d.height) / 2 + 10))
+                .radius(d => this.getCollisionRadius(d)))
             .alphaTarget(0.1)  // 保持持续的动画效果
             .alphaDecay(0.01); // 减慢衰减速度，让动画持续更久
     }
 
+    getCollisionRadius(node) {
+        return Math.max(node.width, node.height) / 2 + this.forceSettings.collisionPadding;
+    }
+
+    /**
+     * 更新模拟中的节点和边，已有布局时只轻微加热，避免整体重新排布
+     * 非力导向布局下重新计算布局位置
+     */
+    updateSimulation(data) {
+        const hadLayout = this.simulation.nodes().length > 0;
+
+        this.simulation.nodes(data.nodes);
+        this.simulation.force('link').links(data.links);
+        this.reheat(hadLayout ? 0.3 : 1);
+    }
+
+    /**
+     * 布局需要更新时调用：力导向布局加热模拟，其他布局重新计算并过渡到新位置
+     */
+    reheat(alpha) {
+        if (this.layout === 'force') {
+            this.simulation.alpha(alpha).restart();
+        } else {
+            this.runLayout();
+        }
+    }
+
+    /**
+     * 切换布局，options可包含 layoutOptions 中的字段，fit为true时过渡结束后缩放到全部节点
+     */
+    setLayout(layout, options = {}) {
+        if (!GraphLayout.TYPES[layout]) {
+            console.warn('未知的布局类型:', layout);
+            return;
+        }
+
+        const { fit, ...layoutOptions } = options;
+        Object.assign(this.layoutOptions, layoutOptions);
+        const previous = this.layout;
+        this.layout = layout;
+        if (!this.simulation) return;
+
+        if (layout === 'force') {
+            this.stopLayoutTransition();
+            // 释放布局固定的位置，由力导向模拟从当前位置继续演化
+            if (previous !== 'force') {
+                this.simulation.nodes().forEach(node => {
+                    node.fx = null;
+                    node.fy = null;
+                });
+            }
+            this.simulation.alpha(0.5).restart();
+            this.notifyViewChange();
+            return;
+        }
+
+        this.runLayout(fit);
+    }
+
+    /**
+     * 计算当前布局的目标位置，并从当前位置过渡过去
+     */
+    runLayout(fit = false) {
+        const nodes = this.simulation.nodes();
+        if (nodes.length === 0) return;
+
+        const targets = GraphLayout.compute(this.layout, nodes, this.simulation.force('link').links(), {
+            ...this.layoutOptions,
+            center: this.layoutOptions.center || this.selectedNodeId,
+            width: this.width,
+            height: this.height
+        });
+        this.animateNodes(targets, fit);
+    }
+
+    /**
+     * 将节点从当前位置平滑移动到目标位置，结束后节点固定在目标位置
+     */
+    animateNodes(targets, fit = false) {
+        this.stopLayoutTransition();
+        this.simulation.stop();
+
+        const moves = this.simulation.nodes()
+            .filter(node => targets.has(node.id))
+            .map(node => ({ node, x: node.x, y: node.y, target: targets.get(node.id) }));
+        const ease = d3.easeCubicInOut;
+
+        this.layoutTimer = d3.timer(elapsed => {
+            const t = ease(Math.min(1, elapsed / this.layoutDuration));
+            moves.forEach(move => {
+                move.node.x = move.node.fx = move.x + (move.target.x - move.x) * t;
+                move.node.y = move.node.fy = move.y + (move.target.y - move.y) * t;
+            });
+            this.updatePositions();
+
+            if (t === 1) {
+                this.stopLayoutTransition();
+                if (fit) {
+                    this.zoomToPoints(moves.map(move => [move.target.x, move.target.y]), 60);
+                }
+                this.notifyViewChange();
+            }
+        });
+    }
+
+    stopLayoutTransition() {
+        if (this.layoutTimer) {
+            this.layoutTimer.stop();
+            this.layoutTimer = null;
+        }
+    }
+
+    /**
+     * 更新力导向参数，力导向布局下重新加热模拟
+     */
+    setForceSettings(settings) {
+        Object.assign(this.forceSettings, settings);
+        if (!this.simulation) return;
+
+        this.simulation.force('link')
+            .distance(this.forceSettings.linkDistance)
+            .strength(this.forceSettings.linkStrength);
+        this.simulation.force('charge').strength(this.forceSettings.chargeStrength);
+        this.simulation.force('collision').radius(d => this.getCollisionRadius(d));
+        if (this.layout === 'force') {
+            this.simulation.alpha(0.5).restart();
+        }
+    }
+
     /**
      * 创建边
      */
     createLinks(links) {
-        const linkGroup = this.g.append('g')
-            .attr('class', 'links');
+        const linkGroup = this.g.select('.links');
 
-        // 创建动态箭头标记
-        const uniqueColors = this.createDynamicArrowMarkers(links);
-        
-        // 创建颜色到箭头ID的映射
-        const colorToMarker = {};
-        uniqueColors.forEach((color, index) => {
-            colorToMarker[color] = `arrowhead-${index}`;
-        });
+        // 更新动态箭头标记
+        this.createDynamicArrowMarkers(links);
 
+        // 每条关系对应一个边分组，分组内每个tag绘制一条泳道
         const link = linkGroup.selectAll('.link')
-            .data(links)
-            .enter()
-            .append('line')
-            .attr('class', 'link')
+            .data(links, d => d.id)
+            .join(
+                enter => enter.append('g')
+                    .attr('class', 'link')
+                    .on('click', this.handleLinkClick)
+                    .on('mouseover', this.handleLinkMouseover.bind(this))
+                    .on('mouseout', this.handleLinkMouseout.bind(this))
+                    .call(enter => this.fadeIn(enter)),
+                update => update,
+                exit => this.fadeOut(exit, 'link')
+            )
+            .classed('has-dynamic', d => d.hasDynamic)
+            .classed('link-untagged', d => d.untagged)
+            .classed('selected', d => this.selectedRelationIds.has(d.relationId));
+
+        link.selectAll('.link-lane')
+            .data(d => this.getLinkLanes(d))
+            .join('path')
+            .attr('class', 'link-lane')
+            .classed('link-lane-removed', d => d.diffStatus === 'removed')
+            .attr('fill', 'none')
             .attr('stroke', d => d.color)
-            .attr('stroke-width', 1)
             .attr('stroke-opacity', 0.8)
-            .attr('marker-end', d => {
-                const markerId = colorToMarker[d.color];
-                return `url(#${markerId})`;
-            })
-            .on('click', this.handleLinkClick)
-            .on('mouseover', this.handleLinkMouseover.bind(this))
-            .on('mouseout', this.handleLinkMouseout.bind(this));
+            .call(lanes => this.updateLaneMarkers(lanes));
 
         // 添加边标签，显示关系ID
         const linkLabels = linkGroup.selectAll('.link-label')
-            .data(links)
-            .enter()
-            .append('text')
-            .attr('class', 'link-label')
-            .attr('text-anchor', 'middle')
-            .attr('font-size', '11px')
-            .attr('font-weight', '600')
-            .attr('fill', '#333')
+            .data(links, d => d.id)
+            .join(
+                enter => enter.append('text')
+                    .attr('class', 'link-label')
+                    .attr('text-anchor', 'middle')
+                    .attr('font-size', '11px')
+                    .attr('font-weight', '600')
+                    .attr('fill', '#333')
+                    .call(enter => this.fadeIn(enter)),
+                update => update,
+                exit => this.fadeOut(exit, 'link-label')
+            )
             .text(d => d.relationId) // 显示关系ID而不是标签名称
-            .style('opacity', 1);
+            .classed('has-dynamic', d => d.hasDynamic);
+
+        // 带有动态设置的关系在标签后追加标记
+        linkLabels.filter(d => d.hasDynamic)
+            .append('tspan')
+            .attr('class', 'dynamic-mark')
+            .attr('dx', 3)
+            .text('ƒ');
+    }
+
+    /**
+     * 新元素淡入
+     */
+    fadeIn(selection) {
+        selection
+            .style('opacity', 0)
+            .transition('fade')
+            .duration(this.transitionDuration)
+            .style('opacity', 1)
+            .on('end', function () {
+                d3.select(this).style('opacity', null);
+            });
+    }
+
+    /**
+     * 移除的元素淡出后删除；先去掉类名，避免在淡出期间被当作当前视图中的元素选中
+     */
+    fadeOut(selection, className) {
+        selection
+            .classed(className, false)
+            .classed('exiting', true)
+            .style('pointer-events', 'none')
+            .transition('fade')
+            .duration(this.transitionDuration)
+            .style('opacity', 0)
+            .remove();
+    }
+
+    /**
+     * 获取边的泳道数据，每个tag一条泳道
+     */
+    getLinkLanes(link) {
+        const tags = link.tags && link.tags.length > 0 ? link.tags : [{ color: link.color }];
+        return tags.map((tag, index) => ({
+            link,
+            tag,
+            color: this.getLaneColor(link, tag),
+            diffStatus: tag.diffStatus || link.diffStatus || null,
+            index,
+            count: tags.length
+        }));
+    }
+
+    /**
+     * 泳道颜色：版本对比时按新增、删除、修改着色，未变化的泳道为灰色，否则使用标签颜色
+     */
+    getLaneColor(link, tag) {
+        if (!this.dataProcessor || !this.dataProcessor.diff) {
+            return tag.color;
+        }
+        const status = tag.diffStatus || link.diffStatus;
+        return GraphRenderer.DIFF_COLORS[status] || GraphRenderer.DIFF_COLORS.unchanged;
+    }
+
+    /**
+     * 计算边的基础几何信息：起止点、垂直方向和同一节点对之间的弯曲偏移
+     */
+    getLinkGeometry(link) {
+        const source = this.getLinkAnchor(link, 'source');
+        const target = this.getLinkAnchor(link, 'target');
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+
+        return {
+            sx: source.x,
+            sy: source.y,
+            tx: target.x,
+            ty: target.y,
+            perpX: length > 0 ? -dy / length : 0,
+            perpY: length > 0 ? dx / length : 0,
+            bend: (link.offset || 0) * this.relationSpacing
+        };
+    }
+
+    /**
+     * 计算边的端点：节点展开为列卡片时连接到对应连接键所在的列，否则连接到节点中心
+     */
+    getLinkAnchor(link, end) {
+        const node = link[end];
+        const other = end === 'source' ? link.target : link.source;
+        const condition = (link.condition || [])[0];
+        if (!node.expanded || !condition) {
+            return { x: node.x, y: node.y };
+        }
+
+        const joinKey = end === 'source' ? condition.srcJoinKey : condition.dstJoinKey;
+        const index = (node.columns || []).findIndex(column => joinKey && column.name === joinKey.column);
+        if (index === -1) {
+            return { x: node.x, y: node.y };
+        }
+
+        // 从朝向另一端节点的一侧连出
+        const side = other.x >= node.x ? 1 : -1;
+        return {
+            x: node.x + side * node.width / 2,
+            y: this.getColumnRowY(node, index)
+        };
+    }
+
+    /**
+     * 列卡片中第index列所在行的中心纵坐标
+     */
+    getColumnRowY(node, index) {
+        return node.y - node.height / 2 + this.cardHeaderHeight + index * this.columnRowHeight + this.columnRowHeight / 2;
+    }
+
+    /**
+     * 计算泳道路径：泳道之间平行偏移，并向外弯曲以区分不同tag
+     * 两端裁剪到节点边界，并在中点处分为两段，使 marker-mid 落在边的中点
+     */
+    getLanePath(lane) {
+        const points = this.getClippedCurvePoints(lane.link, this.getLaneOffset(lane));
+        const first = GraphRenderer.subCurve(points, 0, 0.5);
+        const second = GraphRenderer.subCurve(points, 0.5, 1);
+
+        return `M${first.sx},${first.sy}Q${first.cx},${first.cy} ${first.tx},${first.ty}` +
+            `Q${second.cx},${second.cy} ${second.tx},${second.ty}`;
+    }
+
+    /**
+     * 计算裁剪到节点边界的曲线：端点在节点内部（连接到节点中心）时截去落在节点矩形内的部分
+     */
+    getClippedCurvePoints(link, laneOffset = 0) {
+        const points = this.getCurvePoints(link, laneOffset);
+        const start = GraphRenderer.findCurveExit(points, link.source, 0);
+        const end = GraphRenderer.findCurveExit(points, link.target, 1);
+        return GraphRenderer.subCurve(points, start, end);
+    }
+
+    /**
+     * 按当前的边端点样式设置泳道的标记
+     * 箭头模式下每条泳道在终点画箭头，双向关系在起点也画箭头；
+     * ER模式下只在中间的泳道上画基数符号（一端为竖线，多端为鸦爪）和中点的方向符号
+     */
+    updateLaneMarkers(lanes) {
+        const marker = id => id ? `url(#${id})` : null;
+
+        if (this.edgeNotation !== 'er') {
+            lanes
+                .attr('marker-start', d => marker(this.isBidirectional(d.link) ? this.getMarkerId(d.color) : null))
+                .attr('marker-mid', null)
+                .attr('marker-end', d => marker(this.getMarkerId(d.color)));
+            return;
+        }
+
+        const primary = d => this.isPrimaryLane(d);
+        lanes
+            .attr('marker-start', d => {
+                const cardinality = primary(d) && this.getLinkCardinality(d.link);
+                return marker(cardinality ? `er-${cardinality.source.toLowerCase()}` : null);
+            })
+            .attr('marker-mid', d => {
+                if (!primary(d)) return null;
+                return marker(this.isBidirectional(d.link) ? 'er-bidirectional' : 'er-direction');
+            })
+            .attr('marker-end', d => {
+                const cardinality = primary(d) && this.getLinkCardinality(d.link);
+                return marker(cardinality ? `er-${cardinality.target.toLowerCase()}` : null);
+            });
+    }
+
+    /**
+     * 切换边端点样式：arrow 或 er
+     */
+    setEdgeNotation(notation) {
+        this.edgeNotation = notation === 'er' ? 'er' : 'arrow';
+        if (this.g) {
+            this.updateLaneMarkers(this.g.selectAll('.link-lane'));
+        }
+    }
+
+    /**
+     * 关系两端的基数，如 ONE_TO_MANY 返回 { source: 'ONE', target: 'MANY' }，无法识别时返回null
+     */
+    getLinkCardinality(link) {
+        const [source, target] = String(link.type || '').split('_TO_');
+        const known = value => value === 'ONE' || value === 'MANY';
+        return known(source) && known(target) ? { source, target } : null;
+    }
+
+    /**
+     * 关系是否双向，判断与路径追踪和导出一致，见 RelationModel.isBidirectional()
+     */
+    isBidirectional(link) {
+        return RelationModel.isBidirectional(link);
+    }
+
+    /**
+     * ER符号只画在位于中间的一条泳道上
+     */
+    isPrimaryLane(lane) {
+        return lane.index === Math.floor((lane.count - 1) / 2);
+    }
+
+    /**
+     * 计算边在指定偏移下的二次曲线起点、控制点和终点
+     */
+    getCurvePoints(link, laneOffset = 0) {
+        const geometry = this.getLinkGeometry(link);
+        const curve = 2 * (geometry.bend + laneOffset);
+
+        return {
+            sx: geometry.sx + geometry.perpX * laneOffset,
+            sy: geometry.sy + geometry.perpY * laneOffset,
+            tx: geometry.tx + geometry.perpX * laneOffset,
+            ty: geometry.ty + geometry.perpY * laneOffset,
+            cx: (geometry.sx + geometry.tx) / 2 + geometry.perpX * curve,
+            cy: (geometry.sy + geometry.ty) / 2 + geometry.perpY * curve
+        };
+    }
+
+    /**
+     * 泳道相对于边中心线的平行偏移量
+     */
+    getLaneOffset(lane) {
+        return (lane.index - (lane.count - 1) / 2) * this.laneSpacing;
+    }
+
+    /**
+     * 二次曲线上参数t处的点
+     */
+    static curvePoint(points, t) {
+        const u = 1 - t;
+        return {
+            x: u * u * points.sx + 2 * u * t * points.cx + t * t * points.tx,
+            y: u * u * points.sy + 2 * u * t * points.cy + t * t * points.ty
+        };
+    }
+
+    /**
+     * 截取二次曲线在 [t0, t1] 之间的一段，返回新的起点、控制点和终点
+     */
+    static subCurve(points, t0, t1) {
+        const blossom = (a, b) => {
+            const w0 = (1 - a) * (1 - b);
+            const w1 = (1 - a) * b + a * (1 - b);
+            const w2 = a * b;
+            return {
+                x: w0 * points.sx + w1 * points.cx + w2 * points.tx,
+                y: w0 * points.sy + w1 * points.cy + w2 * points.ty
+            };
+        };
+        const start = blossom(t0, t0);
+        const control = blossom(t0, t1);
+        const end = blossom(t1, t1);
+        return { sx: start.x, sy: start.y, cx: control.x, cy: control.y, tx: end.x, ty: end.y };
+    }
+
+    /**
+     * 二分查找曲线从节点矩形穿出的参数t，end为0表示起点端、1表示终点端
+     * 端点不在矩形内部（如连接到列卡片边缘）或节点重叠时不裁剪
+     */
+    static findCurveExit(points, node, end) {
+        const inside = t => {
+            const point = GraphRenderer.curvePoint(points, t);
+            return Math.abs(point.x - node.x) < node.width / 2 && Math.abs(point.y - node.y) < node.height / 2;
+        };
+        if (!inside(end) || inside(0.5)) return end;
+
+        let inner = end;
+        let outer = 0.5;
+        for (let i = 0; i < 12; i++) {
+            const middle = (inner + outer) / 2;
+            if (inside(middle)) {
+                inner = middle;
+            } else {
+                outer = middle;
+            }
+        }
+        return outer;
+    }
+
+    /**
+     * 计算边在指定偏移下的二次曲线路径，reversed为true时从目标画向源
+     */
+    getCurvePath(link, laneOffset = 0, reversed = false) {
+        const { sx, sy, cx, cy, tx, ty } = this.getCurvePoints(link, laneOffset);
+
+        return reversed
+            ? `M${tx},${ty}Q${cx},${cy} ${sx},${sy}`
+            : `M${sx},${sy}Q${cx},${cy} ${tx},${ty}`;
+    }
+
+    /**
+     * 计算边的中点（考虑弯曲偏移），用于放置标签
+     */
+    getLinkMidpoint(link) {
+        const geometry = this.getLinkGeometry(link);
+        return {
+            x: (geometry.sx + geometry.tx) / 2 + geometry.perpX * geometry.bend,
+            y: (geometry.sy + geometry.ty) / 2 + geometry.perpY * geometry.bend
+        };
     }
 
     /**
@@ -255,10 +853,7 @@ class GraphRenderer {
         }
 
         // 为节点添加宽度和高度属性
-        nodes.forEach(node => {
-            node.width = Math.max(60, node.name.length * 8 + 20);
-            node.height = 30;
-        });
+        nodes.forEach(node => this.updateNodeSize(node));
 
         // 更新节点
         const node = nodeGroup.selectAll('.node')
@@ -274,12 +869,15 @@ class GraphRenderer {
                     .attr('stroke', '#fff')
                     .attr('stroke-width', 3)
                     .style('pointer-events', 'all')
-                    .on('click', this.handleNodeClick),
+                    .on('click', this.handleNodeClick)
+                    .on('dblclick', this.handleNodeDblclick)
+                    .call(rect => rect.append('title').text(d => d.id))
+                    .call(enter => this.fadeIn(enter)),
                 update => update
                     .attr('width', d => d.width)
                     .attr('height', d => d.height)
                     .style('pointer-events', 'all'),
-                exit => exit.remove()
+                exit => this.fadeOut(exit, 'node')
             );
 
         // 为所有节点绑定拖拽处理器（包括新创建和已存在的）
@@ -297,129 +895,390 @@ class GraphRenderer {
                     .attr('font-weight', '600')
                     .attr('fill', 'white')
                     .text(d => d.name)
-                    .style('opacity', 1)
-                    .style('pointer-events', 'all'),
+                    .style('pointer-events', 'all')
+                    .on('dblclick', this.handleNodeDblclick)
+                    .call(enter => this.fadeIn(enter)),
                 update => update.text(d => d.name).style('pointer-events', 'all'),
-                exit => exit.remove()
+                exit => this.fadeOut(exit, 'node-label')
             );
 
         // 为所有节点标签绑定拖拽处理器
         nodeLabels.call(this.dragHandler());
+
+        // 列卡片内容
+        this.updateNodeColumns();
+
+        // 探索模式的标记
+        this.updateExploreMarks(nodes);
         
         // 节点拖拽处理器绑定完成
     }
 
+    /**
+     * 探索模式下标出起始表和已展开的表，还有未显示的相邻表时在右上角显示数量
+     */
+    updateExploreMarks(nodes) {
+        const explore = this.exploreState;
+        const hiddenCount = d => explore ? explore.hiddenCounts.get(d.id) || 0 : 0;
+        const nodeGroup = this.g.select('.nodes');
+
+        nodeGroup.selectAll('.node')
+            .classed('node-explore-root', d => !!explore && d.id === explore.rootId)
+            .classed('node-explore-expanded', d => !!explore && explore.expanded.has(d.id));
+
+        nodeGroup.selectAll('.node-badge')
+            .data(nodes.filter(d => hiddenCount(d) > 0), d => d.id)
+            .join(enter => enter.append('text')
+                .attr('class', 'node-badge')
+                .attr('text-anchor', 'middle')
+                .attr('dy', '.35em')
+                .on('dblclick', this.handleNodeDblclick)
+                .call(badge => badge.append('title')))
+            .text(d => `+${hiddenCount(d)}`)
+            .attr('x', d => d.x + d.width / 2)
+            .attr('y', d => d.y - d.height / 2)
+            .select('title')
+            .text(d => `双击展开 ${hiddenCount(d)} 个相邻表`);
+    }
+
     /**
      * 开始模拟
      */
     startSimulation() {
-        this.simulation.on('tick', () => {
-            this.g.selectAll('.link')
-                .each(function(d) {
-                    // 计算边的偏移
-                    const offset = d.offset || 0;
-                    const offsetDistance = offset * 8; // 每条边偏移8像素
-                    
-                    // 计算边的方向向量
-                    const dx = d.target.x - d.source.x;
-                    const dy = d.target.y - d.source.y;
-                    const length = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (length > 0) {
-                        // 计算垂直方向
-                        const perpX = -dy / length;
-                        const perpY = dx / length;
-                        
-                        // 应用偏移
-                        const offsetX = perpX * offsetDistance;
-                        const offsetY = perpY * offsetDistance;
-                        
-                        d3.select(this)
-                            .attr('x1', d.source.x + offsetX)
-                            .attr('y1', d.source.y + offsetY)
-                            .attr('x2', d.target.x + offsetX)
-                            .attr('y2', d.target.y + offsetY);
-                    } else {
-                        d3.select(this)
-                            .attr('x1', d.source.x)
-                            .attr('y1', d.source.y)
-                            .attr('x2', d.target.x)
-                            .attr('y2', d.target.y);
-                    }
-                });
+        this.simulation.on('tick', () => this.updatePositions());
+    }
 
-            this.g.selectAll('.node')
-                .attr('x', d => d.x - d.width / 2)
-                .attr('y', d => d.y - d.height / 2);
-
-            this.g.selectAll('.node-label')
-                .attr('x', d => d.x)
-                .attr('y', d => d.y);
-
-            this.g.selectAll('.link-label')
-                .each(function(d) {
-                    // 计算标签位置，考虑边的偏移
-                    const offset = d.offset || 0;
-                    const offsetDistance = offset * 8;
-                    
-                    const dx = d.target.x - d.source.x;
-                    const dy = d.target.y - d.source.y;
-                    const length = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (length > 0) {
-                        const perpX = -dy / length;
-                        const perpY = dx / length;
-                        
-                        const offsetX = perpX * offsetDistance;
-                        const offsetY = perpY * offsetDistance;
-                        
-                        const centerX = (d.source.x + d.target.x) / 2 + offsetX;
-                        const centerY = (d.source.y + d.target.y) / 2 + offsetY;
-                        
-                        d3.select(this)
-                            .attr('x', centerX)
-                            .attr('y', centerY);
-                    } else {
-                        d3.select(this)
-                            .attr('x', (d.source.x + d.target.x) / 2)
-                            .attr('y', (d.source.y + d.target.y) / 2);
-                    }
-                });
-        });
+    /**
+     * 按节点当前坐标更新边、节点、标签和分组外框的位置
+     */
+    updatePositions() {
+        this.g.selectAll('.link-lane')
+            .attr('d', d => this.getLanePath(d));
+
+        this.g.selectAll('.node')
+            .attr('x', d => d.x - d.width / 2)
+            .attr('y', d => d.y - d.height / 2);
+
+        this.g.selectAll('.node-label')
+            .attr('x', d => d.x)
+            .attr('y', d => d.expanded ? d.y - d.height / 2 + this.cardHeaderHeight / 2 : d.y);
+
+        this.g.selectAll('.node-columns')
+            .attr('transform', d => `translate(${d.x - d.width / 2},${d.y - d.height / 2})`);
+
+        this.g.selectAll('.node-badge')
+            .attr('x', d => d.x + d.width / 2)
+            .attr('y', d => d.y - d.height / 2);
+
+        this.g.selectAll('.link-label')
+            .attr('x', d => this.getLinkMidpoint(d).x)
+            .attr('y', d => this.getLinkMidpoint(d).y);
+
+        if (this.groupingEnabled) {
+            this.updateGroupHulls();
+        }
+
+        this.updateTraceOverlay();
     }
 
     // 拖拽处理器在节点创建时绑定，不需要额外处理
 
     /**
-     * 搜索并高亮tag_id对应的边
+     * 节点是否展开为列卡片
      */
-    searchAndHighlight(tagId) {
-        if (!this.dataProcessor) {
-            console.error('DataProcessor未初始化');
-            return;
+    isNodeExpanded(node) {
+        return this.nodeExpansion.has(node.id) ? this.nodeExpansion.get(node.id) : this.columnsExpanded;
+    }
+
+    /**
+     * 根据展开状态计算节点尺寸，展开时为表名加连接列列表的卡片
+     */
+    updateNodeSize(node) {
+        const columns = node.columns || [];
+        node.expanded = this.isNodeExpanded(node) && columns.length > 0;
+        node.width = Math.max(60, node.name.length * 8 + 20);
+        node.height = 30;
+
+        if (node.expanded) {
+            const longest = Math.max(...columns.map(column => column.name.length));
+            node.width = Math.max(node.width, longest * 7 + 30);
+            node.height = this.cardHeaderHeight + columns.length * this.columnRowHeight + 6;
         }
+    }
 
-        // 查找匹配的tag
-        const matchingTags = this.dataProcessor.tags.filter(tag => 
-            tag.tag_id === tagId && !tag.is_deleted
-        );
+    /**
+     * 绘制展开节点中的列行，枢纽列加粗高亮
+     */
+    updateNodeColumns() {
+        const nodeGroup = this.g.select('.nodes');
+        const nodes = nodeGroup.selectAll('.node').data();
+
+        const cards = nodeGroup.selectAll('.node-columns')
+            .data(nodes, d => d.id)
+            .join('g')
+            .attr('class', 'node-columns')
+            .style('pointer-events', 'none');
+
+        cards.selectAll('.node-column-divider')
+            .data(d => d.expanded ? [d] : [])
+            .join('line')
+            .attr('class', 'node-column-divider')
+            .attr('x1', 4)
+            .attr('x2', d => d.width - 4)
+            .attr('y1', this.cardHeaderHeight - 2)
+            .attr('y2', this.cardHeaderHeight - 2);
+
+        cards.selectAll('.node-column')
+            .data(d => d.expanded ? d.columns : [], column => column.name)
+            .join(enter => enter.append('text')
+                .attr('class', 'node-column')
+                .call(text => text.append('title')))
+            .classed('hub', column => column.hub)
+            .attr('x', 10)
+            .attr('y', (column, index) => this.cardHeaderHeight + index * this.columnRowHeight + this.columnRowHeight / 2)
+            .attr('dy', '.35em')
+            .text(column => column.hub ? `◆ ${column.name}` : column.name)
+            .select('title')
+            .text(column => `${column.name}：用于 ${column.relationIds.length} 个关系（${column.relationIds.join(', ')}）`);
+    }
+
+    /**
+     * 切换单个节点的列卡片
+     */
+    toggleNodeColumns(nodeId) {
+        const node = this.getRenderedNodes().find(d => d.id === nodeId);
+        if (!node) return;
+
+        this.nodeExpansion.set(nodeId, !node.expanded);
+        this.applyNodeExpansion();
+    }
+
+    /**
+     * 全部展开或收起列卡片，清除单个节点的设置
+     */
+    setColumnsExpanded(expanded) {
+        this.columnsExpanded = expanded;
+        this.nodeExpansion.clear();
+        this.applyNodeExpansion();
+    }
+
+    /**
+     * 按展开状态更新节点尺寸、列行和碰撞半径
+     */
+    applyNodeExpansion() {
+        if (!this.simulation) return;
+
+        const nodes = this.getRenderedNodes();
+        nodes.forEach(node => this.updateNodeSize(node));
+
+        this.g.selectAll('.node')
+            .attr('width', d => d.width)
+            .attr('height', d => d.height);
+        this.updateNodeColumns();
+
+        // 重新设置半径以刷新碰撞力的缓存
+        this.simulation.force('collision')
+            .radius(d => this.getCollisionRadius(d));
+        this.reheat(0.3);
+    }
+
+    /**
+     * 开启或关闭catalog/schema分组显示
+     */
+    setGrouping(enabled) {
+        this.groupingEnabled = enabled;
+        if (!this.simulation) return;
+
+        this.applyGroupingForces();
+        this.updateGroupHulls();
+        this.simulation.alpha(0.5).restart();
+    }
 
-        if (matchingTags.length === 0) {
-            this.showSearchError(`未找到tag_id: ${tagId}`);
+    /**
+     * 分组模式下将同一catalog的节点聚拢到各自的中心点
+     */
+    applyGroupingForces() {
+        if (!this.groupingEnabled) {
+            this.simulation.force('groupX', null).force('groupY', null);
             return;
         }
 
-        // 获取所有相关的relation_ids
-        const relationIds = new Set();
-        matchingTags.forEach(tag => {
-            tag.relation_ids.forEach(id => relationIds.add(parseInt(id)));
+        const catalogs = [...new Set(this.simulation.nodes().map(node => node.catalog))].sort();
+        const radius = catalogs.length > 1 ? Math.min(this.width, this.height) / 4 : 0;
+        const centers = new Map();
+        catalogs.forEach((catalog, index) => {
+            const angle = (2 * Math.PI * index) / catalogs.length;
+            centers.set(catalog, {
+                x: this.width / 2 + radius * Math.cos(angle),
+                y: this.height / 2 + radius * Math.sin(angle)
+            });
         });
 
-        // 高亮相关的边
-        this.highlightEdgesByRelationIds(Array.from(relationIds));
-        
-        // 显示成功提示
-        // this.showSearchSuccess(`找到 ${matchingTags.length} 个匹配的tag，涉及 ${relationIds.size} 个关系`);
+        this.simulation
+            .force('groupX', d3.forceX(d => centers.get(d.catalog).x).strength(0.15))
+            .force('groupY', d3.forceY(d => centers.get(d.catalog).y).strength(0.15));
+    }
+
+    /**
+     * 计算catalog和schema分组的外框
+     */
+    computeGroupHulls(nodes) {
+        const groups = new Map();
+        const addToGroup = (key, level, label, node) => {
+            if (!groups.has(key)) {
+                groups.set(key, { id: key, level, label, nodes: [] });
+            }
+            groups.get(key).nodes.push(node);
+        };
+
+        nodes.forEach(node => {
+            addToGroup(`catalog:${node.catalog}`, 'catalog', node.catalog || '(default)', node);
+            addToGroup(`schema:${node.catalog}.${node.schema}`, 'schema', node.schema || '(default)', node);
+        });
+
+        return Array.from(groups.values()).map(group => {
+            const padding = group.level === 'catalog' ? 36 : 16;
+            // 每个节点取矩形四角（含内边距），保证单个节点也能形成外框
+            const points = [];
+            group.nodes.forEach(node => {
+                const halfWidth = node.width / 2 + padding;
+                const halfHeight = node.height / 2 + padding;
+                points.push(
+                    [node.x - halfWidth, node.y - halfHeight],
+                    [node.x + halfWidth, node.y - halfHeight],
+                    [node.x + halfWidth, node.y + halfHeight],
+                    [node.x - halfWidth, node.y + halfHeight]
+                );
+            });
+
+            const hull = d3.polygonHull(points);
+            const top = d3.min(hull, point => point[1]);
+            const left = d3.min(hull, point => point[0]);
+            return { ...group, hull, labelX: left + 8, labelY: top + (group.level === 'catalog' ? 14 : 12) };
+        });
+    }
+
+    /**
+     * 更新分组外框
+     */
+    updateGroupHulls() {
+        if (!this.g) return;
+
+        const hullGroup = this.g.select('.group-hulls');
+        const groups = this.groupingEnabled ? this.computeGroupHulls(this.simulation.nodes()) : [];
+        const line = d3.line().curve(d3.curveLinearClosed);
+
+        hullGroup.selectAll('.group-hull')
+            .data(groups, d => d.id)
+            .join('path')
+            .attr('class', d => `group-hull group-hull-${d.level}`)
+            .attr('d', d => line(d.hull));
+
+        hullGroup.selectAll('.group-label')
+            .data(groups, d => d.id)
+            .join('text')
+            .attr('class', d => `group-label group-label-${d.level}`)
+            .attr('x', d => d.labelX)
+            .attr('y', d => d.labelY)
+            .text(d => d.label);
+    }
+
+    /**
+     * 显示标签路径追踪：按顺序为每一跳编号，并沿路径方向播放流动动画
+     */
+    showTagPaths(traces) {
+        const hops = this.collectTraceHops(traces);
+        const relationIds = new Set(hops.map(d => d.hop.relationId));
+        const nodeIds = new Set();
+        hops.forEach(d => {
+            nodeIds.add(d.link.source.id);
+            nodeIds.add(d.link.target.id);
+        });
+
+        // 淡化路径以外的元素
+        this.g.selectAll('.link').style('opacity', d => relationIds.has(d.relationId) ? 1 : 0.15);
+        this.g.selectAll('.node').style('opacity', d => nodeIds.has(d.id) ? 1 : 0.4);
+
+        const layer = this.g.select('.trace-layer');
+
+        layer.selectAll('.trace-flow')
+            .data(hops, d => d.key)
+            .join('path')
+            .attr('class', 'trace-flow');
+
+        const badges = layer.selectAll('.trace-badge')
+            .data(hops, d => d.key)
+            .join(enter => {
+                const badge = enter.append('g').attr('class', 'trace-badge');
+                badge.append('circle').attr('r', 9);
+                badge.append('text').attr('dy', '.35em');
+                return badge;
+            });
+        badges.select('text').text(d => d.hop.index);
+
+        this.updateTraceOverlay();
+    }
+
+    /**
+     * 将追踪结果中的每一跳对应到当前视图中的边
+     */
+    collectTraceHops(traces) {
+        const linksByRelation = new Map(
+            this.getRenderedLinks().map(link => [link.relationId, link])
+        );
+
+        const hops = [];
+        traces.forEach((trace, traceIndex) => {
+            trace.hops.forEach(hop => {
+                const link = linksByRelation.get(hop.relationId);
+                if (link) {
+                    hops.push({ key: `${traceIndex}-${hop.index}`, traceIndex, hop, link });
+                }
+            });
+        });
+        return hops;
+    }
+
+    /**
+     * 高亮路径查询结果，复用路径追踪的编号和流动动画
+     */
+    highlightPath(steps) {
+        this.showTagPaths([{
+            hops: steps.map((step, index) => ({
+                index: index + 1,
+                relationId: step.link.relationId,
+                reversed: step.reversed
+            }))
+        }]);
+    }
+
+    /**
+     * 更新路径追踪图层的位置
+     */
+    updateTraceOverlay() {
+        const layer = this.g.select('.trace-layer');
+        if (layer.empty()) return;
+
+        layer.selectAll('.trace-flow')
+            .attr('d', d => this.getCurvePath(d.link, 0, d.hop.reversed));
+
+        layer.selectAll('.trace-badge')
+            .attr('transform', d => {
+                const midpoint = this.getLinkMidpoint(d.link);
+                // 同一条边出现在多个追踪结果中时错开编号
+                const shift = d.traceIndex * 20;
+                return `translate(${midpoint.x + shift},${midpoint.y - 14})`;
+            });
+    }
+
+    /**
+     * 清除路径追踪
+     */
+    clearTagPaths() {
+        if (!this.g) return;
+
+        this.g.select('.trace-layer').selectAll('*').remove();
+        this.showAllEdges();
     }
 
     /**
@@ -427,18 +1286,18 @@ class GraphRenderer {
      */
     highlightEdgesByRelationIds(relationIds) {
         // 重置所有边的样式
-        this.g.selectAll('.link')
+        this.g.selectAll('.link').style('opacity', 1);
+        this.g.selectAll('.link-lane')
             .style('stroke-width', 1)
             .style('stroke-opacity', 0.8)
-            .style('opacity', 1)
             .style('stroke', null); // 恢复原始颜色
 
         // 高亮匹配的边 - 使用红色高亮
         this.g.selectAll('.link')
             .filter(d => relationIds.includes(d.relationId))
+            .selectAll('.link-lane')
             .style('stroke-width', 3)
             .style('stroke-opacity', 1)
-            .style('opacity', 1)
             .style('stroke', '#ff6b6b'); // 红色高亮
 
         // 保持所有节点的正常显示
@@ -452,10 +1311,10 @@ class GraphRenderer {
      * 清除高亮
      */
     clearHighlight() {
-        this.g.selectAll('.link')
+        this.g.selectAll('.link').style('opacity', 1);
+        this.g.selectAll('.link-lane')
             .style('stroke-width', 1)
             .style('stroke-opacity', 0.8)
-            .style('opacity', 1)
             .style('stroke', null); // 恢复原始颜色
 
         this.g.selectAll('.node')
@@ -468,10 +1327,10 @@ class GraphRenderer {
      */
     showAllEdges() {
         // 恢复到边的原始样式（移除所有内联样式）
-        this.g.selectAll('.link')
+        this.g.selectAll('.link').style('opacity', null);
+        this.g.selectAll('.link-lane')
             .style('stroke-width', null)
             .style('stroke-opacity', null)
-            .style('opacity', null)
             .style('stroke', null); // 恢复原始颜色
 
         this.g.selectAll('.node')
@@ -484,6 +1343,81 @@ class GraphRenderer {
      */
     handleZoom(event) {
         this.g.attr('transform', event.transform);
+        this.transform = event.transform;
+        this.notifyViewChange();
+    }
+
+    /**
+     * 通知视图状态变化
+     */
+    notifyViewChange() {
+        if (this.onViewChange) {
+            this.onViewChange();
+        }
+    }
+
+    /**
+     * 获取当前视图状态：布局、缩放平移、固定位置的节点和选中的元素
+     * 非力导向布局的节点位置由布局算法决定，不记录固定位置
+     */
+    getViewState() {
+        const nodes = this.layout === 'force' ? this.getRenderedNodes() : [];
+        return {
+            layout: this.layout,
+            layoutDirection: this.layoutOptions.direction,
+            layoutCenter: this.layoutOptions.center,
+            transform: { x: this.transform.x, y: this.transform.y, k: this.transform.k },
+            pinned: nodes
+                .filter(node => node.fx !== null && node.fx !== undefined)
+                .map(node => ({ id: node.id, x: node.fx, y: node.fy })),
+            selectedNodeId: this.selectedNodeId,
+            selectedRelationId: this.selectedRelationId
+        };
+    }
+
+    /**
+     * 恢复视图状态，当前视图中不存在的节点或边会被忽略
+     */
+    applyViewState(state) {
+        if (!this.zoomSurface) return;
+
+        // 两者都是力导向布局时保持当前模拟，其他情况按保存的参数重新布局
+        if (state.layout && (state.layout !== 'force' || this.layout !== 'force')) {
+            this.setLayout(state.layout, {
+                direction: state.layoutDirection || 'TB',
+                center: state.layoutCenter || null
+            });
+        }
+
+        const nodes = this.getRenderedNodes();
+        const nodeById = new Map(nodes.map(node => [node.id, node]));
+        (state.pinned || []).forEach(pin => {
+            const node = nodeById.get(pin.id);
+            if (!node) return;
+            node.x = node.fx = pin.x;
+            node.y = node.fy = pin.y;
+        });
+        if (this.simulation && state.pinned && state.pinned.length > 0) {
+            this.simulation.alpha(0.3).restart();
+        }
+
+        if (state.transform) {
+            this.zoomSurface.call(this.zoom.transform,
+                d3.zoomIdentity.translate(state.transform.x, state.transform.y).scale(state.transform.k));
+        }
+
+        if (state.selectedRelationId) {
+            const link = this.getRenderedLinks().find(d => d.relationId === state.selectedRelationId);
+            if (link) {
+                this.selectedRelationId = link.relationId;
+                this.highlightLink(link.id);
+                this.inspect({ kind: 'relation', id: link.relationId });
+            }
+        } else if (state.selectedNodeId && nodeById.has(state.selectedNodeId)) {
+            this.selectedNodeId = state.selectedNodeId;
+            this.highlightNode(state.selectedNodeId);
+            this.inspect({ kind: 'table', id: state.selectedNodeId });
+        }
     }
 
     /**
@@ -492,6 +1426,19 @@ class GraphRenderer {
     handleNodeClick(event, d) {
         // 高亮相关节点和边
         this.highlightNode(d.id);
+        this.selectedNodeId = d.id;
+        this.selectedRelationId = null;
+        this.inspect({ kind: 'table', id: d.id });
+        this.notifyViewChange();
+    }
+
+    /**
+     * 处理节点双击：探索模式下展开或收起相邻表，否则展开或收起列卡片
+     */
+    handleNodeDblclick(event, d) {
+        event.stopPropagation();
+        if (this.onNodeDblclick && this.onNodeDblclick(d)) return;
+        this.toggleNodeColumns(d.id);
     }
 
     /**
@@ -500,68 +1447,61 @@ class GraphRenderer {
     handleLinkClick(event, d) {
         event.stopPropagation();
         
-        // 显示condition信息
-        this.showConditionPopup(d);
+        // Shift+点击：加入或移出边选择
+        if (event.shiftKey) {
+            this.toggleLinkSelection(d.relationId);
+            return;
+        }
         
+        // 显示关系详情
+        this.inspect({ kind: 'relation', id: d.relationId });
+
         // 高亮相关边
         this.highlightLink(d.id);
+        this.selectedRelationId = d.relationId;
+        this.selectedNodeId = null;
+        this.notifyViewChange();
     }
 
     /**
-     * 显示condition悬浮窗口
+     * 切换边的选中状态
      */
-    showConditionPopup(linkData) {
-        const popup = document.getElementById('condition-popup');
-        const tagName = document.getElementById('popup-tag-name');
-        const relationId = document.getElementById('popup-relation-id');
-        const relationType = document.getElementById('popup-relation-type');
-        const srcTable = document.getElementById('popup-src-table');
-        const dstTable = document.getElementById('popup-dst-table');
-        const condition = document.getElementById('popup-condition');
-
-        if (!popup) {
-            console.error('找不到condition-popup元素');
-            return;
+    toggleLinkSelection(relationId) {
+        if (this.selectedRelationIds.has(relationId)) {
+            this.selectedRelationIds.delete(relationId);
+        } else {
+            this.selectedRelationIds.add(relationId);
         }
+        this.updateLinkSelection();
+    }
 
-        // 填充基本信息
-        if (tagName) {
-            // 显示所有相关的tag名称
-            const tagNames = linkData.tagNames || [linkData.tagName];
-            tagName.textContent = tagNames.join(', ');
-        }
-        if (relationId) relationId.textContent = linkData.relationId || '未知';
-        if (relationType) relationType.textContent = linkData.type || '未知';
-        if (srcTable) srcTable.textContent = this.extractTableName(linkData.source.id || linkData.source);
-        if (dstTable) dstTable.textContent = this.extractTableName(linkData.target.id || linkData.target);
+    /**
+     * 清空边选择
+     */
+    clearLinkSelection() {
+        this.selectedRelationIds.clear();
+        this.updateLinkSelection();
+    }
 
-        // 获取condition信息
-        const relation = this.dataProcessor.relationMap.get(linkData.relationId);
-        if (condition) {
-            if (relation && relation.condition) {
-                condition.textContent = JSON.stringify(relation.condition, null, 2);
-            } else {
-                condition.textContent = '无连接条件信息';
-            }
+    /**
+     * 更新边的选中样式并通知选择变化
+     */
+    updateLinkSelection() {
+        if (this.g) {
+            this.g.selectAll('.link')
+                .classed('selected', d => this.selectedRelationIds.has(d.relationId));
         }
-
-        // 显示悬浮窗口
-        popup.style.display = 'block';
-        
-        // 绑定关闭按钮事件
-        const closeBtn = document.getElementById('close-popup');
-        if (closeBtn) {
-            closeBtn.onclick = () => this.hideConditionPopup();
+        if (this.onSelectionChange) {
+            this.onSelectionChange([...this.selectedRelationIds]);
         }
     }
 
     /**
-     * 隐藏condition悬浮窗口
+     * 通知查看表或关系的详情
      */
-    hideConditionPopup() {
-        const popup = document.getElementById('condition-popup');
-        if (popup) {
-            popup.style.display = 'none';
+    inspect(item) {
+        if (this.onInspect) {
+            this.onInspect(item);
         }
     }
 
@@ -656,6 +1596,18 @@ class GraphRenderer {
             .style('opacity', 1);
     }
 
+    /**
+     * 高亮多个节点及其相关边
+     */
+    highlightNodes(nodeIds) {
+        const idSet = new Set(nodeIds);
+
+        this.g.selectAll('.node').style('opacity', d => idSet.has(d.id) ? 1 : 0.6);
+        this.g.selectAll('.link').style('opacity', d =>
+            idSet.has(d.source.id) || idSet.has(d.target.id) ? 1 : 0.3
+        );
+    }
+
     /**
      * 高亮边
      */
@@ -670,7 +1622,7 @@ class GraphRenderer {
             .style('opacity', 1);
 
         // 高亮相关节点
-        const link = this.g.selectAll('.link').data().find(d => d.id === linkId);
+        const link = this.getRenderedLinks().find(d => d.id === linkId);
         if (link) {
             this.g.selectAll('.node')
                 .filter(d => d.id === link.source.id || d.id === link.target.id)
@@ -678,10 +1630,79 @@ class GraphRenderer {
         }
     }
 
+    /**
+     * 定位到指定关系对应的边：高亮并缩放到边的中点
+     * 当前视图中不存在该边时返回false
+     */
+    focusLink(relationId) {
+        const link = this.getRenderedLinks().find(d => d.relationId === relationId);
+        if (!link) return false;
+
+        this.highlightLink(link.id);
+        this.zoomToPoints([
+            [link.source.x, link.source.y],
+            [link.target.x, link.target.y]
+        ]);
+        return true;
+    }
+
+    /**
+     * 定位到一组关系：高亮这些边并缩放到它们的端点所在区域
+     * 当前视图中不存在任何一条边时返回false
+     */
+    focusRelations(relationIds) {
+        const idSet = new Set(relationIds);
+        const links = this.getRenderedLinks().filter(d => idSet.has(d.relationId));
+        if (links.length === 0) return false;
+
+        this.highlightEdgesByRelationIds(links.map(link => link.relationId));
+        this.zoomToPoints(links.flatMap(link => [
+            [link.source.x, link.source.y],
+            [link.target.x, link.target.y]
+        ]));
+        return true;
+    }
+
+    /**
+     * 定位到指定节点：高亮并缩放到节点所在区域
+     * 当前视图中不存在任何一个节点时返回false
+     */
+    focusNodes(nodeIds) {
+        const idSet = new Set(nodeIds);
+        const nodes = this.getRenderedNodes().filter(d => idSet.has(d.id));
+        if (nodes.length === 0) return false;
+
+        this.highlightNodes(nodes.map(node => node.id));
+        this.zoomToPoints(nodes.map(node => [node.x, node.y]));
+        return true;
+    }
+
+    /**
+     * 缩放并平移视图，使给定的点位于视图中央
+     */
+    zoomToPoints(points, padding = 120) {
+        const [minX, maxX] = d3.extent(points, point => point[0]);
+        const [minY, maxY] = d3.extent(points, point => point[1]);
+        const boundsWidth = Math.max(maxX - minX + padding * 2, 1);
+        const boundsHeight = Math.max(maxY - minY + padding * 2, 1);
+        const scale = Math.min(2, this.width / boundsWidth, this.height / boundsHeight);
+
+        const transform = d3.zoomIdentity
+            .translate(this.width / 2, this.height / 2)
+            .scale(scale)
+            .translate(-(minX + maxX) / 2, -(minY + maxY) / 2);
+
+        this.zoomSurface.transition()
+            .duration(750)
+            .call(this.zoom.transform, transform);
+    }
+
     /**
      * 重置高亮
      */
     resetHighlight() {
+        this.selectedNodeId = null;
+        this.selectedRelationId = null;
         this.g.selectAll('.node').style('opacity', 1);
         this.g.selectAll('.link').style('opacity', 0.6);
     }
@@ -691,7 +1712,7 @@ class GraphRenderer {
      * 重置视图
      */
     resetView() {
-        this.svg.transition()
+        this.zoomSurface.transition()
             .duration(750)
             .call(this.zoom.transform, d3.zoomIdentity);
         this.resetHighlight();
@@ -707,10 +1728,18 @@ class GraphRenderer {
             .duration(200)
             .style('opacity', .9);
 
+        const tagLines = d.untagged
+            ? '未被标签引用'
+            : (d.tags || [])
+                .map(tag => `<span style="color: ${tag.color}">■</span> ${tag.tagName} (${tag.tagId})`)
+                .join('<br/>');
+
         this.tooltip.html(`
             关系ID: ${d.relationId}<br/>
             类型: ${d.type}<br/>
-            方向: ${d.direction}
+            方向: ${d.direction}<br/>
+            ${d.hasDynamic ? 'ƒ 含动态设置<br/>' : ''}
+            ${tagLines}
         `)
             .style('left', (event.pageX + 10) + 'px')
             .style('top', (event.pageY - 10) + 'px');
@@ -726,3 +1755,19 @@ class GraphRenderer {
     }
 
 }
+
+// ER符号路径，坐标原点为边的端点（或中点），x轴正方向指向节点（或边的方向）
+GraphRenderer.ER_MARKERS = {
+    one: 'M-6,-6L-6,6',
+    many: 'M-10,0L0,-6M-10,0L0,6M-10,0L0,0',
+    direction: 'M-4,-5L2,0L-4,5',
+    bidirectional: 'M-2,-5L-7,0L-2,5M2,-5L7,0L2,5'
+};
+
+// 版本对比时泳道的颜色
+GraphRenderer.DIFF_COLORS = {
+    added: '#27ae60',
+    removed: '#e74c3c',
+    changed: '#f39c12',
+    unchanged: '#cccccc'
+};
@@ -0,0 +1,430 @@
+/**
+ * 详情面板
+ * 停靠在页面左侧，显示点击的表、关系或标签的详细信息：
+ * 表的限定名、租户、出入关系、经过的标签和连接列；关系的标签、连接条件、类型方向、约束、动态设置和时间戳；标签的关系和表
+ * 面板中的表、关系和标签可以点击，在它们之间跳转并在图中定位
+ */
+class InspectorPanel extends SidePanel {
+    constructor(panelId, dataProcessor) {
+        super(panelId);
+        this.docked = true;
+        this.dataProcessor = dataProcessor;
+        this.sqlGenerator = new SqlGenerator(dataProcessor);
+        this.item = null;          // 当前显示的对象 { kind: 'table' | 'relation' | 'tag', id }
+        this.history = [];         // 在面板中跳转前显示的对象，用于返回
+        this.dynamicValues = {};   // 动态设置预览中填写的变量值，各关系共用
+        this.onNavigate = null;    // (item) 点击面板中的表、关系或标签
+
+        this.backBtn = document.getElementById('inspector-back');
+        if (this.backBtn) {
+            this.backBtn.addEventListener('click', () => {
+                const previous = this.history.pop();
+                if (previous) {
+                    this.render(previous);
+                    this.notifyNavigate(previous);
+                }
+            });
+        }
+    }
+
+    /**
+     * 显示表、关系或标签的详情（在图中点击时调用），清空返回记录
+     */
+    inspect(item) {
+        this.history = [];
+        this.render(item);
+    }
+
+    /**
+     * 在面板中跳转到另一个对象，可以返回
+     */
+    navigate(item) {
+        if (this.item) {
+            this.history.push(this.item);
+        }
+        this.render(item);
+        this.notifyNavigate(item);
+    }
+
+    notifyNavigate(item) {
+        if (this.onNavigate) {
+            this.onNavigate(item);
+        }
+    }
+
+    /**
+     * 数据变化后刷新当前内容，对象已不存在时显示提示
+     */
+    refresh() {
+        this.history = [];
+        if (!this.item || !this.isVisible()) return;
+        this.render(this.item);
+    }
+
+    render(item) {
+        this.item = item;
+        this.clear();
+        if (this.backBtn) {
+            this.backBtn.style.display = this.history.length > 0 ? '' : 'none';
+        }
+
+        const found = item.kind === 'table' ? this.renderTable(item.id)
+            : item.kind === 'relation' ? this.renderRelation(item.id)
+                : this.renderTag(item.id);
+        if (!found) {
+            this.content.appendChild(SidePanel.createElement('div', 'view-empty', '当前数据中不存在该对象'));
+        }
+        this.show();
+    }
+
+    /**
+     * 表：限定名、租户、出入关系、经过的标签和参与连接的列
+     */
+    renderTable(nodeId) {
+        const node = this.dataProcessor.nodeMap.get(nodeId);
+        if (!node) return false;
+
+        const el = SidePanel.createElement;
+        const outgoing = this.dataProcessor.outgoingLinks.get(nodeId) || [];
+        const incoming = this.dataProcessor.incomingLinks.get(nodeId) || [];
+
+        this.addTitle('表', node.name);
+        const info = this.addSection();
+        this.addField(info, '限定名', node.id);
+        this.addField(info, 'Catalog', node.catalog || '（无）');
+        this.addField(info, 'Schema', node.schema || '（无）');
+        this.addField(info, '租户', node.tenantId);
+
+        const renderLinks = (title, links, end) => {
+            const section = this.addSection(`${title}（${links.length}）`);
+            if (links.length === 0) {
+                section.appendChild(el('div', 'inspector-empty', '无'));
+            }
+            links.forEach(link => {
+                const row = el('div', 'inspector-row');
+                row.appendChild(this.createRelationLink(link.relationId));
+                row.appendChild(el('span', 'inspector-arrow', end === 'target' ? '→' : '←'));
+                row.appendChild(this.createTableLink(link[end].id));
+                row.appendChild(this.createTagSwatches(link));
+                section.appendChild(row);
+            });
+        };
+        renderLinks('出边', outgoing, 'target');
+        renderLinks('入边', incoming, 'source');
+
+        const tags = new Map();
+        [...outgoing, ...incoming].forEach(link => link.tags.forEach(tag => tags.set(tag.key, tag)));
+        const tagSection = this.addSection(`经过的标签（${tags.size}）`);
+        if (tags.size === 0) {
+            tagSection.appendChild(el('div', 'inspector-empty', '无'));
+        }
+        [...tags.values()]
+            .sort((a, b) => a.tagName.localeCompare(b.tagName))
+            .forEach(tag => {
+                const row = el('div', 'inspector-row');
+                row.appendChild(this.createTagLink(tag));
+                row.appendChild(el('span', 'inspector-muted', tag.tenantId));
+                tagSection.appendChild(row);
+            });
+
+        const columns = node.columns || [];
+        const columnSection = this.addSection(`连接列（${columns.length}）`);
+        if (columns.length === 0) {
+            columnSection.appendChild(el('div', 'inspector-empty', '无'));
+        }
+        columns.forEach(column => {
+            const row = el('div', 'inspector-row');
+            row.appendChild(el('span', column.hub ? 'inspector-column inspector-hub' : 'inspector-column',
+                column.hub ? `◆ ${column.name}` : column.name));
+            column.relationIds.forEach(relationId => row.appendChild(this.createRelationLink(relationId)));
+            columnSection.appendChild(row);
+        });
+        return true;
+    }
+
+    /**
+     * 关系：引用它的标签、连接条件表格、类型方向、约束、动态设置、时间戳和JOIN语句
+     */
+    renderRelation(relationId) {
+        const relation = this.dataProcessor.relationMap.get(relationId);
+        if (!relation) return false;
+
+        const el = SidePanel.createElement;
+        const link = this.dataProcessor.links.find(d => d.relationId === relationId);
+
+        this.addTitle('关系', String(relation.id));
+        const info = this.addSection();
+        this.addField(info, '源表', this.createTableLink(relation.src_table));
+        this.addField(info, '目标表', this.createTableLink(relation.dst_table));
+        this.addField(info, '类型', relation.type || '未知');
+        this.addField(info, '方向', relation.direction || '未知');
+        this.addField(info, '租户', relation.tenant_id);
+        if (relation.name || relation.desc) {
+            this.addField(info, '名称', [relation.name, relation.desc].filter(text => text).join(' - '));
+        }
+
+        const tags = link ? link.tags : [];
+        const tagSection = this.addSection(`标签（${tags.length}）`);
+        if (tags.length === 0) {
+            tagSection.appendChild(el('div', 'inspector-empty', '未被标签引用'));
+        }
+        tags.forEach(tag => {
+            const row = el('div', 'inspector-row');
+            row.appendChild(this.createTagLink(tag));
+            row.appendChild(el('span', 'inspector-muted', tag.tenantId));
+            tagSection.appendChild(row);
+        });
+
+        const conditionSection = this.addSection('连接条件');
+        conditionSection.appendChild(this.createConditionTable(relation.condition || []));
+
+        const constraintSection = this.addSection('约束');
+        this.addField(constraintSection, '源表约束', InspectorPanel.formatJson(relation.src_constraints));
+        this.addField(constraintSection, '目标表约束', InspectorPanel.formatJson(relation.dst_constraints));
+        this.addField(constraintSection, '其他约束', InspectorPanel.formatJson(relation.extra_constraint_config));
+
+        if (DynamicExpression.hasDynamic(relation)) {
+            this.renderDynamicSettings(this.addSection('动态设置'), relation);
+        }
+
+        this.renderTimestamps(relation);
+
+        const sqlSection = this.addSection('SQL');
+        new SqlBlock(sqlSection, dialect => this.sqlGenerator.fromRelations([relation], dialect));
+        return true;
+    }
+
+    /**
+     * 标签：名称、租户、数据集、包含的关系和经过的表
+     */
+    renderTag(tagKey) {
+        const tag = this.dataProcessor.tags.find(row => !row.is_deleted && DataProcessor.getTagKey(row) === tagKey);
+        if (!tag) return false;
+
+        const el = SidePanel.createElement;
+        const title = this.addTitle('标签', `${tag.tag_display_name || tag.tag_name} (${tag.tag_id})`);
+        title.style.setProperty('--tag-color', this.dataProcessor.colorMap.get(tag.tag_name));
+        title.classList.add('inspector-title-tag');
+
+        const info = this.addSection();
+        this.addField(info, 'tag_name', tag.tag_name);
+        this.addField(info, '租户', tag.tenant_id);
+        if (tag.src_dataset || tag.dst_dataset) {
+            this.addField(info, '数据集', `${tag.src_dataset || '?'} → ${tag.dst_dataset || '?'}`);
+        }
+
+        const relationIds = [...ModelDiff.toIdSet(tag.relation_ids)];
+        const relationSection = this.addSection(`关系（${relationIds.length}）`);
+        const tables = new Set();
+        relationIds.forEach(relationId => {
+            const row = el('div', 'inspector-row');
+            row.appendChild(this.createRelationLink(relationId));
+            const relation = this.dataProcessor.relationMap.get(relationId);
+            if (relation) {
+                row.appendChild(this.createTableLink(relation.src_table));
+                row.appendChild(el('span', 'inspector-arrow', '→'));
+                row.appendChild(this.createTableLink(relation.dst_table));
+                tables.add(relation.src_table);
+                tables.add(relation.dst_table);
+            } else {
+                row.appendChild(el('span', 'inspector-muted', '关系不存在'));
+            }
+            relationSection.appendChild(row);
+        });
+
+        const tableSection = this.addSection(`经过的表（${tables.size}）`);
+        [...tables].sort().forEach(table => {
+            const row = el('div', 'inspector-row');
+            row.appendChild(this.createTableLink(table));
+            tableSection.appendChild(row);
+        });
+
+        this.renderTimestamps(tag);
+        return true;
+    }
+
+    renderTimestamps(row) {
+        const section = this.addSection('时间');
+        this.addField(section, '创建', [row.gmt_create, row.create_operator].filter(text => text).join(' · ') || '（无）');
+        this.addField(section, '更新', [row.gmt_update, row.update_operator].filter(text => text).join(' · ') || '（无）');
+        if (row.is_deleted || row.gmt_delete) {
+            this.addField(section, '删除', [row.gmt_delete, row.delete_operator].filter(text => text).join(' · ') || '已删除');
+        }
+    }
+
+    /**
+     * 连接条件表格：源表列、运算符、目标表列
+     */
+    createConditionTable(conditions) {
+        const el = SidePanel.createElement;
+        if (conditions.length === 0) {
+            return el('div', 'inspector-empty', '无连接条件信息');
+        }
+
+        const table = el('table', 'inspector-condition');
+        const header = el('tr');
+        ['源表列', '运算符', '目标表列'].forEach(text => header.appendChild(el('th', '', text)));
+        table.appendChild(header);
+
+        const column = joinKey => {
+            if (!joinKey) return '?';
+            return joinKey.column || joinKey.value || JSON.stringify(joinKey);
+        };
+        conditions.forEach(condition => {
+            const row = el('tr');
+            row.appendChild(el('td', '', column(condition.srcJoinKey)));
+            row.appendChild(el('td', 'inspector-op', condition.op || '='));
+            row.appendChild(el('td', '', column(condition.dstJoinKey)));
+            table.appendChild(row);
+        });
+        return table;
+    }
+
+    /**
+     * 动态设置：分色显示表达式结构、格式错误以及填入变量值后的预览
+     */
+    renderDynamicSettings(container, relation) {
+        const el = SidePanel.createElement;
+        const groups = DynamicExpression.fromRelation(relation);
+        const variables = new Set();
+
+        groups.forEach(group => {
+            container.appendChild(el('div', 'dynamic-group-title', group.label));
+            group.expressions.forEach(expression => {
+                const item = el('div', expression.valid ? 'dynamic-expr' : 'dynamic-expr dynamic-expr-invalid');
+                const source = el('code', 'dynamic-source');
+                expression.tokens.forEach(token => {
+                    const span = el('span', `dynamic-token dynamic-${token.type}`, token.raw);
+                    if (token.type === 'column') span.title = `表: ${token.table || '未知'}，列: ${token.column}`;
+                    if (token.type === 'variable') span.title = `变量: ${token.name || '无效'}`;
+                    if (token.type === 'function') span.title = `函数: ${token.name}`;
+                    source.appendChild(span);
+                });
+                item.appendChild(source);
+                expression.errors.forEach(error => {
+                    item.appendChild(el('div', 'dynamic-error', error));
+                });
+                container.appendChild(item);
+                expression.variables.forEach(name => variables.add(name));
+            });
+        });
+
+        if (variables.size === 0) return;
+
+        // 变量输入及实时预览
+        const preview = el('pre', 'dynamic-preview');
+        const updatePreview = () => {
+            preview.textContent = groups.map(group =>
+                `-- ${group.label}\n` + group.expressions.map(expression => expression.preview(this.dynamicValues)).join('\n')
+            ).join('\n');
+        };
+
+        const inputs = el('div', 'dynamic-variables');
+        [...variables].forEach(name => {
+            const label = el('label', 'dynamic-variable');
+            label.appendChild(el('span', '', `\${${name}}`));
+            const input = el('input');
+            input.type = 'text';
+            input.placeholder = '变量值';
+            input.value = this.dynamicValues[name] || '';
+            input.addEventListener('input', () => {
+                this.dynamicValues[name] = input.value;
+                updatePreview();
+            });
+            label.appendChild(input);
+            inputs.appendChild(label);
+        });
+
+        container.appendChild(inputs);
+        container.appendChild(el('div', 'dynamic-group-title', '预览'));
+        container.appendChild(preview);
+        updatePreview();
+    }
+
+    addTitle(kind, text) {
+        const el = SidePanel.createElement;
+        const title = el('div', 'inspector-title');
+        title.appendChild(el('span', 'inspector-kind', kind));
+        title.appendChild(el('span', 'inspector-name', text));
+        this.content.appendChild(title);
+        return title;
+    }
+
+    addSection(title = null) {
+        const section = SidePanel.createElement('div', 'inspector-section');
+        if (title) {
+            section.appendChild(SidePanel.createElement('h4', '', title));
+        }
+        this.content.appendChild(section);
+        return section;
+    }
+
+    /**
+     * 添加一行字段，value 为文本或DOM元素
+     */
+    addField(section, label, value) {
+        const el = SidePanel.createElement;
+        const row = el('div', 'inspector-field');
+        row.appendChild(el('span', 'inspector-label', label));
+        const valueEl = value instanceof Node ? value : el('span', 'inspector-value', String(value ?? ''));
+        row.appendChild(valueEl);
+        section.appendChild(row);
+    }
+
+    createNavLink(text, item, className = '') {
+        const link = SidePanel.createElement('a', `inspector-link ${className}`.trim(), text);
+        link.href = '#';
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            this.navigate(item);
+        });
+        return link;
+    }
+
+    createTableLink(tableId) {
+        const link = this.createNavLink(String(tableId).split('.').pop(), { kind: 'table', id: tableId });
+        link.title = tableId;
+        return link;
+    }
+
+    createRelationLink(relationId) {
+        return this.createNavLink(`#${relationId}`, { kind: 'relation', id: relationId }, 'inspector-relation');
+    }
+
+    createTagLink(tag) {
+        const link = this.createNavLink(`${tag.tagName} (${tag.tagId})`, { kind: 'tag', id: tag.key }, 'inspector-tag');
+        link.style.setProperty('--tag-color', tag.color);
+        return link;
+    }
+
+    /**
+     * 边上各标签颜色的小色块
+     */
+    createTagSwatches(link) {
+        const swatches = SidePanel.createElement('span', 'inspector-swatches');
+        link.tags.forEach(tag => {
+            const swatch = SidePanel.createElement('span', 'inspector-swatch');
+            swatch.style.background = tag.color;
+            swatch.title = tag.tagName;
+            swatches.appendChild(swatch);
+        });
+        return swatches;
+    }
+
+    /**
+     * 约束字段可能是JSON字符串或对象，空值和空集合显示为“无”
+     */
+    static formatJson(value) {
+        let parsed = value;
+        if (typeof value === 'string') {
+            try {
+                parsed = JSON.parse(value);
+            } catch (error) {
+                return value || '无';
+            }
+        }
+        if (parsed === null || parsed === undefined || parsed === '') return '无';
+        if (typeof parsed === 'object' && Object.keys(parsed).length === 0) return '无';
+        return typeof parsed === 'object' ? JSON.stringify(parsed) : String(parsed);
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * 数据问题面板
+ * 按严重程度分组显示校验结果，点击问题定位到对应的边或节点
+ */
+class IssuesPanel extends SidePanel {
+    constructor(panelId) {
+        super(panelId);
+        this.issues = [];
+        this.onSelect = null;
+    }
+
+    /**
+     * 设置校验结果并重新绘制面板内容
+     */
+    setIssues(issues) {
+        this.issues = issues;
+        this.clear();
+        const el = SidePanel.createElement;
+
+        if (issues.length === 0) {
+            this.content.appendChild(el('div', 'issues-empty', '未发现数据问题'));
+            return;
+        }
+
+        IssuesPanel.SEVERITIES.forEach(({ severity, label }) => {
+            const group = issues.filter(issue => issue.severity === severity);
+            if (group.length === 0) return;
+
+            const section = el('div', `issues-group issues-group-${severity}`);
+            section.appendChild(el('div', 'issues-group-title', `${label}（${group.length}）`));
+
+            const list = el('ul', 'issues-list');
+            group.forEach(issue => {
+                const item = el('li', 'issues-item', issue.message);
+                item.title = issue.code;
+                item.addEventListener('click', () => {
+                    if (this.onSelect) {
+                        this.onSelect(issue);
+                    }
+                });
+                list.appendChild(item);
+            });
+            section.appendChild(list);
+
+            this.content.appendChild(section);
+        });
+    }
+
+    /**
+     * 按严重程度统计问题数量
+     */
+    countBySeverity() {
+        const counts = { error: 0, warning: 0, info: 0 };
+        this.issues.forEach(issue => counts[issue.severity]++);
+        return counts;
+    }
+}
+
+// 严重程度及显示顺序
+IssuesPanel.SEVERITIES = [
+    { severity: 'error', label: '错误' },
+    { severity: 'warning', label: '警告' },
+    { severity: 'info', label: '提示' }
+];
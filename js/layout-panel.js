@@ -0,0 +1,132 @@
+/**
+ * 布局设置面板
+ * 选择力导向、分层、放射或环形布局，并调整各布局的参数
+ */
+class LayoutPanel extends SidePanel {
+    constructor(panelId) {
+        super(panelId);
+        this.onLayoutChange = null;  // (layout, options) 切换布局或修改布局参数
+        this.onForceChange = null;   // (settings) 修改力导向参数
+
+        this.bindInputs();
+    }
+
+    /**
+     * 绑定面板中的输入控件
+     */
+    bindInputs() {
+        const layoutSelect = document.getElementById('layout-select');
+        if (layoutSelect) {
+            Object.entries(GraphLayout.TYPES).forEach(([type, spec]) => {
+                const option = SidePanel.createElement('option', '', spec.label);
+                option.value = type;
+                layoutSelect.appendChild(option);
+            });
+            layoutSelect.addEventListener('change', () => this.applyLayout());
+        }
+
+        ['layout-direction', 'layout-center-select'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.applyLayout());
+            }
+        });
+
+        const relayoutBtn = document.getElementById('layout-apply-btn');
+        if (relayoutBtn) {
+            relayoutBtn.addEventListener('click', () => this.applyLayout());
+        }
+
+        if (!this.panel) return;
+
+        // 滑块拖动时实时显示数值并更新模拟
+        this.panel.querySelectorAll('.layout-force-input').forEach(input => {
+            input.addEventListener('input', () => {
+                this.updateValueLabel(input);
+                if (this.onForceChange) {
+                    this.onForceChange({ [input.dataset.setting]: parseFloat(input.value) });
+                }
+            });
+        });
+    }
+
+    /**
+     * 按面板中的选择切换布局
+     */
+    applyLayout() {
+        const layout = document.getElementById('layout-select').value;
+        this.updateSections(layout);
+
+        if (this.onLayoutChange) {
+            this.onLayoutChange(layout, {
+                direction: document.getElementById('layout-direction').value,
+                center: document.getElementById('layout-center-select').value || null,
+                fit: true
+            });
+        }
+    }
+
+    /**
+     * 只显示当前布局相关的参数
+     */
+    updateSections(layout) {
+        if (!this.panel) return;
+
+        this.panel.querySelectorAll('.layout-section').forEach(section => {
+            section.style.display = section.dataset.layout === layout ? '' : 'none';
+        });
+    }
+
+    /**
+     * 设置放射布局可选的中心表
+     */
+    setNodes(nodes) {
+        const select = document.getElementById('layout-center-select');
+        if (!select) return;
+
+        const previous = select.value;
+        select.innerHTML = '';
+        select.appendChild(SidePanel.createElement('option', '', '选中的表或关系最多的表'));
+        select.firstChild.value = '';
+
+        [...nodes]
+            .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id))
+            .forEach(node => {
+                const option = SidePanel.createElement('option', '', `${node.name} (${node.catalog}.${node.schema})`);
+                option.value = node.id;
+                option.title = node.id;
+                select.appendChild(option);
+            });
+
+        if (nodes.some(node => node.id === previous)) {
+            select.value = previous;
+        }
+    }
+
+    /**
+     * 使面板控件与渲染器的当前布局和参数一致
+     */
+    sync(renderer) {
+        const layoutSelect = document.getElementById('layout-select');
+        if (!layoutSelect) return;
+
+        layoutSelect.value = renderer.layout;
+        document.getElementById('layout-direction').value = renderer.layoutOptions.direction;
+        const centerSelect = document.getElementById('layout-center-select');
+        const center = renderer.layoutOptions.center;
+        centerSelect.value = center && [...centerSelect.options].some(option => option.value === center) ? center : '';
+
+        this.panel.querySelectorAll('.layout-force-input').forEach(input => {
+            input.value = renderer.forceSettings[input.dataset.setting];
+            this.updateValueLabel(input);
+        });
+        this.updateSections(renderer.layout);
+    }
+
+    updateValueLabel(input) {
+        const label = input.parentElement.querySelector('.layout-value');
+        if (label) {
+            label.textContent = input.value;
+        }
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * 布局算法模块
+ * 计算分层、放射和环形布局中每个节点的目标位置，返回节点ID到 { x, y } 的映射
+ * 力导向布局由 GraphRenderer 中的力导向模拟负责
+ */
+class GraphLayout {
+    /**
+     * 按布局类型计算节点位置
+     * options: { width, height, direction, layerSpacing, nodeSpacing, ringSpacing, center }
+     */
+    static compute(type, nodes, links, options = {}) {
+        const layout = GraphLayout.TYPES[type];
+        if (!layout || !layout.compute) {
+            throw new Error(`未知的布局类型: ${type}`);
+        }
+        return GraphLayout[layout.compute](nodes, links, options);
+    }
+
+    /**
+     * 分层布局（Sugiyama）：沿关系方向从上到下（或从左到右）分层
+     * 1. 反转DFS中的回边去除环  2. 最长路径分层  3. 重心法交替上下扫描减少交叉  4. 按节点尺寸排列坐标
+     */
+    static hierarchical(nodes, links, options = {}) {
+        const direction = options.direction || 'TB';
+        const layerSpacing = options.layerSpacing || 120;
+        const nodeSpacing = options.nodeSpacing || 30;
+        const edges = GraphLayout.removeCycles(nodes, GraphLayout.collectEdges(links));
+
+        // 最长路径分层：每个节点位于所有前驱之后
+        const incoming = new Map(nodes.map(node => [node.id, []]));
+        const outgoing = new Map(nodes.map(node => [node.id, []]));
+        edges.forEach(([sourceId, targetId]) => {
+            outgoing.get(sourceId).push(targetId);
+            incoming.get(targetId).push(sourceId);
+        });
+
+        const layerOf = new Map();
+        const pending = new Map(nodes.map(node => [node.id, incoming.get(node.id).length]));
+        const queue = nodes.filter(node => pending.get(node.id) === 0).map(node => node.id);
+        queue.forEach(id => layerOf.set(id, 0));
+        while (queue.length > 0) {
+            const id = queue.shift();
+            outgoing.get(id).forEach(targetId => {
+                layerOf.set(targetId, Math.max(layerOf.get(targetId) || 0, layerOf.get(id) + 1));
+                pending.set(targetId, pending.get(targetId) - 1);
+                if (pending.get(targetId) === 0) {
+                    queue.push(targetId);
+                }
+            });
+        }
+
+        const layers = [];
+        nodes.forEach(node => {
+            const layer = layerOf.get(node.id) || 0;
+            (layers[layer] = layers[layer] || []).push(node);
+        });
+
+        // 重心法排序：按相邻层中邻居的平均位置排序，向下和向上交替扫描
+        const order = new Map();
+        const updateOrder = layer => layer.forEach((node, index) => order.set(node.id, index));
+        layers.forEach(layer => {
+            layer.sort((a, b) => a.id.localeCompare(b.id));
+            updateOrder(layer);
+        });
+
+        const barycenter = (node, neighbors) => {
+            const positions = neighbors.get(node.id).filter(id => order.has(id)).map(id => order.get(id));
+            return positions.length > 0 ? d3.mean(positions) : order.get(node.id);
+        };
+        for (let sweep = 0; sweep < 4; sweep++) {
+            const downward = sweep % 2 === 0;
+            const neighbors = downward ? incoming : outgoing;
+            const sequence = downward ? layers.slice(1) : layers.slice(0, -1).reverse();
+            sequence.forEach(layer => {
+                const weights = new Map(layer.map(node => [node.id, barycenter(node, neighbors)]));
+                layer.sort((a, b) => weights.get(a.id) - weights.get(b.id));
+                updateOrder(layer);
+            });
+        }
+
+        // 坐标：层内按节点尺寸依次排列并居中，层间距考虑该层最大的节点尺寸
+        const horizontal = direction === 'LR';
+        const along = node => horizontal ? node.height : node.width;
+        const across = node => horizontal ? node.width : node.height;
+        const positions = new Map();
+        let offset = 0;
+
+        layers.forEach(layer => {
+            const depth = d3.max(layer, across);
+            const total = d3.sum(layer, along) + nodeSpacing * (layer.length - 1);
+            let cursor = -total / 2;
+
+            layer.forEach(node => {
+                const main = cursor + along(node) / 2;
+                const cross = offset + depth / 2;
+                positions.set(node.id, horizontal ? { x: cross, y: main } : { x: main, y: cross });
+                cursor += along(node) + nodeSpacing;
+            });
+            offset += depth + layerSpacing;
+        });
+
+        return GraphLayout.centerPositions(positions, options);
+    }
+
+    /**
+     * 放射布局：中心表位于圆心，其余表按与中心表的距离（跳数，不考虑方向）排列在同心圆上
+     * 每个节点按其子树中的叶子数量分得角度，子节点落在父节点的扇区内；不连通的表放在最外圈
+     */
+    static radial(nodes, links, options = {}) {
+        const ringSpacing = options.ringSpacing || 160;
+        const neighbors = GraphLayout.undirectedNeighbors(nodes, links);
+        const nodeIds = new Set(nodes.map(node => node.id));
+        const centerId = nodeIds.has(options.center)
+            ? options.center
+            : d3.greatest(nodes, node => neighbors.get(node.id).length).id;
+
+        // BFS生成树
+        const depth = new Map([[centerId, 0]]);
+        const children = new Map(nodes.map(node => [node.id, []]));
+        const queue = [centerId];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            neighbors.get(id).slice().sort().forEach(neighborId => {
+                if (depth.has(neighborId)) return;
+                depth.set(neighborId, depth.get(id) + 1);
+                children.get(id).push(neighborId);
+                queue.push(neighborId);
+            });
+        }
+
+        const leaves = new Map();
+        const countLeaves = id => {
+            const count = children.get(id).reduce((sum, childId) => sum + countLeaves(childId), 0) || 1;
+            leaves.set(id, count);
+            return count;
+        };
+        countLeaves(centerId);
+
+        const positions = new Map([[centerId, { x: 0, y: 0 }]]);
+        const place = (id, startAngle, endAngle) => {
+            let angle = startAngle;
+            children.get(id).forEach(childId => {
+                const span = (endAngle - startAngle) * leaves.get(childId) / leaves.get(id);
+                const middle = angle + span / 2;
+                const radius = depth.get(childId) * ringSpacing;
+                positions.set(childId, { x: radius * Math.cos(middle), y: radius * Math.sin(middle) });
+                place(childId, angle, angle + span);
+                angle += span;
+            });
+        };
+        place(centerId, -Math.PI / 2, Math.PI * 3 / 2);
+
+        const unreached = nodes.filter(node => !depth.has(node.id));
+        const outerRadius = ((d3.max(Array.from(depth.values())) || 0) + 1) * ringSpacing;
+        unreached.forEach((node, index) => {
+            const angle = -Math.PI / 2 + (2 * Math.PI * index) / unreached.length;
+            positions.set(node.id, { x: outerRadius * Math.cos(angle), y: outerRadius * Math.sin(angle) });
+        });
+
+        return GraphLayout.centerPositions(positions, options, false);
+    }
+
+    /**
+     * 环形布局：所有表排列在一个圆上，同一租户的表相邻，租户之间留出间隔
+     * 租户内按 catalog、schema、表名排序
+     */
+    static circular(nodes, links, options = {}) {
+        const nodeSpacing = options.nodeSpacing || 30;
+        const groups = d3.groups(nodes, node => node.tenantId || '')
+            .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+        groups.forEach(([, members]) => members.sort((a, b) =>
+            (a.catalog || '').localeCompare(b.catalog || '') ||
+            (a.schema || '').localeCompare(b.schema || '') ||
+            a.name.localeCompare(b.name)
+        ));
+
+        // 每个节点占用的弧长取其对角线长度，租户之间的间隔为两个平均弧长
+        const slot = node => Math.hypot(node.width, node.height) + nodeSpacing;
+        const gap = groups.length > 1 ? d3.mean(nodes, slot) * 2 : 0;
+        const circumference = d3.sum(nodes, slot) + gap * groups.length;
+        const radius = Math.max(150, circumference / (2 * Math.PI));
+
+        const positions = new Map();
+        let arc = 0;
+        groups.forEach(([, members]) => {
+            members.forEach(node => {
+                const angle = -Math.PI / 2 + 2 * Math.PI * (arc + slot(node) / 2) / circumference;
+                positions.set(node.id, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+                arc += slot(node);
+            });
+            arc += gap;
+        });
+
+        return GraphLayout.centerPositions(positions, options, false);
+    }
+
+    /**
+     * 将边转换为去重的 [sourceId, targetId] 列表，忽略自环
+     */
+    static collectEdges(links) {
+        const seen = new Set();
+        const edges = [];
+        links.forEach(link => {
+            const sourceId = link.source.id || link.source;
+            const targetId = link.target.id || link.target;
+            const key = `${sourceId}\u0000${targetId}`;
+            if (sourceId === targetId || seen.has(key)) return;
+            seen.add(key);
+            edges.push([sourceId, targetId]);
+        });
+        return edges;
+    }
+
+    /**
+     * 深度优先遍历，将指向当前路径上节点的回边反转，得到无环图
+     */
+    static removeCycles(nodes, edges) {
+        const outgoing = new Map(nodes.map(node => [node.id, []]));
+        edges.forEach(edge => outgoing.get(edge[0]).push(edge));
+
+        const state = new Map(); // 1: 在当前路径上，2: 已完成
+        const reversed = new Set();
+        nodes.forEach(root => {
+            if (state.has(root.id)) return;
+
+            // 使用显式栈，避免长链导致递归过深
+            const stack = [{ id: root.id, index: 0 }];
+            state.set(root.id, 1);
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const edge = outgoing.get(frame.id)[frame.index++];
+                if (!edge) {
+                    state.set(frame.id, 2);
+                    stack.pop();
+                    continue;
+                }
+
+                const targetState = state.get(edge[1]);
+                if (targetState === 1) {
+                    reversed.add(edge);
+                } else if (!targetState) {
+                    state.set(edge[1], 1);
+                    stack.push({ id: edge[1], index: 0 });
+                }
+            }
+        });
+
+        return edges.map(edge => reversed.has(edge) ? [edge[1], edge[0]] : edge);
+    }
+
+    /**
+     * 不区分方向的邻接表
+     */
+    static undirectedNeighbors(nodes, links) {
+        const neighbors = new Map(nodes.map(node => [node.id, []]));
+        GraphLayout.collectEdges(links).forEach(([sourceId, targetId]) => {
+            if (!neighbors.get(sourceId).includes(targetId)) {
+                neighbors.get(sourceId).push(targetId);
+                neighbors.get(targetId).push(sourceId);
+            }
+        });
+        return neighbors;
+    }
+
+    /**
+     * 将布局平移到画布中心；fromBounds为true时按包围盒居中，否则原点即为中心
+     */
+    static centerPositions(positions, options, fromBounds = true) {
+        const values = Array.from(positions.values());
+        const offsetX = fromBounds ? (d3.min(values, d => d.x) + d3.max(values, d => d.x)) / 2 : 0;
+        const offsetY = fromBounds ? (d3.min(values, d => d.y) + d3.max(values, d => d.y)) / 2 : 0;
+        const centerX = (options.width || 0) / 2;
+        const centerY = (options.height || 0) / 2;
+
+        positions.forEach(position => {
+            position.x += centerX - offsetX;
+            position.y += centerY - offsetY;
+        });
+        return positions;
+    }
+}
+
+// 可选的布局类型，force由力导向模拟计算
+GraphLayout.TYPES = {
+    force: { label: '力导向' },
+    hierarchical: { label: '分层', compute: 'hierarchical' },
+    radial: { label: '放射', compute: 'radial' },
+    circular: { label: '环形（按租户）', compute: 'circular' }
+};
@@ -0,0 +1,166 @@
+/**
+ * 图例面板
+ * 列出所有标签的颜色、租户和关系数量，可按名称筛选，勾选显示或隐藏标签，单独显示某个标签或高亮其关系
+ */
+class LegendPanel extends SidePanel {
+    constructor(panelId, dataProcessor) {
+        super(panelId);
+        this.dataProcessor = dataProcessor;
+        this.hiddenTags = new Set();  // 被隐藏的标签，键为 DataProcessor.getTagKey()
+        this.tenantId = null;         // 选择租户后只列出该租户的标签
+        this.query = '';
+        this.onChange = null;         // 显示/隐藏的标签变化
+        this.onHighlight = null;      // (relationIds) 高亮标签的关系
+
+        const filterInput = document.getElementById('legend-filter-input');
+        if (filterInput) {
+            filterInput.addEventListener('input', () => {
+                this.query = filterInput.value.trim().toLowerCase();
+                this.renderList();
+            });
+        }
+
+        const showAllBtn = document.getElementById('legend-show-all');
+        if (showAllBtn) {
+            showAllBtn.addEventListener('click', () => this.setVisible(this.getVisibleItems(), true));
+        }
+
+        const hideAllBtn = document.getElementById('legend-hide-all');
+        if (hideAllBtn) {
+            hideAllBtn.addEventListener('click', () => this.setVisible(this.getVisibleItems(), false));
+        }
+    }
+
+    show() {
+        super.show();
+        this.renderList();
+    }
+
+    /**
+     * 切换租户，面板可见时刷新列表
+     */
+    setTenant(tenantId) {
+        this.tenantId = tenantId;
+        if (this.isVisible()) {
+            this.renderList();
+        }
+    }
+
+    /**
+     * 设置被隐藏的标签（恢复视图时使用），不触发onChange
+     */
+    setHiddenTags(tagKeys) {
+        this.hiddenTags = new Set(tagKeys || []);
+        if (this.isVisible()) {
+            this.renderList();
+        }
+    }
+
+    /**
+     * 当前租户下、符合名称筛选的标签
+     */
+    getVisibleItems() {
+        return this.dataProcessor.getTagStatistics()
+            .filter(item => !this.tenantId || item.tenantId === this.tenantId)
+            .filter(item => !this.query ||
+                String(item.tagName).toLowerCase().includes(this.query) ||
+                item.displayName.toLowerCase().includes(this.query))
+            .sort((a, b) => String(a.tagId).localeCompare(String(b.tagId)) ||
+                String(a.tenantId).localeCompare(String(b.tenantId)));
+    }
+
+    /**
+     * 显示或隐藏一组标签
+     */
+    setVisible(items, visible) {
+        items.forEach(item => {
+            if (visible) {
+                this.hiddenTags.delete(item.key);
+            } else {
+                this.hiddenTags.add(item.key);
+            }
+        });
+        this.notifyChange();
+    }
+
+    /**
+     * 只显示指定标签，隐藏其他所有标签
+     */
+    isolate(item) {
+        this.hiddenTags = new Set(
+            this.dataProcessor.getTagStatistics()
+                .map(other => other.key)
+                .filter(key => key !== item.key)
+        );
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        this.renderList();
+        if (this.onChange) {
+            this.onChange(this.hiddenTags);
+        }
+    }
+
+    /**
+     * 绘制标签列表
+     */
+    renderList() {
+        const list = document.getElementById('legend-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const el = SidePanel.createElement;
+        const items = this.getVisibleItems();
+        const shown = items.filter(item => !this.hiddenTags.has(item.key)).length;
+
+        const summary = document.getElementById('legend-summary');
+        if (summary) {
+            summary.textContent = `共 ${items.length} 个标签，显示 ${shown} 个`;
+        }
+
+        if (items.length === 0) {
+            list.appendChild(el('div', 'legend-empty', '没有匹配的标签'));
+            return;
+        }
+
+        items.forEach(item => {
+            const hidden = this.hiddenTags.has(item.key);
+            const row = el('div', hidden ? 'legend-item legend-item-hidden' : 'legend-item');
+            row.title = '点击高亮该标签的关系';
+
+            const checkbox = el('input', 'legend-checkbox');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !hidden;
+            checkbox.title = '显示/隐藏';
+            checkbox.addEventListener('click', event => event.stopPropagation());
+            checkbox.addEventListener('change', () => this.setVisible([item], checkbox.checked));
+            row.appendChild(checkbox);
+
+            const swatch = el('span', 'legend-swatch');
+            swatch.style.background = item.color;
+            row.appendChild(swatch);
+
+            const info = el('div', 'legend-info');
+            info.appendChild(el('div', 'legend-name', item.displayName || item.tagName));
+            info.appendChild(el('div', 'legend-meta',
+                `${item.tagId} · ${item.tagName} · ${item.tenantId} · ${item.relationCount} 个关系`));
+            row.appendChild(info);
+
+            const isolateBtn = el('button', 'view-action', '仅显示');
+            isolateBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.isolate(item);
+            });
+            row.appendChild(isolateBtn);
+
+            row.addEventListener('click', () => {
+                if (this.onHighlight) {
+                    this.onHighlight(item.relationIds);
+                }
+            });
+
+            list.appendChild(row);
+        });
+    }
+}
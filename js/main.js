@@ -5,9 +5,66 @@
 class MultipathRelationVisualization {
     constructor() {
         this.dataProcessor = new DataProcessor();
-        this.graphRenderer = new GraphRenderer('graph-container', this.dataProcessor);
+        this.graphRenderer = this.createRenderer('svg');
+        this.tagPathTracer = new TagPathTracer(this.dataProcessor);
+        this.tracePanel = new TracePanel('trace-panel', this.dataProcessor);
+        this.tracePanel.onHide = () => this.graphRenderer.clearTagPaths();
+        this.issuesPanel = new IssuesPanel('issues-panel');
+        this.issuesPanel.onSelect = issue => this.focusIssue(issue);
+        this.pathFinderPanel = new PathFinderPanel('path-panel', this.dataProcessor);
+        this.pathFinderPanel.onSelectPath = path => {
+            this.graphRenderer.clearTagPaths();
+            this.graphRenderer.highlightPath(path.steps);
+        };
+        this.pathFinderPanel.onHide = () => this.graphRenderer.clearTagPaths();
+        this.dataSourcePanel = new DataSourcePanel('source-panel', this.dataProcessor);
+        this.dataSourcePanel.onLoad = source => this.reloadData(source);
+        this.viewsPanel = new ViewsPanel('views-panel');
+        this.viewsPanel.getHash = () => ViewState.toHash(this.captureViewState());
+        this.viewsPanel.onApply = hash => this.applyViewState(ViewState.fromHash(hash));
+        this.legendPanel = new LegendPanel('legend-panel', this.dataProcessor);
+        this.legendPanel.onChange = () => {
+            this.renderGraph();
+            this.scheduleViewStateUpdate();
+        };
+        this.legendPanel.onHighlight = relationIds => this.graphRenderer.highlightEdgesByRelationIds(relationIds);
+        this.layoutPanel = new LayoutPanel('layout-panel');
+        this.layoutPanel.onLayoutChange = (layout, options) => this.graphRenderer.setLayout(layout, options);
+        this.layoutPanel.onForceChange = settings => this.graphRenderer.setForceSettings(settings);
+        this.explorePanel = new ExplorePanel('explore-panel');
+        this.explorePanel.onStart = options => this.startExplore(options);
+        this.explorePanel.onExit = () => this.exitExplore();
+        this.explorePanel.onCollapse = nodeId => this.toggleExploreNode(nodeId);
+        this.diffPanel = new DiffPanel('diff-panel', this.dataProcessor);
+        this.diffPanel.onCompare = source => this.compareWith(source);
+        this.diffPanel.onExit = () => this.exitDiff();
+        this.diffPanel.onSelect = item => {
+            if (item.kind === 'relation') {
+                this.graphRenderer.focusLink(item.relationId);
+            } else {
+                this.graphRenderer.focusRelations(item.relationIds);
+            }
+        };
+        this.inspectorPanel = new InspectorPanel('inspector-panel', this.dataProcessor);
+        this.inspectorPanel.onNavigate = item => this.focusInspectorItem(item);
+        this.exportPanel = new ExportPanel('export-panel');
+        this.exportPanel.onExport = options => this.exportGraph(options);
+        this.exportPanel.onExportData = format => this.exportData(format);
+        this.timelineBar = new TimelineBar('timeline-bar');
+        this.timelineBar.onChange = step => this.showTimelineStep(step);
+        this.timelineBar.onClose = () => this.closeTimeline();
+        this.searchIndex = new SearchIndex(this.dataProcessor);
+        this.searchBox = new SearchBox('search-input', 'search-suggestions', 'search-status');
+        this.searchBox.onPick = result => this.focusSearchResult(result);
+        this.searchBox.onSubmit = query => this.search(query, false);
+        this.eventsBound = false;
         this.currentData = null;
+        this.viewData = null;  // 图中显示的数据（租户、未引用关系、标签筛选和探索模式之后），见 renderGraph()
         this.currentTenant = null;
+        this.currentSearch = { query: '', trace: false };
+        this.explore = null;  // 探索模式：{ rootId, hops, direction, expanded: Set }
+        this.restoringView = false;
+        this.viewStateTimer = null;
         
         this.init();
     }
@@ -16,12 +73,17 @@ class MultipathRelationVisualization {
      * 初始化应用
      */
     async init() {
+        // 数据源事件在加载前绑定，初始加载失败时仍可通过文件或其他地址重新加载
+        this.bindDataSourceEvents();
+
         try {
             // 显示加载状态
             this.showLoading();
             
-            // 加载数据
-            this.currentData = await this.dataProcessor.loadData();
+            // 加载数据（数据源由URL查询参数决定）
+            const source = DataSourceRegistry.fromLocation(window.location);
+            this.currentData = await this.dataProcessor.loadData(source);
+            this.dataSourcePanel.setCurrentSource(source);
             
             // 初始化租户选择器
             this.initTenantSelector();
@@ -29,16 +91,282 @@ class MultipathRelationVisualization {
             // 渲染图形
             this.renderGraph();
             
+            // 校验数据完整性
+            this.validateData();
+            
             // 绑定事件
             this.bindEvents();
             
             // 隐藏加载状态
             this.hideLoading();
+
+            // 恢复URL hash中的视图状态
+            const viewState = ViewState.fromHash(window.location.hash);
+            if (viewState) {
+                this.applyViewState(viewState);
+            }
             
         } catch (error) {
             console.error('初始化失败:', error);
-            this.showError(`数据加载失败: ${error.message}<br/><br/>请确保：<br/>1. 使用本地服务器运行（如：python -m http.server 8000）<br/>2. 数据文件存在于 ../data/ 目录下<br/>3. 检查浏览器控制台获取详细错误信息`);
+            this.showError(`数据加载失败: ${error.message}<br/><br/>请确保：<br/>1. 使用本地服务器运行（如：python -m http.server 8000）<br/>2. 数据文件存在于 data/ 目录下，或通过 ?tags=&amp;relations= / ?api= 指定数据地址<br/>3. 检查浏览器控制台获取详细错误信息<br/><br/>也可以将两个JSON文件拖拽到页面上，或点击“加载数据”选择文件`);
+        }
+    }
+
+    /**
+     * 切换数据源并重新渲染，无需刷新页面
+     */
+    async reloadData(source) {
+        try {
+            this.currentData = await this.dataProcessor.loadData(source);
+        } catch (error) {
+            this.dataSourcePanel.showStatus(`加载失败: ${error.message}`, 'error');
+            return false;
+        }
+
+        // 新数据中不存在当前租户时回到全部租户
+        if (this.currentTenant && !this.dataProcessor.getAvailableTenants().includes(this.currentTenant)) {
+            this.currentTenant = null;
+        }
+
+        this.tracePanel.hide();
+        this.diffPanel.showDiff(null);
+        this.timelineBar.hide();
+        this.initTenantSelector();
+        this.renderGraph();
+        this.validateData();
+        if (!this.eventsBound) {
+            this.bindEvents();
+        }
+
+        this.updateSourceParams(source);
+        this.dataSourcePanel.setCurrentSource(source);
+        this.dataSourcePanel.showStatus(`已加载 ${this.dataProcessor.tags.length} 个标签、${this.dataProcessor.relations.length} 个关系`, 'ok');
+        return true;
+    }
+
+    /**
+     * 加载基准版本并与当前数据对比，图中按新增、删除、修改着色
+     */
+    async compareWith(source) {
+        let base;
+        try {
+            base = await source.load();
+        } catch (error) {
+            this.diffPanel.showStatus(`加载失败: ${error.message}`, 'error');
+            return false;
+        }
+
+        this.timelineBar.hide();
+        const diff = this.dataProcessor.setDiffBase(base.tags, base.relations);
+        this.tracePanel.hide();
+        this.initTenantSelector();
+        this.renderGraph();
+        this.diffPanel.showDiff(diff);
+        this.diffPanel.showStatus(`基准版本: ${source.name}`, 'ok');
+        return true;
+    }
+
+    /**
+     * 退出对比，恢复显示当前版本
+     */
+    exitDiff() {
+        this.dataProcessor.restoreSourceRows();
+        if (this.currentTenant && !this.dataProcessor.getAvailableTenants().includes(this.currentTenant)) {
+            this.currentTenant = null;
+        }
+        this.tracePanel.hide();
+        this.initTenantSelector();
+        this.renderGraph();
+        this.diffPanel.showDiff(null);
+        this.diffPanel.showStatus('');
+    }
+
+    /**
+     * 打开时间线，从最后一步（当前模型）开始；对比中时先退出对比
+     */
+    openTimeline() {
+        this.dataProcessor.restoreSourceRows();
+        this.diffPanel.showDiff(null);
+
+        const step = this.timelineBar.open(this.dataProcessor.getTimeline());
+        if (step) {
+            this.showTimelineStep(step);
+        }
+    }
+
+    /**
+     * 显示时间线上某一步之后的模型，并突出显示这一步新增的关系
+     */
+    showTimelineStep(step) {
+        console.log('时间线:', ModelTimeline.formatTime(step.time), ModelTimeline.describeStep(step));
+        this.dataProcessor.setTimelineTime(step.time);
+        this.tracePanel.hide();
+        this.renderGraph();
+        this.graphRenderer.highlightEdgesByRelationIds(this.dataProcessor.getTimeline().getCreatedRelationIds(step));
+        this.scheduleViewStateUpdate();
+    }
+
+    /**
+     * 关闭时间线，恢复显示加载的数据
+     */
+    closeTimeline() {
+        this.dataProcessor.restoreSourceRows();
+        this.renderGraph();
+        this.scheduleViewStateUpdate();
+    }
+
+    /**
+     * 将数据源写入URL查询参数，便于分享；无法通过URL还原的数据源（如本地文件）会清除相关参数
+     */
+    updateSourceParams(source) {
+        const url = new URL(window.location.href);
+        ['source', 'tags', 'relations', 'api', 'tagsPath', 'relationsPath',
+            'tables', 'relationCount', 'tagCount', 'tenants', 'seed']
+            .forEach(key => url.searchParams.delete(key));
+
+        const params = source.toParams() || {};
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        window.history.replaceState(null, '', url.toString());
+    }
+
+    /**
+     * 收集当前视图状态
+     */
+    captureViewState() {
+        const groupingToggle = document.getElementById('grouping-toggle');
+        const columnsToggle = document.getElementById('columns-toggle');
+        const notationToggle = document.getElementById('notation-toggle');
+        const untaggedToggle = document.getElementById('untagged-toggle');
+
+        return {
+            tenant: this.currentTenant,
+            search: this.currentSearch.query,
+            trace: this.currentSearch.trace,
+            grouping: groupingToggle ? groupingToggle.checked : false,
+            columns: columnsToggle ? columnsToggle.checked : false,
+            er: notationToggle ? notationToggle.checked : false,
+            untagged: untaggedToggle ? untaggedToggle.checked : true,
+            hiddenTags: [...this.legendPanel.hiddenTags],
+            explore: this.explore && { ...this.explore, expanded: [...this.explore.expanded] },
+            time: this.dataProcessor.timelineTime,
+            ...this.graphRenderer.getViewState()
+        };
+    }
+
+    /**
+     * 恢复视图状态：先切换租户和显示开关，再恢复节点位置、缩放、选中元素和搜索
+     */
+    applyViewState(state) {
+        if (!state) return;
+
+        this.restoringView = true;
+        try {
+            const tenant = state.tenant && this.dataProcessor.getAvailableTenants().includes(state.tenant)
+                ? state.tenant
+                : null;
+            this.tracePanel.hide();
+            this.currentTenant = tenant;
+            document.getElementById('tenant-select').value = tenant || '';
+            this.legendPanel.setHiddenTags(state.hiddenTags);
+            const untaggedToggle = document.getElementById('untagged-toggle');
+            if (untaggedToggle) {
+                untaggedToggle.checked = state.untagged;
+            }
+            this.explore = state.explore && { ...state.explore, expanded: new Set(state.explore.expanded) };
+            if (state.time !== null) {
+                this.diffPanel.showDiff(null);
+                this.timelineBar.open(this.dataProcessor.getTimeline(), state.time);
+                this.dataProcessor.setTimelineTime(state.time);
+            } else if (this.dataProcessor.timelineTime !== null) {
+                this.timelineBar.hide();
+                this.dataProcessor.restoreSourceRows();
+            }
+            this.renderGraph();
+
+            const groupingToggle = document.getElementById('grouping-toggle');
+            if (groupingToggle) {
+                groupingToggle.checked = state.grouping;
+                this.graphRenderer.setGrouping(state.grouping);
+            }
+            const columnsToggle = document.getElementById('columns-toggle');
+            if (columnsToggle) {
+                columnsToggle.checked = state.columns;
+                this.graphRenderer.setColumnsExpanded(state.columns);
+            }
+            const notationToggle = document.getElementById('notation-toggle');
+            if (notationToggle) {
+                notationToggle.checked = state.er;
+                this.setEdgeNotation(state.er);
+            }
+
+            document.getElementById('search-input').value = state.search || '';
+            if (state.search) {
+                this.search(state.search, state.trace);
+            }
+
+            this.graphRenderer.applyViewState(state);
+            this.layoutPanel.sync(this.graphRenderer);
+        } finally {
+            this.restoringView = false;
+        }
+        this.scheduleViewStateUpdate();
+    }
+
+    /**
+     * 延迟将视图状态写入URL hash，避免缩放和拖拽时频繁更新地址栏
+     */
+    scheduleViewStateUpdate() {
+        if (this.restoringView) return;
+
+        clearTimeout(this.viewStateTimer);
+        this.viewStateTimer = setTimeout(() => {
+            const hash = ViewState.toHash(this.captureViewState());
+            const url = new URL(window.location.href);
+            url.hash = hash;
+            // replaceState不会触发hashchange，也不会产生历史记录
+            window.history.replaceState(null, '', url.toString());
+        }, 300);
+    }
+
+    /**
+     * 绑定数据源相关事件：面板按钮和整个页面的文件拖拽
+     */
+    bindDataSourceEvents() {
+        const sourceBtn = document.getElementById('source-btn');
+        if (sourceBtn) {
+            sourceBtn.addEventListener('click', () => this.dataSourcePanel.toggle());
         }
+
+        const hasFiles = event => event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+
+        window.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            document.body.classList.add('drag-over');
+        });
+
+        window.addEventListener('dragleave', (event) => {
+            if (event.relatedTarget === null) {
+                document.body.classList.remove('drag-over');
+            }
+        });
+
+        window.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            document.body.classList.remove('drag-over');
+
+            const files = Array.from(event.dataTransfer.files)
+                .filter(file => file.name.toLowerCase().endsWith('.json'));
+            if (files.length === 0) {
+                this.graphRenderer.showSearchError('请拖入JSON文件');
+                return;
+            }
+
+            this.dataSourcePanel.show();
+            this.dataSourcePanel.requestLoad(this.dataSourcePanel.createFileSource(files));
+        });
     }
 
     /**
@@ -93,19 +421,162 @@ class MultipathRelationVisualization {
             tenantSelect.appendChild(option);
         });
         
+        tenantSelect.value = this.currentTenant || '';
         console.log('可用租户:', tenants);
     }
 
+    /**
+     * 校验标签与关系数据，并更新问题面板和按钮
+     */
+    validateData() {
+        const issues = new DataValidator(this.dataProcessor).validate();
+        this.issuesPanel.setIssues(issues);
+
+        const counts = this.issuesPanel.countBySeverity();
+        console.log('数据校验完成:', counts);
+
+        const issuesBtn = document.getElementById('issues-btn');
+        if (issuesBtn) {
+            issuesBtn.textContent = `数据问题 (${issues.length})`;
+            issuesBtn.classList.toggle('has-error', counts.error > 0);
+            issuesBtn.classList.toggle('has-warning', counts.error === 0 && counts.warning > 0);
+        }
+    }
+
+    /**
+     * 定位到问题对应的边或节点，当前租户视图中不存在时切换到全部租户
+     */
+    focusIssue(issue) {
+        const focus = () => (issue.relationId && this.graphRenderer.focusLink(issue.relationId)) ||
+            (issue.nodeIds.length > 0 && this.graphRenderer.focusNodes(issue.nodeIds));
+
+        if (focus()) return;
+
+        if (this.currentTenant) {
+            this.currentTenant = null;
+            document.getElementById('tenant-select').value = '';
+            this.renderGraph();
+            if (focus()) return;
+        }
+
+        this.graphRenderer.showSearchError('图中没有可定位的元素');
+    }
+
+    /**
+     * 进入探索模式：只显示起始表的邻域，并定位到起始表
+     */
+    startExplore({ rootId, hops, direction }) {
+        console.log('开始探索:', rootId, hops, direction);
+        this.explore = { rootId, hops, direction, expanded: new Set() };
+        this.renderGraph();
+        this.graphRenderer.focusNodes([rootId]);
+        this.scheduleViewStateUpdate();
+    }
+
+    /**
+     * 退出探索模式，恢复显示当前租户的所有表
+     */
+    exitExplore() {
+        this.explore = null;
+        this.renderGraph();
+        this.scheduleViewStateUpdate();
+    }
+
+    /**
+     * 探索模式下展开或收起表的相邻表，未在探索时返回false
+     */
+    toggleExploreNode(nodeId) {
+        if (!this.explore) return false;
+
+        if (this.explore.expanded.has(nodeId)) {
+            this.explore.expanded.delete(nodeId);
+        } else {
+            this.explore.expanded.add(nodeId);
+        }
+        this.renderGraph();
+        this.scheduleViewStateUpdate();
+        return true;
+    }
+
+    /**
+     * 创建指定类型的渲染器（svg 或 canvas）
+     */
+    createRenderer(type) {
+        const Renderer = type === 'canvas' ? CanvasGraphRenderer : GraphRenderer;
+        const renderer = new Renderer('graph-container', this.dataProcessor);
+        renderer.onSelectionChange = relationIds => this.updateEdgeSelectionBar(relationIds);
+        renderer.onViewChange = () => this.scheduleViewStateUpdate();
+        renderer.onNodeDblclick = node => this.toggleExploreNode(node.id);
+        renderer.onInspect = item => this.inspectorPanel.inspect(item);
+        return renderer;
+    }
+
+    /**
+     * 根据数据规模选择渲染器：节点或边超过阈值时使用Canvas
+     * URL参数 ?renderer=svg|canvas 可强制指定
+     */
+    chooseRendererType(data) {
+        const forced = new URLSearchParams(window.location.search).get('renderer');
+        if (forced === 'svg' || forced === 'canvas') {
+            return forced;
+        }
+
+        const threshold = CanvasGraphRenderer.THRESHOLD;
+        return data.nodes.length > threshold.nodes || data.links.length > threshold.links ? 'canvas' : 'svg';
+    }
+
+    /**
+     * 需要时切换渲染器，保留分组、列视图、布局、边选择等显示设置
+     */
+    ensureRenderer(data) {
+        const type = this.chooseRendererType(data);
+        const currentType = this.graphRenderer instanceof CanvasGraphRenderer ? 'canvas' : 'svg';
+        if (type === currentType) return;
+
+        console.log(`切换渲染器: ${currentType} → ${type}`);
+        const previous = this.graphRenderer;
+        previous.clearGraph();
+
+        const renderer = this.createRenderer(type);
+        renderer.tooltip = previous.tooltip;
+        renderer.groupingEnabled = previous.groupingEnabled;
+        renderer.columnsExpanded = previous.columnsExpanded;
+        renderer.nodeExpansion = previous.nodeExpansion;
+        renderer.selectedRelationIds = previous.selectedRelationIds;
+        renderer.layout = previous.layout;
+        renderer.layoutOptions = previous.layoutOptions;
+        renderer.forceSettings = previous.forceSettings;
+        renderer.edgeNotation = previous.edgeNotation;
+        this.graphRenderer = renderer;
+    }
+
     /**
      * 渲染图形
      */
     renderGraph() {
         console.log('开始渲染图形...');
-        const data = this.currentTenant ? 
+        const tenantData = this.currentTenant ? 
             this.dataProcessor.getDataByTenant(this.currentTenant) : 
             this.dataProcessor.getAllData();
+        const untaggedToggle = document.getElementById('untagged-toggle');
+        const untaggedCount = document.getElementById('untagged-count');
+        if (untaggedCount) {
+            untaggedCount.textContent = tenantData.links.filter(link => link.untagged).length;
+        }
+        const relationData = this.dataProcessor.filterUntagged(tenantData, !untaggedToggle || untaggedToggle.checked);
+        const tagData = this.dataProcessor.filterByTags(relationData, this.legendPanel.hiddenTags);
+        const data = this.explore ? this.dataProcessor.getExploreData(tagData, this.explore) : tagData;
         console.log('使用数据:', data);
+        this.viewData = data;
+        this.ensureRenderer(data);
         this.graphRenderer.render(data);
+        this.pathFinderPanel.setGraph(data);
+        this.layoutPanel.setNodes(data.nodes);
+        this.legendPanel.setTenant(this.currentTenant);
+        this.explorePanel.setNodes(tagData.nodes);
+        this.explorePanel.setState(this.explore, data.nodes.length);
+        this.searchBox.setIndex(this.searchIndex.build(data));
+        this.inspectorPanel.refresh();
         console.log('图形渲染完成');
     }
 
@@ -114,6 +585,8 @@ class MultipathRelationVisualization {
      * 绑定事件
      */
     bindEvents() {
+        this.eventsBound = true;
+
         // 键盘快捷键：Ctrl/Cmd + R 重置视图
         document.addEventListener('keydown', (event) => {
             if ((event.ctrlKey || event.metaKey) && event.key === 'r') {
@@ -127,6 +600,79 @@ class MultipathRelationVisualization {
 
         // 搜索功能
         this.bindSearchEvents();
+
+        // 分组显示
+        this.bindGroupingEvents();
+
+        // 边选择生成SQL
+        this.bindEdgeSelectionEvents();
+
+        // 路径查询面板
+        const pathBtn = document.getElementById('path-btn');
+        if (pathBtn) {
+            pathBtn.addEventListener('click', () => this.pathFinderPanel.toggle());
+        }
+
+        // 数据问题面板
+        const issuesBtn = document.getElementById('issues-btn');
+        if (issuesBtn) {
+            issuesBtn.addEventListener('click', () => this.issuesPanel.toggle());
+        }
+
+        // 已保存视图面板
+        const viewsBtn = document.getElementById('views-btn');
+        if (viewsBtn) {
+            viewsBtn.addEventListener('click', () => this.viewsPanel.toggle());
+        }
+
+        // 图例面板
+        const legendBtn = document.getElementById('legend-btn');
+        if (legendBtn) {
+            legendBtn.addEventListener('click', () => this.legendPanel.toggle());
+        }
+
+        // 版本对比面板
+        const diffBtn = document.getElementById('diff-btn');
+        if (diffBtn) {
+            diffBtn.addEventListener('click', () => this.diffPanel.toggle());
+        }
+
+        // 导出面板
+        const exportBtn = document.getElementById('export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportPanel.toggle());
+        }
+
+        // 时间线
+        const timelineBtn = document.getElementById('timeline-btn');
+        if (timelineBtn) {
+            timelineBtn.addEventListener('click', () => {
+                if (this.timelineBar.isOpen()) {
+                    this.timelineBar.hide();
+                    this.closeTimeline();
+                } else {
+                    this.openTimeline();
+                }
+            });
+        }
+
+        // 探索面板，未在探索时默认从选中的表开始
+        const exploreBtn = document.getElementById('explore-btn');
+        if (exploreBtn) {
+            exploreBtn.addEventListener('click', () => {
+                this.explorePanel.selectedNodeId = this.graphRenderer.selectedNodeId;
+                this.explorePanel.toggle();
+            });
+        }
+
+        // 布局设置面板
+        const layoutBtn = document.getElementById('layout-btn');
+        if (layoutBtn) {
+            layoutBtn.addEventListener('click', () => {
+                this.layoutPanel.sync(this.graphRenderer);
+                this.layoutPanel.toggle();
+            });
+        }
     }
 
     /**
@@ -138,104 +684,270 @@ class MultipathRelationVisualization {
             tenantSelect.addEventListener('change', (event) => {
                 this.currentTenant = event.target.value || null;
                 console.log('选择租户:', this.currentTenant);
+                this.tracePanel.hide();
+                // 重新渲染会清除搜索高亮
+                this.currentSearch = { query: '', trace: false };
+                this.renderGraph();
+                this.scheduleViewStateUpdate();
+            });
+        }
+    }
+
+    /**
+     * 绑定未引用关系、catalog/schema分组、列视图及ER符号开关事件
+     */
+    bindGroupingEvents() {
+        const untaggedToggle = document.getElementById('untagged-toggle');
+        if (untaggedToggle) {
+            untaggedToggle.addEventListener('change', () => {
                 this.renderGraph();
+                this.scheduleViewStateUpdate();
+            });
+        }
+
+        const groupingToggle = document.getElementById('grouping-toggle');
+        if (groupingToggle) {
+            groupingToggle.addEventListener('change', (event) => {
+                this.graphRenderer.setGrouping(event.target.checked);
+                this.scheduleViewStateUpdate();
+            });
+        }
+
+        const columnsToggle = document.getElementById('columns-toggle');
+        if (columnsToggle) {
+            columnsToggle.addEventListener('change', (event) => {
+                this.graphRenderer.setColumnsExpanded(event.target.checked);
+                this.scheduleViewStateUpdate();
+            });
+        }
+
+        const notationToggle = document.getElementById('notation-toggle');
+        if (notationToggle) {
+            notationToggle.addEventListener('change', (event) => {
+                this.setEdgeNotation(event.target.checked);
+                this.scheduleViewStateUpdate();
             });
         }
     }
 
+    /**
+     * 切换ER符号，ER模式下显示符号图例
+     */
+    setEdgeNotation(er) {
+        this.graphRenderer.setEdgeNotation(er ? 'er' : 'arrow');
+        const legend = document.getElementById('notation-legend');
+        if (legend) {
+            legend.style.display = er ? 'block' : 'none';
+        }
+    }
+
     /**
      * 绑定搜索事件
      */
     bindSearchEvents() {
         const searchInput = document.getElementById('search-input');
         const searchBtn = document.getElementById('search-btn');
+        const traceBtn = document.getElementById('trace-btn');
 
         if (searchBtn) {
             searchBtn.addEventListener('click', () => {
+                this.search(searchInput.value.trim(), false);
+            });
+        }
+
+        if (traceBtn) {
+            traceBtn.addEventListener('click', () => {
                 const tagId = searchInput.value.trim();
                 if (tagId) {
-                    this.graphRenderer.searchAndHighlight(tagId);
-                } else {
-                    this.graphRenderer.showAllEdges();
+                    this.search(tagId, true);
                 }
             });
         }
 
-        if (searchInput) {
-            searchInput.addEventListener('keypress', (event) => {
-                if (event.key === 'Enter') {
-                    const tagId = searchInput.value.trim();
-                    if (tagId) {
-                        this.graphRenderer.searchAndHighlight(tagId);
-                    } else {
-                        this.graphRenderer.showAllEdges();
-                    }
+        // 输入框的自动补全和回车搜索由 SearchBox 处理
+        // 手动修改地址栏中的hash时恢复对应视图
+        window.addEventListener('hashchange', () => {
+            this.applyViewState(ViewState.fromHash(window.location.hash));
+        });
+    }
+
+    /**
+     * 执行搜索或路径追踪，并记录到视图状态
+     */
+    search(query, trace) {
+        this.currentSearch = { query, trace: trace && !!query };
+        this.searchBox.clearStatus();
+
+        if (trace && query) {
+            this.traceTag(query);
+        } else {
+            this.tracePanel.hide();
+            if (query) {
+                const result = this.searchIndex.resolve(query);
+                if (result) {
+                    this.focusSearchResult(result, false);
+                } else {
+                    this.searchBox.showStatus(`当前视图中没有匹配“${query}”的标签、表、关系或列`);
                 }
-            });
+            } else {
+                this.graphRenderer.showAllEdges();
+            }
+        }
+
+        this.scheduleViewStateUpdate();
+    }
+
+    /**
+     * 定位搜索结果：标签高亮其关系，表高亮节点，关系高亮边，连接列展开所在表的列卡片并高亮使用该列的关系
+     * record为true时（从自动补全中选择）记录到视图状态
+     */
+    focusSearchResult(result, record = true) {
+        const renderer = this.graphRenderer;
+        console.log('定位搜索结果:', result.kind, result.value);
+
+        if (record) {
+            this.tracePanel.hide();
+            this.currentSearch = { query: result.value, trace: false };
+            this.scheduleViewStateUpdate();
+        }
+
+        if (result.kind === 'tag') {
+            renderer.focusRelations(result.relationIds);
+        } else if (result.kind === 'table') {
+            renderer.focusNodes(result.nodeIds);
+        } else if (result.kind === 'relation') {
+            renderer.focusLink(result.relationId);
+        } else if (result.kind === 'column') {
+            result.nodeIds.forEach(nodeId => renderer.nodeExpansion.set(nodeId, true));
+            renderer.applyNodeExpansion();
+            renderer.focusNodes(result.nodeIds);
+            renderer.highlightEdgesByRelationIds(result.relationIds);
         }
     }
 
+    /**
+     * 在图中定位详情面板中点击的表、关系或标签，不在当前视图中时只显示详情
+     */
+    focusInspectorItem(item) {
+        const renderer = this.graphRenderer;
+        if (item.kind === 'table') {
+            renderer.focusNodes([item.id]);
+        } else if (item.kind === 'relation') {
+            renderer.focusLink(item.id);
+        } else if (item.kind === 'tag') {
+            const tag = this.dataProcessor.getTagStatistics().find(stat => stat.key === item.id);
+            if (tag) {
+                renderer.focusRelations(tag.relationIds);
+            }
+        }
+    }
+
+    /**
+     * 追踪标签路径（按当前租户过滤），多个tag_id用逗号分隔
+     */
+    traceTag(input) {
+        const tagIds = input.split(/[,，\s]+/).filter(tagId => tagId);
+        const tags = tagIds.flatMap(tagId => this.tagPathTracer.findTags(tagId, this.currentTenant));
+        if (tags.length === 0) {
+            this.searchBox.showStatus(`当前租户中未找到tag_id: ${tagIds.join(', ')}`);
+            return;
+        }
+
+        const traces = tags.map(tag => this.tagPathTracer.trace(tag));
+        console.log('标签路径追踪结果:', traces);
+
+        this.graphRenderer.clearTagPaths();
+        this.graphRenderer.showTagPaths(traces);
+        this.tracePanel.showTraces(traces);
+    }
+
+    /**
+     * 更新边选择工具栏
+     */
+    updateEdgeSelectionBar(relationIds) {
+        const bar = document.getElementById('edge-selection-bar');
+        if (!bar) return;
+
+        bar.style.display = relationIds.length > 0 ? 'block' : 'none';
+        document.getElementById('edge-selection-count').textContent = `已选择 ${relationIds.length} 条边`;
+        document.getElementById('edge-selection-output').innerHTML = '';
+    }
+
+    /**
+     * 绑定边选择工具栏事件
+     */
+    bindEdgeSelectionEvents() {
+        const sqlBtn = document.getElementById('edge-selection-sql');
+        const clearBtn = document.getElementById('edge-selection-clear');
+        const output = document.getElementById('edge-selection-output');
+
+        if (sqlBtn) {
+            sqlBtn.addEventListener('click', () => {
+                output.innerHTML = '';
+                const relations = [...this.graphRenderer.selectedRelationIds]
+                    .map(relationId => this.dataProcessor.getRelationDetails(relationId))
+                    .filter(relation => relation);
+                new SqlBlock(output, dialect => this.graphRenderer.sqlGenerator.fromRelations(relations, dialect));
+            });
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.graphRenderer.clearLinkSelection());
+        }
+    }
 
     /**
      * 获取应用统计信息
      */
     getStatistics() {
-        if (!this.currentData) return null;
+        if (!this.viewData) return null;
         
         return {
-            totalNodes: this.currentData.nodes.length,
-            totalLinks: this.currentData.links.length,
+            totalNodes: this.viewData.nodes.length,
+            totalLinks: this.viewData.links.length,
             totalTags: this.dataProcessor.tags.filter(tag => !tag.is_deleted).length,
             totalRelations: this.dataProcessor.relations.length
         };
     }
 
     /**
-     * 导出图形为PNG
+     * 导出图形为SVG、PNG或PDF，返回导出的文件名
      */
-    exportAsPNG() {
-        const svg = this.graphRenderer.svg.node();
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        const svgData = new XMLSerializer().serializeToString(svg);
-        const img = new Image();
-        
-        img.onload = () => {
-            canvas.width = img.width;
-            canvas.height = img.height;
-            ctx.drawImage(img, 0, 0);
-            
-            const link = document.createElement('a');
-            link.download = 'multipath_relation_graph.png';
-            link.href = canvas.toDataURL();
-            link.click();
-        };
-        
-        img.src = 'data:image/svg+xml;base64,' + btoa(svgData);
+    exportGraph(options) {
+        return new GraphExporter(this.graphRenderer, this.dataProcessor).export(options);
     }
 
     /**
-     * 导出数据为JSON
+     * 导出当前视图中的表和关系，format 为 json 或 ModelExporter.FORMATS 中的格式，返回文件名
      */
-    exportData() {
-        const data = {
-            nodes: this.currentData.nodes,
-            links: this.currentData.links,
-            tags: this.dataProcessor.tags,
-            relations: this.dataProcessor.relations,
-            statistics: this.getStatistics()
-        };
-        
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const link = document.createElement('a');
-        link.download = 'multipath_relation_data.json';
-        link.href = url;
-        link.click();
-        
-        URL.revokeObjectURL(url);
+    exportData(format = 'json') {
+        if (!this.viewData) {
+            throw new Error('没有可导出的数据');
+        }
+
+        let filename;
+        let blob;
+        if (format === 'json') {
+            // tenant、colorMap、nodes、links 与命令行 export 的输出一致，另附原始数据和统计
+            const data = {
+                tenant: this.currentTenant,
+                colorMap: Object.fromEntries(this.dataProcessor.colorMap),
+                ...RelationModel.serialize(this.viewData),
+                tags: this.dataProcessor.tags,
+                relations: this.dataProcessor.relations,
+                statistics: this.getStatistics()
+            };
+            filename = 'multipath_relation_data.json';
+            blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        } else {
+            const { extension, mimeType } = ModelExporter.FORMATS[format] || {};
+            filename = `multipath_relation_data.${extension}`;
+            blob = new Blob([ModelExporter.export(format, this.viewData)], { type: `${mimeType};charset=utf-8` });
+        }
+
+        GraphExporter.download(blob, filename);
+        console.log('导出数据:', filename);
+        return filename;
     }
 }
 
@@ -247,11 +959,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // 添加窗口大小变化监听
     window.addEventListener('resize', () => {
         if (window.app) {
-            // 延迟重新渲染，避免频繁调用
+            // 延迟调整尺寸，避免频繁调用；SVG原地缩放，布局和视图状态保持不变
             clearTimeout(window.resizeTimeout);
             window.resizeTimeout = setTimeout(() => {
-                window.app.graphRenderer.init();
-                window.app.renderGraph();
+                window.app.graphRenderer.resize();
             }, 250);
         }
     });
@@ -0,0 +1,130 @@
+/**
+ * 路径查询面板
+ * 选择源表和目标表，列出所有简单路径及最短路径，点击路径在图中高亮
+ */
+class PathFinderPanel extends SidePanel {
+    constructor(panelId, dataProcessor) {
+        super(panelId);
+        this.dataProcessor = dataProcessor;
+        this.pathFinder = new PathFinder(dataProcessor);
+        this.sqlGenerator = new SqlGenerator(dataProcessor);
+        this.links = [];
+        this.onSelectPath = null;
+
+        const findBtn = document.getElementById('path-find-btn');
+        if (findBtn) {
+            findBtn.addEventListener('click', () => this.find());
+        }
+    }
+
+    /**
+     * 设置当前视图中的节点和边，刷新源表/目标表选项
+     */
+    setGraph(data) {
+        this.links = data.links;
+
+        const nodes = [...data.nodes].sort((a, b) =>
+            a.name.localeCompare(b.name) || a.id.localeCompare(b.id)
+        );
+        ['path-source-select', 'path-target-select'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+
+            const previous = select.value;
+            select.innerHTML = '';
+            nodes.forEach(node => {
+                const option = document.createElement('option');
+                option.value = node.id;
+                option.textContent = `${node.name} (${node.catalog}.${node.schema})`;
+                option.title = node.id;
+                select.appendChild(option);
+            });
+            if (nodes.some(node => node.id === previous)) {
+                select.value = previous;
+            }
+        });
+    }
+
+    /**
+     * 执行路径查询
+     */
+    find() {
+        const sourceId = document.getElementById('path-source-select').value;
+        const targetId = document.getElementById('path-target-select').value;
+        const maxLength = parseInt(document.getElementById('path-max-length').value) || 4;
+        const directed = document.getElementById('path-directed').checked;
+
+        const results = document.getElementById('path-results');
+        results.innerHTML = '';
+        const el = SidePanel.createElement;
+
+        if (!sourceId || !targetId || sourceId === targetId) {
+            results.appendChild(el('div', 'path-empty', '请选择不同的源表和目标表'));
+            return;
+        }
+
+        const result = this.pathFinder.findPaths(this.links, sourceId, targetId, { maxLength, directed });
+        console.log('路径查询结果:', result);
+
+        if (result.paths.length === 0) {
+            results.appendChild(el('div', 'path-empty', `${maxLength} 跳以内没有找到路径`));
+            return;
+        }
+
+        const summary = `共 ${result.paths.length} 条路径，最短 ${result.shortest.steps.length} 跳` +
+            (result.truncated ? `（仅显示前 ${this.pathFinder.maxResults} 条）` : '');
+        results.appendChild(el('div', 'path-summary', summary));
+
+        result.paths.forEach((path, index) => {
+            const isShortest = path.steps.length === result.shortest.steps.length;
+            const item = el('div', isShortest ? 'path-item path-item-shortest' : 'path-item');
+
+            const title = el('div', 'path-title', `#${index + 1} · ${path.steps.length} 跳${isShortest ? ' · 最短' : ''}`);
+            item.appendChild(title);
+            item.appendChild(el('div', 'path-route',
+                path.nodes.map(nodeId => this.dataProcessor.extractTableName(nodeId)).join(' → ')
+            ));
+            item.appendChild(el('div', 'path-meta', `关系: ${path.relationIds.join(', ')}`));
+            item.appendChild(el('div', 'path-meta',
+                `基数: ${path.cardinalities.join(' → ')}（整体 ${path.cardinality}）`
+            ));
+
+            const tags = el('div', 'path-tags');
+            if (path.coveringTags.length > 0) {
+                path.coveringTags.forEach(tag => {
+                    const chip = el('span', 'path-tag', tag.tag_name);
+                    chip.style.borderColor = this.dataProcessor.colorMap.get(tag.tag_name);
+                    chip.title = `${tag.tag_id} @ ${tag.tenant_id}`;
+                    tags.appendChild(chip);
+                });
+            } else {
+                tags.appendChild(el('span', 'path-no-tag', '暂无语义标签覆盖'));
+            }
+            item.appendChild(tags);
+
+            SqlBlock.appendToggle(item, dialect => this.generateSql(path, dialect));
+
+            item.addEventListener('click', () => {
+                results.querySelectorAll('.path-item').forEach(other => other.classList.remove('selected'));
+                item.classList.add('selected');
+                if (this.onSelectPath) {
+                    this.onSelectPath(path);
+                }
+            });
+
+            results.appendChild(item);
+        });
+    }
+
+    /**
+     * 根据路径生成SQL
+     */
+    generateSql(path, dialect) {
+        const steps = path.steps.map(step => ({
+            relation: this.dataProcessor.getRelationDetails(step.link.relationId),
+            from: step.from,
+            to: step.to
+        }));
+        return this.sqlGenerator.fromSteps(steps, dialect);
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * 路径查询模块
+ * 在节点/边构成的关系图中查找两张表之间的所有简单路径及最短路径
+ */
+class PathFinder {
+    constructor(dataProcessor) {
+        this.dataProcessor = dataProcessor;
+        // 防止稠密图上路径数量爆炸
+        this.maxResults = 500;
+    }
+
+    /**
+     * 查找从sourceId到targetId的所有简单路径（不重复经过节点）
+     * directed为false时允许逆着关系方向经过边；路径数量达到上限时深度优先搜索提前结束，最短路径另用广度优先搜索查找
+     */
+    findPaths(links, sourceId, targetId, options = {}) {
+        const maxLength = options.maxLength || 4;
+        const directed = options.directed !== false;
+        const adjacency = this.buildAdjacency(links, directed);
+
+        const paths = [];
+        const visited = new Set([sourceId]);
+        const steps = [];
+
+        const walk = (current) => {
+            if (paths.length >= this.maxResults) return;
+
+            if (current === targetId && steps.length > 0) {
+                paths.push(this.describePath(sourceId, [...steps]));
+                return;
+            }
+            if (steps.length >= maxLength) return;
+
+            (adjacency.get(current) || []).forEach(step => {
+                if (visited.has(step.to)) return;
+
+                visited.add(step.to);
+                steps.push(step);
+                walk(step.to);
+                steps.pop();
+                visited.delete(step.to);
+            });
+        };
+
+        if (sourceId !== targetId) {
+            walk(sourceId);
+        }
+
+        const truncated = paths.length >= this.maxResults;
+        const shortest = sourceId !== targetId
+            ? this.findShortestPath(adjacency, sourceId, targetId, maxLength)
+            : null;
+        // 提前结束时找到的路径中可能没有最短路径
+        if (shortest && !paths.some(path => path.steps.length === shortest.steps.length)) {
+            paths.push(shortest);
+        }
+
+        paths.sort((a, b) => a.steps.length - b.steps.length);
+        return { paths, shortest, truncated };
+    }
+
+    /**
+     * 广度优先搜索maxLength跳以内的最短路径，没有时返回null
+     */
+    findShortestPath(adjacency, sourceId, targetId, maxLength) {
+        const previous = new Map([[sourceId, null]]);
+        let frontier = [sourceId];
+
+        for (let depth = 0; depth < maxLength && frontier.length > 0; depth++) {
+            const next = [];
+            for (const current of frontier) {
+                for (const step of adjacency.get(current) || []) {
+                    if (previous.has(step.to)) continue;
+
+                    previous.set(step.to, step);
+                    if (step.to === targetId) {
+                        const steps = [];
+                        for (let back = step; back; back = previous.get(back.from)) {
+                            steps.unshift(back);
+                        }
+                        return this.describePath(sourceId, steps);
+                    }
+                    next.push(step.to);
+                }
+            }
+            frontier = next;
+        }
+        return null;
+    }
+
+    /**
+     * 建立邻接表，双向关系在有向模式下也可以逆向经过
+     */
+    buildAdjacency(links, directed) {
+        const adjacency = new Map();
+        const add = (from, step) => {
+            if (!adjacency.has(from)) {
+                adjacency.set(from, []);
+            }
+            adjacency.get(from).push(step);
+        };
+
+        links.forEach(link => {
+            const sourceId = link.source.id || link.source;
+            const targetId = link.target.id || link.target;
+
+            add(sourceId, { link, from: sourceId, to: targetId, reversed: false });
+            if (!directed || PathFinder.isBidirectional(link)) {
+                add(targetId, { link, from: targetId, to: sourceId, reversed: true });
+            }
+        });
+
+        return adjacency;
+    }
+
+    /**
+     * 生成路径描述：经过的表、关系ID、基数链以及已覆盖该路径的语义标签
+     */
+    describePath(sourceId, steps) {
+        const relationIds = steps.map(step => step.link.relationId);
+        const cardinalities = steps.map(step => this.stepCardinality(step));
+
+        return {
+            nodes: [sourceId, ...steps.map(step => step.to)],
+            steps,
+            relationIds,
+            cardinalities,
+            cardinality: this.combineCardinality(cardinalities),
+            coveringTags: this.findCoveringTags(relationIds)
+        };
+    }
+
+    /**
+     * 单步的基数，逆向经过时两端互换
+     */
+    stepCardinality(step) {
+        const type = step.link.type || 'UNKNOWN';
+        if (!step.reversed) return type;
+
+        const [from, to] = type.split('_TO_');
+        return to ? `${to}_TO_${from}` : type;
+    }
+
+    /**
+     * 合并整条路径的基数：任一步在起点侧为MANY则起点为MANY，终点侧同理
+     */
+    combineCardinality(cardinalities) {
+        let start = 'ONE';
+        let end = 'ONE';
+        cardinalities.forEach(cardinality => {
+            const [from, to] = cardinality.split('_TO_');
+            if (from === 'MANY') start = 'MANY';
+            if (to === 'MANY') end = 'MANY';
+        });
+        return `${start}_TO_${end}`;
+    }
+
+    /**
+     * 查找relation_ids恰好等于该路径关系集合的语义标签
+     */
+    findCoveringTags(relationIds) {
+        const pathIds = new Set(relationIds);
+        return this.dataProcessor.tags.filter(tag => {
+            if (tag.is_deleted || !Array.isArray(tag.relation_ids)) return false;
+
+            const tagIds = new Set(tag.relation_ids.map(id => parseInt(id)));
+            return tagIds.size === pathIds.size && [...pathIds].every(id => tagIds.has(id));
+        });
+    }
+
+    /**
+     * 关系是否双向，判断与渲染和导出一致，见 RelationModel.isBidirectional()
+     */
+    static isBidirectional(link) {
+        return RelationModel.isBidirectional(link);
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * 搜索框自动补全
+ * 输入时在搜索框下方列出按类型分组的匹配结果，支持上下方向键选择、回车确认、Esc关闭
+ * 没有匹配时在搜索框下方显示提示
+ */
+class SearchBox {
+    constructor(inputId, suggestionsId, statusId) {
+        this.input = document.getElementById(inputId);
+        this.suggestions = document.getElementById(suggestionsId);
+        this.status = document.getElementById(statusId);
+        this.index = null;
+        this.items = [];        // 当前列出的结果（按显示顺序）
+        this.activeIndex = -1;
+        this.onPick = null;     // (result) 选择了一个结果
+        this.onSubmit = null;   // (query) 未选择结果时按回车
+
+        if (!this.input) return;
+
+        this.input.addEventListener('input', () => {
+            this.clearStatus();
+            this.update();
+        });
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('blur', () => this.hide());
+        this.input.addEventListener('keydown', event => this.handleKeydown(event));
+
+        if (this.suggestions) {
+            // 阻止按下鼠标时输入框失去焦点，否则列表会在click之前被关闭
+            this.suggestions.addEventListener('mousedown', event => event.preventDefault());
+        }
+    }
+
+    /**
+     * 设置搜索索引（重新渲染后调用），列表打开时刷新结果
+     */
+    setIndex(index) {
+        this.index = index;
+        if (this.isOpen()) {
+            this.update();
+        }
+    }
+
+    isOpen() {
+        return !!this.suggestions && this.suggestions.style.display !== 'none';
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (!this.isOpen()) {
+                this.update();
+            }
+            event.preventDefault();
+            this.move(event.key === 'ArrowDown' ? 1 : -1);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (this.isOpen() && this.activeIndex >= 0) {
+                this.pick(this.items[this.activeIndex]);
+            } else {
+                this.hide();
+                if (this.onSubmit) {
+                    this.onSubmit(this.input.value.trim());
+                }
+            }
+        } else if (event.key === 'Escape') {
+            this.hide();
+        }
+    }
+
+    /**
+     * 按输入框内容刷新结果列表
+     */
+    update() {
+        const query = this.input.value.trim();
+        if (!query || !this.index) {
+            this.hide();
+            return;
+        }
+        this.renderList(this.index.search(query));
+    }
+
+    /**
+     * 绘制分组的结果列表
+     */
+    renderList(groups) {
+        if (!this.suggestions) return;
+
+        const el = SidePanel.createElement;
+        this.suggestions.innerHTML = '';
+        this.items = [];
+        this.activeIndex = -1;
+
+        if (groups.length === 0) {
+            this.suggestions.appendChild(el('div', 'search-suggestion-empty', '没有匹配的标签、表、关系或列'));
+        }
+
+        groups.forEach(group => {
+            this.suggestions.appendChild(el('div', 'search-suggestion-group', group.label));
+            group.results.forEach(result => {
+                const position = this.items.length;
+                const item = el('div', 'search-suggestion');
+                if (result.color) {
+                    const swatch = el('span', 'legend-swatch');
+                    swatch.style.background = result.color;
+                    item.appendChild(swatch);
+                }
+                item.appendChild(el('span', 'search-suggestion-label', result.label));
+                item.appendChild(el('span', 'search-suggestion-detail', result.detail));
+                item.title = result.value;
+                item.addEventListener('mouseenter', () => this.setActive(position));
+                item.addEventListener('click', () => this.pick(result));
+
+                this.items.push(result);
+                this.suggestions.appendChild(item);
+            });
+        });
+
+        this.suggestions.style.display = 'block';
+    }
+
+    /**
+     * 上下移动选中项，到达两端后循环
+     */
+    move(delta) {
+        if (this.items.length === 0) return;
+        const next = this.activeIndex < 0 && delta < 0
+            ? this.items.length - 1
+            : (this.activeIndex + delta + this.items.length) % this.items.length;
+        this.setActive(next);
+    }
+
+    setActive(position) {
+        this.activeIndex = position;
+        const rows = this.suggestions.querySelectorAll('.search-suggestion');
+        rows.forEach((row, index) => row.classList.toggle('active', index === position));
+        if (rows[position] && rows[position].scrollIntoView) {
+            rows[position].scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * 选择结果：输入框填入可再次精确匹配该结果的值
+     */
+    pick(result) {
+        if (!result) return;
+        this.input.value = result.value;
+        this.hide();
+        this.clearStatus();
+        if (this.onPick) {
+            this.onPick(result);
+        }
+    }
+
+    hide() {
+        if (this.suggestions) {
+            this.suggestions.style.display = 'none';
+        }
+        this.activeIndex = -1;
+    }
+
+    /**
+     * 在搜索框下方显示提示（如未找到匹配）
+     */
+    showStatus(message) {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.style.display = 'block';
+    }
+
+    clearStatus() {
+        if (!this.status) return;
+        this.status.textContent = '';
+        this.status.style.display = 'none';
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * 搜索索引模块
+ * 为当前视图中的标签、表、关系和连接列建立索引，按匹配程度对结果排序并按类型分组
+ */
+class SearchIndex {
+    constructor(dataProcessor) {
+        this.dataProcessor = dataProcessor;
+        this.entries = [];
+    }
+
+    /**
+     * 根据当前渲染的数据建立索引，只包含图中可见的标签、表、关系和列
+     */
+    build(data) {
+        const entries = [];
+        const visibleTags = new Set();
+        data.links.forEach(link => (link.tags || []).forEach(tag => visibleTags.add(tag.key)));
+
+        this.dataProcessor.getTagStatistics()
+            .filter(item => visibleTags.has(item.key))
+            .forEach(item => entries.push({
+                kind: 'tag',
+                keys: [item.tagId, item.tagName, item.displayName],
+                value: String(item.tagId),
+                label: item.displayName || item.tagName,
+                detail: `${item.tagId} · ${item.tagName} · ${item.tenantId}`,
+                color: item.color,
+                tagId: item.tagId,
+                relationIds: item.relationIds
+            }));
+
+        data.nodes.forEach(node => {
+            entries.push({
+                kind: 'table',
+                keys: [node.name, node.id, `${node.schema}.${node.table}`],
+                value: node.id,
+                label: node.name,
+                detail: `${node.catalog}.${node.schema}`,
+                nodeIds: [node.id]
+            });
+
+            (node.columns || []).forEach(column => entries.push({
+                kind: 'column',
+                keys: [column.name, `${node.id}.${column.name}`],
+                value: `${node.id}.${column.name}`,
+                label: `${node.name}.${column.name}`,
+                detail: `${column.relationIds.length} 个关系`,
+                nodeIds: [node.id],
+                relationIds: column.relationIds
+            }));
+        });
+
+        data.links.forEach(link => entries.push({
+            kind: 'relation',
+            keys: [String(link.relationId)],
+            value: String(link.relationId),
+            label: `关系 ${link.relationId}`,
+            detail: `${link.source.name} → ${link.target.name}`,
+            relationId: link.relationId
+        }));
+
+        this.entries = entries;
+        console.log('搜索索引已建立:', entries.length, '项');
+        return this;
+    }
+
+    /**
+     * 按匹配程度排序的搜索结果，同分时按类型顺序和名称排序
+     */
+    rank(query) {
+        const text = String(query || '').trim().toLowerCase();
+        if (!text) return [];
+
+        return this.entries
+            .map(entry => ({
+                ...entry,
+                score: d3.max(entry.keys, key => SearchIndex.score(String(key || ''), text))
+            }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score ||
+                SearchIndex.KIND_ORDER.indexOf(a.kind) - SearchIndex.KIND_ORDER.indexOf(b.kind) ||
+                a.label.localeCompare(b.label));
+    }
+
+    /**
+     * 按类型分组的自动补全结果，每组最多limit项
+     * 返回 [{ kind, label, results }]，分组按各组最佳结果的分数排序
+     */
+    search(query, limit = 5) {
+        const groups = d3.groups(this.rank(query), result => result.kind);
+        return groups.map(([kind, results]) => ({
+            kind,
+            label: SearchIndex.KIND_LABELS[kind],
+            results: results.slice(0, limit)
+        }));
+    }
+
+    /**
+     * 直接搜索（回车）时选取最佳结果
+     * 同一tag_id在多个租户下的标签、同名的多张表合并为一个结果，与原先按tag_id或表名搜索的行为一致
+     */
+    resolve(query) {
+        const ranked = this.rank(query);
+        const best = ranked[0];
+        if (!best) return null;
+
+        const sameTarget = ranked.filter(result => result.kind === best.kind && result.score === best.score &&
+            (best.kind === 'tag' ? result.tagId === best.tagId : result.label === best.label));
+        if (sameTarget.length === 1 || (best.kind !== 'tag' && best.kind !== 'table')) {
+            return best;
+        }
+
+        return {
+            ...best,
+            relationIds: best.relationIds && [...new Set(sameTarget.flatMap(result => result.relationIds))],
+            nodeIds: best.nodeIds && sameTarget.flatMap(result => result.nodeIds)
+        };
+    }
+
+    /**
+     * 模糊匹配得分：完全相同 > 前缀 > 单词开头 > 子串 > 按顺序包含所有字符，不匹配为0
+     * text与query均为小写比较
+     */
+    static score(text, query) {
+        const value = text.toLowerCase();
+        if (!value) return 0;
+        if (value === query) return 100;
+        if (value.startsWith(query)) {
+            return 80 - Math.min(value.length - query.length, 20) / 2;
+        }
+
+        const index = value.indexOf(query);
+        if (index > 0) {
+            const wordStart = /[._\s/-]/.test(value[index - 1]);
+            return (wordStart ? 65 : 50) - Math.min(index, 20) / 2;
+        }
+
+        // 单个字符不做子序列匹配，避免结果过多
+        if (query.length < 2) return 0;
+
+        let from = 0;
+        let last = -1;
+        let gaps = 0;
+        for (const char of query) {
+            const found = value.indexOf(char, from);
+            if (found === -1) return 0;
+            if (last >= 0) {
+                gaps += found - last - 1;
+            }
+            last = found;
+            from = found + 1;
+        }
+        return Math.max(1, 30 - gaps);
+    }
+}
+
+SearchIndex.KIND_ORDER = ['tag', 'table', 'relation', 'column'];
+
+SearchIndex.KIND_LABELS = {
+    tag: '标签',
+    table: '表',
+    relation: '关系',
+    column: '连接列'
+};
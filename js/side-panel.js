@@ -0,0 +1,87 @@
+/**
+ * 侧边面板基类
+ * 负责面板的显示、隐藏和关闭按钮绑定，同一时间只显示一个侧边面板（停靠面板除外）
+ */
+class SidePanel {
+    constructor(panelId) {
+        this.panel = document.getElementById(panelId);
+        this.content = this.panel ? this.panel.querySelector('.panel-content') : null;
+        this.onHide = null;
+        this.docked = false;  // 停靠面板可与其他侧边面板同时显示
+
+        if (this.panel) {
+            const closeBtn = this.panel.querySelector('.close-btn');
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.hide());
+            }
+        }
+
+        SidePanel.instances.push(this);
+    }
+
+    /**
+     * 显示面板，并关闭其他已打开的侧边面板
+     */
+    show() {
+        if (!this.panel) return;
+
+        SidePanel.instances.forEach(instance => {
+            if (instance !== this && !this.docked && !instance.docked && instance.isVisible()) {
+                instance.hide();
+            }
+        });
+        this.panel.style.display = 'block';
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        if (!this.panel || !this.isVisible()) return;
+
+        this.panel.style.display = 'none';
+        if (this.onHide) {
+            this.onHide();
+        }
+    }
+
+    /**
+     * 切换面板显示状态
+     */
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * 面板是否可见
+     */
+    isVisible() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * 清空面板内容
+     */
+    clear() {
+        if (this.content) {
+            this.content.innerHTML = '';
+        }
+    }
+
+    /**
+     * 创建DOM元素的辅助方法，文本通过textContent写入
+     */
+    static createElement(tagName, className = '', text = null) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (text !== null) element.textContent = text;
+        return element;
+    }
+}
+
+// 所有已创建的侧边面板
+SidePanel.instances = [];
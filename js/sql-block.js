@@ -0,0 +1,107 @@
+/**
+ * SQL展示组件
+ * 包含方言选择、SQL文本和复制按钮，方言切换时重新生成
+ */
+class SqlBlock {
+    /**
+     * generate(dialect) 返回SQL文本，出错时抛出异常并在组件中显示错误信息
+     */
+    constructor(container, generate) {
+        this.generate = generate;
+        const el = SidePanel.createElement;
+
+        this.element = el('div', 'sql-block');
+
+        const toolbar = el('div', 'sql-toolbar');
+        this.dialectSelect = el('select', 'sql-dialect');
+        Object.entries(SqlGenerator.DIALECTS).forEach(([dialect, spec]) => {
+            const option = el('option', '', spec.label);
+            option.value = dialect;
+            this.dialectSelect.appendChild(option);
+        });
+        this.dialectSelect.value = SqlBlock.dialect;
+        this.dialectSelect.addEventListener('change', () => {
+            SqlBlock.dialect = this.dialectSelect.value;
+            this.refresh();
+        });
+        toolbar.appendChild(this.dialectSelect);
+
+        this.copyBtn = el('button', 'sql-copy-btn', '复制');
+        this.copyBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.copy();
+        });
+        toolbar.appendChild(this.copyBtn);
+
+        this.output = el('pre', 'sql-output');
+        this.element.appendChild(toolbar);
+        this.element.appendChild(this.output);
+
+        // 组件内的点击不触发外层条目的选择
+        this.element.addEventListener('click', event => event.stopPropagation());
+
+        container.appendChild(this.element);
+        this.refresh();
+    }
+
+    /**
+     * 按当前方言重新生成SQL
+     */
+    refresh() {
+        try {
+            this.output.textContent = this.generate(this.dialectSelect.value);
+            this.output.classList.remove('sql-error');
+            this.copyBtn.disabled = false;
+        } catch (error) {
+            this.output.textContent = error.message;
+            this.output.classList.add('sql-error');
+            this.copyBtn.disabled = true;
+        }
+    }
+
+    /**
+     * 复制SQL到剪贴板
+     */
+    async copy() {
+        const text = this.output.textContent;
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            // 非安全上下文下没有clipboard API，退回到选中文本后复制
+            const range = document.createRange();
+            range.selectNodeContents(this.output);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            document.execCommand('copy');
+            selection.removeAllRanges();
+        }
+
+        this.copyBtn.textContent = '已复制';
+        setTimeout(() => {
+            this.copyBtn.textContent = '复制';
+        }, 1500);
+    }
+
+    /**
+     * 在容器中添加“SQL”按钮，点击后展开或收起SQL组件
+     */
+    static appendToggle(container, generate) {
+        const button = SidePanel.createElement('button', 'sql-toggle-btn', 'SQL');
+        let block = null;
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (block) {
+                block.element.remove();
+                block = null;
+            } else {
+                block = new SqlBlock(container, generate);
+            }
+        });
+        container.appendChild(button);
+        return button;
+    }
+}
+
+// 各SQL组件共享的方言选择
+SqlBlock.dialect = 'ansi';
@@ -0,0 +1,241 @@
+/**
+ * SQL生成模块
+ * 根据关系的连接条件生成 SELECT ... JOIN ... ON 语句
+ */
+class SqlGenerator {
+    constructor(dataProcessor) {
+        this.dataProcessor = dataProcessor;
+        this.tracer = new TagPathTracer(dataProcessor);
+    }
+
+    /**
+     * 根据有序的路径步骤生成SQL
+     * 每一步为 { relation, from, to }，from/to 为完整限定表名
+     */
+    fromSteps(steps, dialect = 'ansi') {
+        if (steps.length === 0) {
+            throw new Error('路径为空，无法生成SQL');
+        }
+        return this.fromChains([steps], steps[0].from, dialect);
+    }
+
+    /**
+     * 根据一个或多个语义标签生成SQL
+     * 多个标签以共同的目标表（或共同的源表）为锚点合并，经过不同路径到达的同一张表使用不同别名
+     */
+    fromTags(tags, dialect = 'ansi') {
+        const chains = tags.map(tag => {
+            const trace = this.tracer.trace(tag);
+            if (!trace.complete) {
+                throw new Error(`标签 ${tag.tag_name} 路径不完整: ${trace.problems.map(p => p.message).join('；')}`);
+            }
+            return trace.hops;
+        });
+
+        const ends = new Set(chains.map(hops => hops[hops.length - 1].to));
+        if (ends.size === 1) {
+            // 从共同的目标表出发，逆序经过每个标签的路径
+            const anchor = [...ends][0];
+            const reversed = chains.map(hops => [...hops].reverse().map(hop => ({
+                relation: hop.relation,
+                from: hop.to,
+                to: hop.from
+            })));
+            return this.fromChains(reversed, anchor, dialect);
+        }
+
+        const starts = new Set(chains.map(hops => hops[0].from));
+        if (starts.size === 1) {
+            return this.fromChains(chains, [...starts][0], dialect);
+        }
+
+        throw new Error('所选标签没有共同的源表或目标表，无法合并为一条SQL');
+    }
+
+    /**
+     * 根据一组边（关系）生成SQL，按连通顺序依次连接
+     * 两端都已连接的关系（如同一对表之间的多条关系、自关联）为另一端的表分配新别名，使用自己的ON条件
+     */
+    fromRelations(relations, dialect = 'ansi') {
+        if (relations.length === 0) {
+            throw new Error('未选择任何关系');
+        }
+
+        const aliases = new AliasAllocator(this.dataProcessor);
+        const joins = [];
+        const joined = new Set();
+        const remaining = [...relations];
+
+        const root = remaining[0].src_table;
+        joins.push({ table: root, alias: aliases.allocate(root), on: [] });
+        joined.add(root);
+        const aliasOf = new Map([[root, joins[0].alias]]);
+
+        while (remaining.length > 0) {
+            const index = remaining.findIndex(relation =>
+                joined.has(relation.src_table) || joined.has(relation.dst_table)
+            );
+            if (index === -1) {
+                const ids = remaining.map(relation => relation.id).join(', ');
+                throw new Error(`关系 ${ids} 与其他关系不连通，无法生成单条SQL`);
+            }
+
+            const relation = remaining.splice(index, 1)[0];
+            const srcJoined = joined.has(relation.src_table);
+            const newTable = srcJoined ? relation.dst_table : relation.src_table;
+            const alias = aliases.allocate(newTable);
+            if (!joined.has(newTable)) {
+                aliasOf.set(newTable, alias);
+                joined.add(newTable);
+            }
+            joins.push({
+                table: newTable,
+                alias,
+                on: this.buildConditions(
+                    relation,
+                    srcJoined ? aliasOf.get(relation.src_table) : alias,
+                    srcJoined ? alias : aliasOf.get(relation.dst_table)
+                )
+            });
+        }
+
+        return this.render(joins, dialect);
+    }
+
+    /**
+     * 从锚点表出发合并多条链路
+     * 别名以“锚点 + 经过的关系序列”为键：相同前缀共用别名，不同路径到达的同一张表使用新别名
+     */
+    fromChains(chains, anchor, dialect) {
+        const aliases = new AliasAllocator(this.dataProcessor);
+        const joins = [{ table: anchor, alias: aliases.allocate(anchor), on: [] }];
+        const aliasByKey = new Map([['', joins[0].alias]]);
+
+        chains.forEach(steps => {
+            let key = '';
+            steps.forEach(step => {
+                const previousAlias = aliasByKey.get(key);
+                key = `${key}/${step.relation.id}`;
+                if (aliasByKey.has(key)) return;
+
+                const alias = aliases.allocate(step.to);
+                aliasByKey.set(key, alias);
+
+                // 连接条件始终按关系定义的src/dst方向取列
+                const forward = step.relation.src_table === step.from;
+                joins.push({
+                    table: step.to,
+                    alias,
+                    on: this.buildConditions(
+                        step.relation,
+                        forward ? previousAlias : alias,
+                        forward ? alias : previousAlias
+                    )
+                });
+            });
+        });
+
+        return this.render(joins, dialect);
+    }
+
+    /**
+     * 将关系的连接条件转换为 { leftAlias, leftColumn, op, rightAlias, rightColumn }
+     */
+    buildConditions(relation, srcAlias, dstAlias) {
+        const conditions = relation.condition || [];
+        if (conditions.length === 0) {
+            throw new Error(`关系 ${relation.id} 没有连接条件`);
+        }
+
+        return conditions.map(condition => ({
+            leftAlias: srcAlias,
+            leftColumn: condition.srcJoinKey.column,
+            op: condition.op || '=',
+            rightAlias: dstAlias,
+            rightColumn: condition.dstJoinKey.column
+        }));
+    }
+
+    /**
+     * 按方言输出SQL文本
+     */
+    render(joins, dialect) {
+        const spec = SqlGenerator.DIALECTS[dialect];
+        if (!spec) {
+            throw new Error(`不支持的SQL方言: ${dialect}`);
+        }
+
+        const column = (alias, name) => `${alias}.${spec.quote(name)}`;
+        const lines = ['SELECT *', `FROM ${this.formatTable(joins[0].table, spec)} AS ${joins[0].alias}`];
+
+        joins.slice(1).forEach(join => {
+            lines.push(`JOIN ${this.formatTable(join.table, spec)} AS ${join.alias}`);
+            join.on.forEach((condition, index) => {
+                lines.push(`    ${index === 0 ? 'ON' : 'AND'} ${column(condition.leftAlias, condition.leftColumn)} ${condition.op} ${column(condition.rightAlias, condition.rightColumn)}`);
+            });
+        });
+
+        return lines.join('\n') + ';';
+    }
+
+    /**
+     * 按方言格式化完整限定表名
+     */
+    formatTable(fullTableName, spec) {
+        const { catalog, schema, table } = this.dataProcessor.parseQualifiedName(fullTableName);
+        const parts = spec.includeCatalog ? [catalog, schema, table] : [schema, table];
+        return parts.filter(part => part).map(part => spec.quote(part)).join('.');
+    }
+}
+
+// 支持的SQL方言
+SqlGenerator.DIALECTS = {
+    ansi: {
+        label: 'ANSI SQL',
+        includeCatalog: true,
+        quote: name => `"${String(name).replace(/"/g, '""')}"`
+    },
+    hive: {
+        label: 'Hive / Spark',
+        includeCatalog: true,
+        quote: name => `\`${String(name).replace(/`/g, '``')}\``
+    },
+    mysql: {
+        label: 'MySQL',
+        includeCatalog: false,
+        quote: name => `\`${String(name).replace(/`/g, '``')}\``
+    }
+};
+
+/**
+ * 表别名分配器
+ * 使用短表名的最后一段作为别名，重复时追加序号，并避开常见的SQL保留字
+ */
+class AliasAllocator {
+    constructor(dataProcessor) {
+        this.dataProcessor = dataProcessor;
+        this.used = new Set();
+    }
+
+    allocate(fullTableName) {
+        const tableName = this.dataProcessor.extractTableName(fullTableName);
+        let base = tableName.split('_').filter(part => part).pop() || 't';
+        base = base.replace(/[^A-Za-z0-9_]/g, '_').toLowerCase();
+        if (/^[0-9]/.test(base) || AliasAllocator.RESERVED.has(base)) {
+            base = `t_${base}`;
+        }
+
+        let alias = base;
+        let index = 2;
+        while (this.used.has(alias)) {
+            alias = `${base}_${index++}`;
+        }
+        this.used.add(alias);
+        return alias;
+    }
+}
+
+AliasAllocator.RESERVED = new Set([
+    'all', 'and', 'as', 'by', 'case', 'date', 'default', 'from', 'group', 'index', 'join',
+    'key', 'limit', 'on', 'or', 'order', 'select', 'table', 'to', 'user', 'where'
+]);
@@ -0,0 +1,128 @@
+/**
+ * 时间线工具栏
+ * 拖动滑块查看任意一步变更后的模型，上一步/下一步逐个查看变更，播放时按顺序自动前进
+ */
+class TimelineBar {
+    constructor(barId) {
+        this.bar = document.getElementById(barId);
+        this.slider = document.getElementById('timeline-slider');
+        this.timeline = null;
+        this.stepIndex = -1;
+        this.timer = null;
+        this.interval = 1000;   // 播放时每一步的间隔（毫秒）
+        this.onChange = null;   // (step) 切换到某一步
+        this.onClose = null;
+
+        if (!this.bar) return;
+
+        this.slider.addEventListener('input', () => {
+            this.pause();
+            this.setStep(parseInt(this.slider.value));
+        });
+        document.getElementById('timeline-prev').addEventListener('click', () => {
+            this.pause();
+            this.setStep(this.stepIndex - 1);
+        });
+        document.getElementById('timeline-next').addEventListener('click', () => {
+            this.pause();
+            this.setStep(this.stepIndex + 1);
+        });
+        document.getElementById('timeline-play').addEventListener('click', () => {
+            if (this.timer) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        document.getElementById('timeline-close').addEventListener('click', () => {
+            this.hide();
+            if (this.onClose) {
+                this.onClose();
+            }
+        });
+    }
+
+    isOpen() {
+        return !!this.bar && this.bar.style.display !== 'none';
+    }
+
+    /**
+     * 显示时间线并定位到不晚于time的一步（默认最后一步，即当前模型），不触发onChange
+     * 没有任何带时间戳的记录时返回null
+     */
+    open(timeline, time = null) {
+        if (!this.bar) return null;
+
+        this.pause();
+        this.timeline = timeline;
+        this.bar.style.display = 'flex';
+        document.body.classList.add('timeline-open');
+
+        const count = timeline.steps.length;
+        this.slider.max = Math.max(0, count - 1);
+        this.slider.disabled = count === 0;
+        if (count === 0) {
+            this.stepIndex = -1;
+            document.getElementById('timeline-label').textContent = '数据中没有 gmt_create / gmt_delete 时间';
+            return null;
+        }
+
+        this.setStep(time === null ? count - 1 : timeline.getStepIndex(time), false);
+        return this.timeline.steps[this.stepIndex];
+    }
+
+    hide() {
+        if (!this.bar) return;
+        this.pause();
+        this.bar.style.display = 'none';
+        document.body.classList.remove('timeline-open');
+    }
+
+    /**
+     * 切换到第index步，超出范围时取最近的一步
+     */
+    setStep(index, notify = true) {
+        if (!this.timeline || this.timeline.steps.length === 0) return;
+
+        this.stepIndex = Math.max(0, Math.min(index, this.timeline.steps.length - 1));
+        const step = this.timeline.steps[this.stepIndex];
+        this.slider.value = this.stepIndex;
+        document.getElementById('timeline-label').textContent =
+            `${ModelTimeline.formatTime(step.time)}（${this.stepIndex + 1}/${this.timeline.steps.length}）${ModelTimeline.describeStep(step)}`;
+
+        if (notify && this.onChange) {
+            this.onChange(step);
+        }
+    }
+
+    /**
+     * 从当前一步开始按顺序播放，已在最后一步时从头开始
+     */
+    play() {
+        if (!this.timeline || this.timeline.steps.length === 0) return;
+
+        if (this.stepIndex >= this.timeline.steps.length - 1) {
+            this.setStep(0);
+        }
+        document.getElementById('timeline-play').textContent = '暂停';
+
+        const advance = () => {
+            if (this.stepIndex >= this.timeline.steps.length - 1) {
+                this.pause();
+                return;
+            }
+            this.setStep(this.stepIndex + 1);
+            this.timer = setTimeout(advance, this.interval);
+        };
+        this.timer = setTimeout(advance, this.interval);
+    }
+
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const playBtn = document.getElementById('timeline-play');
+        if (playBtn) {
+            playBtn.textContent = '播放';
+        }
+    }
+}
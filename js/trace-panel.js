@@ -0,0 +1,75 @@
+/**
+ * 路径追踪面板
+ * 按顺序列出标签路径的每一跳及其连接键，并显示断链等问题
+ */
+class TracePanel extends SidePanel {
+    constructor(panelId, dataProcessor) {
+        super(panelId);
+        this.dataProcessor = dataProcessor;
+        this.sqlGenerator = new SqlGenerator(dataProcessor);
+    }
+
+    /**
+     * 显示追踪结果
+     */
+    showTraces(traces) {
+        this.clear();
+        const el = SidePanel.createElement;
+
+        // 多个完整路径属于同一租户时，可以合并为一条SQL
+        const completeTraces = traces.filter(trace => trace.complete);
+        const tenants = new Set(completeTraces.map(trace => trace.tag.tenant_id));
+        if (completeTraces.length > 1 && tenants.size === 1) {
+            const merged = el('div', 'trace-section');
+            merged.appendChild(el('div', 'trace-title', `合并 ${completeTraces.length} 个标签`));
+            SqlBlock.appendToggle(merged, dialect =>
+                this.sqlGenerator.fromTags(completeTraces.map(trace => trace.tag), dialect)
+            );
+            this.content.appendChild(merged);
+        }
+
+        traces.forEach(trace => {
+            const section = el('div', 'trace-section');
+            const title = el('div', 'trace-title');
+            title.appendChild(el('span', 'trace-tag-name', `${trace.tag.tag_display_name || trace.tag.tag_name} (${trace.tag.tag_id})`));
+            title.appendChild(el('span', 'trace-tenant', trace.tag.tenant_id));
+            section.appendChild(title);
+
+            section.appendChild(el(
+                'div',
+                trace.complete ? 'trace-status trace-status-ok' : 'trace-status trace-status-error',
+                trace.complete
+                    ? `${trace.tag.src_dataset} → ${trace.tag.dst_dataset}，共 ${trace.hops.length} 跳`
+                    : '路径不完整'
+            ));
+
+            const hopList = el('ol', 'trace-hops');
+            trace.hops.forEach(hop => {
+                const item = el('li', 'trace-hop');
+                item.appendChild(el('div', 'trace-hop-route',
+                    `${this.dataProcessor.extractTableName(hop.from)} → ${this.dataProcessor.extractTableName(hop.to)}`
+                ));
+                item.appendChild(el('div', 'trace-hop-meta',
+                    `关系 ${hop.relationId} · ${hop.relation.type}${hop.reversed ? ' · 反向' : ''}`
+                ));
+                hop.joinKeys.forEach(joinKey => {
+                    item.appendChild(el('code', 'trace-hop-key', joinKey));
+                });
+                hopList.appendChild(item);
+            });
+            section.appendChild(hopList);
+
+            trace.problems.forEach(problem => {
+                section.appendChild(el('div', 'trace-problem', problem.message));
+            });
+
+            if (trace.complete) {
+                SqlBlock.appendToggle(section, dialect => this.sqlGenerator.fromTags([trace.tag], dialect));
+            }
+
+            this.content.appendChild(section);
+        });
+
+        this.show();
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * 视图状态模块
+ * 将租户、搜索、隐藏的标签、探索范围、时间线位置、布局、选中元素、缩放平移和固定的节点位置序列化到URL hash，并支持在localStorage中保存命名视图
+ */
+class ViewState {
+    /**
+     * 将视图状态转换为URL hash（不含 #）
+     * state: { tenant, search, trace, selectedNodeId, selectedRelationId, transform: {x, y, k}, pinned: [{id, x, y}], grouping, columns, er,
+     *          untagged: 是否显示未被标签引用的关系, layout, layoutDirection, layoutCenter, hiddenTags: [tagKey], explore: { rootId, hops, direction, expanded: [nodeId] },
+     *          time: 时间线上的时间（毫秒），不在时间线中时为null }
+     */
+    static toHash(state) {
+        const params = new URLSearchParams();
+        const round = value => Math.round(value * 100) / 100;
+
+        if (state.tenant) params.set('tenant', state.tenant);
+        if (state.search) params.set(state.trace ? 'trace' : 'q', state.search);
+        if (state.selectedNodeId) params.set('node', state.selectedNodeId);
+        if (state.selectedRelationId) params.set('edge', state.selectedRelationId);
+        if (state.grouping) params.set('group', '1');
+        if (state.columns) params.set('columns', '1');
+        if (state.er) params.set('er', '1');
+        if (state.untagged === false) params.set('untagged', '0');
+        if (state.layout && state.layout !== 'force') {
+            params.set('layout', state.layout);
+            if (state.layout === 'hierarchical' && state.layoutDirection === 'LR') params.set('dir', 'LR');
+            if (state.layout === 'radial' && state.layoutCenter) params.set('center', state.layoutCenter);
+        }
+
+        const transform = state.transform;
+        if (transform && (transform.k !== 1 || transform.x !== 0 || transform.y !== 0)) {
+            params.set('zoom', [transform.x, transform.y, transform.k].map(round).join(','));
+        }
+
+        (state.hiddenTags || []).forEach(tagKey => params.append('hide', tagKey));
+
+        if (state.time !== null && state.time !== undefined) params.set('at', state.time);
+
+        if (state.explore) {
+            params.set('explore', state.explore.rootId);
+            if (state.explore.hops !== 1) params.set('hops', state.explore.hops);
+            if (state.explore.direction !== 'both') params.set('xdir', state.explore.direction);
+            state.explore.expanded.forEach(nodeId => params.append('expand', nodeId));
+        }
+
+        (state.pinned || []).forEach(pin => {
+            params.append('pin', `${pin.id}@${round(pin.x)},${round(pin.y)}`);
+        });
+
+        return params.toString();
+    }
+
+    /**
+     * 从URL hash解析视图状态，hash为空时返回null
+     */
+    static fromHash(hash) {
+        const text = (hash || '').replace(/^#/, '');
+        if (!text) return null;
+
+        const params = new URLSearchParams(text);
+        const state = {
+            tenant: params.get('tenant') || null,
+            search: params.get('trace') || params.get('q') || '',
+            trace: params.has('trace'),
+            selectedNodeId: params.get('node') || null,
+            selectedRelationId: params.has('edge') ? parseInt(params.get('edge')) || null : null,
+            grouping: params.get('group') === '1',
+            columns: params.get('columns') === '1',
+            er: params.get('er') === '1',
+            untagged: params.get('untagged') !== '0',
+            layout: params.get('layout') || 'force',
+            layoutDirection: params.get('dir') === 'LR' ? 'LR' : 'TB',
+            layoutCenter: params.get('center') || null,
+            hiddenTags: params.getAll('hide'),
+            explore: params.has('explore') ? {
+                rootId: params.get('explore'),
+                hops: Math.max(1, parseInt(params.get('hops')) || 1),
+                direction: ['upstream', 'downstream'].includes(params.get('xdir')) ? params.get('xdir') : 'both',
+                expanded: params.getAll('expand')
+            } : null,
+            time: Number.isFinite(parseFloat(params.get('at'))) ? parseFloat(params.get('at')) : null,
+            transform: null,
+            pinned: []
+        };
+
+        const zoom = (params.get('zoom') || '').split(',').map(Number);
+        if (zoom.length === 3 && zoom.every(value => Number.isFinite(value)) && zoom[2] > 0) {
+            state.transform = { x: zoom[0], y: zoom[1], k: zoom[2] };
+        }
+
+        params.getAll('pin').forEach(value => {
+            // 表名中可能包含 @，以最后一个 @ 分隔
+            const separator = value.lastIndexOf('@');
+            if (separator === -1) return;
+
+            const [x, y] = value.slice(separator + 1).split(',').map(Number);
+            if (Number.isFinite(x) && Number.isFinite(y)) {
+                state.pinned.push({ id: value.slice(0, separator), x, y });
+            }
+        });
+
+        return state;
+    }
+}
+
+/**
+ * 命名视图存储
+ * 视图以 { name: { hash, savedAt } } 的形式保存在localStorage中
+ */
+class ViewStore {
+    constructor(storageKey = 'multipath-relation-views') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * 读取全部视图，按保存时间倒序
+     */
+    list() {
+        const views = this.read();
+        return Object.keys(views)
+            .map(name => ({ name, ...views[name] }))
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * 保存视图，同名时覆盖
+     */
+    save(name, hash) {
+        const views = this.read();
+        views[name] = { hash, savedAt: Date.now() };
+        return this.write(views);
+    }
+
+    /**
+     * 获取视图的hash
+     */
+    get(name) {
+        const view = this.read()[name];
+        return view ? view.hash : null;
+    }
+
+    /**
+     * 删除视图
+     */
+    remove(name) {
+        const views = this.read();
+        delete views[name];
+        return this.write(views);
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('读取已保存视图失败:', error);
+            return {};
+        }
+    }
+
+    write(views) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(views));
+            return true;
+        } catch (error) {
+            console.warn('保存视图失败:', error);
+            return false;
+        }
+    }
+}
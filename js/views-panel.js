@@ -0,0 +1,107 @@
+/**
+ * 视图面板
+ * 将当前视图以名称保存到localStorage，列出已保存的视图，点击恢复或复制分享链接
+ */
+class ViewsPanel extends SidePanel {
+    constructor(panelId, store = new ViewStore()) {
+        super(panelId);
+        this.store = store;
+        this.getHash = null;   // 返回当前视图的hash
+        this.onApply = null;   // 恢复指定hash的视图
+
+        const saveBtn = document.getElementById('view-save-btn');
+        const nameInput = document.getElementById('view-name-input');
+        if (saveBtn && nameInput) {
+            saveBtn.addEventListener('click', () => this.save(nameInput.value.trim()));
+            nameInput.addEventListener('keypress', (event) => {
+                if (event.key === 'Enter') {
+                    this.save(nameInput.value.trim());
+                }
+            });
+        }
+    }
+
+    show() {
+        super.show();
+        this.renderList();
+    }
+
+    /**
+     * 以指定名称保存当前视图
+     */
+    save(name) {
+        if (!name || !this.getHash) return;
+
+        if (this.store.save(name, this.getHash())) {
+            document.getElementById('view-name-input').value = '';
+        }
+        this.renderList();
+    }
+
+    /**
+     * 绘制已保存视图列表
+     */
+    renderList() {
+        const list = document.getElementById('view-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const el = SidePanel.createElement;
+        const views = this.store.list();
+
+        if (views.length === 0) {
+            list.appendChild(el('div', 'view-empty', '暂无保存的视图'));
+            return;
+        }
+
+        views.forEach(view => {
+            const item = el('div', 'view-item');
+            const info = el('div', 'view-info');
+            info.appendChild(el('div', 'view-name', view.name));
+            info.appendChild(el('div', 'view-time', new Date(view.savedAt).toLocaleString()));
+            item.appendChild(info);
+
+            const copyBtn = el('button', 'view-action', '复制链接');
+            copyBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.copyLink(view.hash, copyBtn);
+            });
+            item.appendChild(copyBtn);
+
+            const removeBtn = el('button', 'view-action view-remove', '删除');
+            removeBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.store.remove(view.name);
+                this.renderList();
+            });
+            item.appendChild(removeBtn);
+
+            item.addEventListener('click', () => {
+                if (this.onApply) {
+                    this.onApply(view.hash);
+                }
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 复制视图的分享链接（保留当前数据源参数）
+     */
+    async copyLink(hash, button) {
+        const url = new URL(window.location.href);
+        url.hash = hash;
+
+        try {
+            await navigator.clipboard.writeText(url.toString());
+            button.textContent = '已复制';
+        } catch (error) {
+            window.prompt('复制以下链接', url.toString());
+        }
+
+        setTimeout(() => {
+            button.textContent = '复制链接';
+        }, 1500);
+    }
+}